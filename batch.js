@@ -0,0 +1,96 @@
+// Batch Conversion
+// Helpers for converting a directory of reports at once: finding the report files,
+// naming their outputs, and the one-line-per-report summary table.
+
+// Report files picked up when walking a directory
+const reportExtensions = ['.ips', '.crash'];
+
+const outputExtensions = {
+    text: '.txt',
+    json: '.json',
+    markdown: '.md',
+    jira: '.jira.txt',
+    ips: '.redacted.ips',
+};
+
+// Redacted copies written by an earlier --batch run are outputs, not new reports
+const skippedExtensions = [outputExtensions.ips];
+
+function joinPath(directory, name) {
+    return directory.endsWith('/') ? directory + name : `${directory}/${name}`;
+}
+
+// Paths of every report under directory, relative to it, in a stable order
+export function findReports(runtime, directory, relative = '') {
+    const entries = runtime.listDirectory(relative ? joinPath(directory, relative) : directory)
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const reports = [];
+    for (const entry of entries) {
+        const path = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory) {
+            reports.push(...findReports(runtime, directory, path));
+        } else if (reportExtensions.some(extension => entry.name.toLowerCase().endsWith(extension))
+            && !skippedExtensions.some(extension => entry.name.toLowerCase().endsWith(extension))) {
+            reports.push(path);
+        }
+    }
+    return reports;
+}
+
+// Where a report's converted output goes: next to it, or at the same relative path in outputDirectory
+export function outputPath(directory, relativePath, format, outputDirectory = null) {
+    const converted = relativePath + outputExtensions[format];
+    return joinPath(outputDirectory ?? directory, converted);
+}
+
+// { file, process, version, os, exception, topFrame } for one converted report
+export function summarizeReport(file, parser) {
+    const model = parser.model;
+    if (!model) {
+        return { file, process: parser.bugType.title, version: '', os: '', exception: '', topFrame: '' };
+    }
+
+    const proc = model.process;
+    const ex = model.exception;
+    const frame = model.crashedThread?.frames[0];
+
+    let topFrame = '';
+    if (frame) {
+        const imageName = model.imageForFrame(frame)?.name || '???';
+        topFrame = frame.symbol ? `${imageName}: ${parser.symbolName(frame.symbol)}` : `${imageName} + ${frame.imageOffset}`;
+    }
+
+    return {
+        file,
+        process: proc.name || '',
+        version: proc.version || proc.build ? `${proc.version || '?'} (${proc.build || '?'})` : '',
+        os: proc.osTrain ? `${proc.osTrain} (${proc.osBuild || '?'})` : '',
+        exception: ex ? [ex.type, ex.signal && `(${ex.signal})`].filter(Boolean).join(' ') : '',
+        topFrame,
+    };
+}
+
+const summaryColumns = [
+    ['file', 'File'],
+    ['process', 'Process'],
+    ['version', 'Version'],
+    ['os', 'OS'],
+    ['exception', 'Exception'],
+    ['topFrame', 'Crashed Thread Top Frame'],
+];
+
+// Columns are as wide as their widest cell, up to maxWidth characters
+export function formatSummaryTable(rows, maxWidth = 60) {
+    const clip = value => (value.length > maxWidth ? value.slice(0, maxWidth - 1) + '…' : value);
+    const widths = summaryColumns.map(([key, title]) => Math.max(title.length, ...rows.map(row => clip(row[key]).length)));
+
+    const line = cells => cells.map((cell, index) => cell.padEnd(widths[index], ' ')).join('  ').trimEnd();
+
+    let output = line(summaryColumns.map(([, title]) => title)) + '\n';
+    output += line(widths.map(width => '-'.repeat(width))) + '\n';
+    rows.forEach(row => {
+        output += line(summaryColumns.map(([key]) => clip(row[key]))) + '\n';
+    });
+    return output;
+}
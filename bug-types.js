@@ -0,0 +1,34 @@
+// IPS Bug Types
+// The metadata line of every .ips file carries a `bug_type` naming the subsystem
+// that produced the report. Views use the report kind to pick a formatter, and
+// anything not listed here is shown with the generic metadata + JSON renderer.
+
+export const ReportKind = Object.freeze({
+    CRASH: 'crash',
+    JETSAM: 'jetsam',
+    STACKSHOT: 'stackshot',
+    PANIC: 'panic',
+    ANALYTICS: 'analytics',
+    GENERIC: 'generic',
+});
+
+const knownBugTypes = {
+    '309': { kind: ReportKind.CRASH, title: 'Crash Report' },
+    '109': { kind: ReportKind.CRASH, title: 'Crash Report' },
+    '288': { kind: ReportKind.STACKSHOT, title: 'Stackshot Report' },
+    '298': { kind: ReportKind.JETSAM, title: 'Jetsam Event Report' },
+    '210': { kind: ReportKind.PANIC, title: 'Kernel Panic Report' },
+    '211': { kind: ReportKind.ANALYTICS, title: 'Analytics Report' },
+};
+
+// Spindump text (.spin files) has no metadata line, and so no bug_type
+export const spindumpReportInfo = Object.freeze({ bugType: 'spin', kind: ReportKind.STACKSHOT, title: 'Hang Report' });
+
+export function bugTypeInfo(bugType) {
+    const key = bugType === undefined ? undefined : String(bugType);
+    const known = knownBugTypes[key];
+    if (known) {
+        return { bugType: key, ...known };
+    }
+    return { bugType: key, kind: ReportKind.GENERIC, title: 'Diagnostic Report' };
+}
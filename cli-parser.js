@@ -1,52 +1,428 @@
 #!/usr/bin/env jsc
 
 // IPS Crash Report Parser - CLI Version
+// Runs under jsc, Node.js and Deno (see cli-runtime.js)
 
 import { IPSParser } from './ips-parser-core.js';
+import { ReportKind } from './bug-types.js';
+import { loadSymbolFile } from './symbol-tables.js';
+import { isMachO } from './dsym.js';
+import { DemangleMode } from './demangler.js';
+import { FrameMode, parseImagePatterns } from './image-classes.js';
+import { formatReportJSON } from './json-export.js';
+import { formatReportTicket } from './ticket-export.js';
+import { loadRuntime } from './cli-runtime.js';
+import { findReports, outputPath, summarizeReport, formatSummaryTable } from './batch.js';
+import { crashSignature } from './signature.js';
+import { groupReports, formatGroupsText, formatGroupsJSON } from './grouping.js';
+import { RedactionMode, redactReport } from './redact.js';
+
+const ExitCode = Object.freeze({
+    OK: 0,
+    USAGE: 1,
+    UNREADABLE_INPUT: 2,
+    INVALID_REPORT: 3,
+    UNSUPPORTED_BUG_TYPE: 4,
+    UNWRITABLE_OUTPUT: 5,
+});
+
+// Options followed by a value
+const valueOptions = [
+    '--symbols', '--output', '--batch', '--group', '--output-dir', '--demangle', '--frames',
+    '--app-images', '--format', '--redact-mode', '--redact-rules',
+];
+
+function printUsage(runtime) {
+    const print = runtime.print;
+    print("Usage: jsc -m cli-parser.js -- [<input.ips> | -] [options]");
+    print("       node cli-parser.js [<input.ips> | -] [options]");
+    print("       node cli-parser.js --batch <directory> [--output-dir <directory>] [options]");
+    print("       node cli-parser.js --group <directory> [options]");
+    print("       deno run --allow-read --allow-write cli-parser.js [<input.ips> | -] [options]");
+    print("");
+    print("Convert Apple crash report (.ips) to plain text, JSON, Markdown or Jira markup.");
+    print("With no input file, or '-', the report is read from stdin.");
+    print("jsc needs the -m flag to enable ES6 module support; Node.js needs version 22 or later.");
+    print("");
+    print("Options:");
+    print("  --symbols <file>   Resymbolicate frames with a dSYM DWARF file or a symbol table");
+    print("                     (nm -n output or JSON), matched to images by UUID. May be repeated.");
+    print("  --demangle <mode>  Show Swift and C++ symbols as full (default), simplified or raw");
+    print("  --frames <mode>    Show thread frames plain (default), marked (app frames tagged [main], [app]");
+    print("                     or [other]), or collapsed (marked, with runs of system frames on one line)");
+    print("  --app-images <p>   Comma-separated image names or path prefixes (* wildcards) to count as app");
+    print("                     code, besides the main executable and the app bundle");
+    print("  --annotate         Explain exception codes and other raw values in the text output");
+    print("  --format <format>  text (default, as Console.app shows it), json (normalized, with");
+    print("                     absolute frame addresses and image names), markdown / jira");
+    print("                     (condensed for bug tickets), or ips (the redacted report, with --redact)");
+    print("  --output <file>    Write to a file instead of stdout");
+    print("  --redact           Replace device identifiers, user names in paths, and email and IP addresses");
+    print("                     in free text before converting; the replacements are listed on stderr");
+    print("  --redact-mode <m>  pseudonymize (default: consistent stand-ins) or remove (fixed placeholders)");
+    print("  --redact-rules <f> JSON file overriding the redaction rules, e.g. {\"patterns\": [\"ACME-\\\\d+\"]}");
+    print("  --signature        Write only the crash signature: a stable hash and a readable line of the");
+    print("                     exception, termination and top frames (of the Last Exception Backtrace,");
+    print("                     or else the crashed thread)");
+    print("  --batch <dir>      Convert every .ips and .crash file under a directory (recursively), writing");
+    print("                     each output next to its report, and print a summary table (Node.js and Deno)");
+    print("  --output-dir <dir> With --batch, write the outputs here instead, keeping relative paths");
+    print("  --group <dir>      Group every crash report under a directory by crash signature, printing each");
+    print("                     bucket's count, first and last capture time, app versions, OS builds and");
+    print("                     devices (Node.js and Deno). With --format json, the buckets are JSON.");
+    print("");
+    print("Exit codes:");
+    print("  0  success");
+    print("  1  usage error");
+    print("  2  input or symbol file can't be read");
+    print("  3  input is not valid report JSON (or text); with --batch, any report failed");
+    print("  4  unsupported bug type; the metadata and raw JSON are still written");
+    print("  5  the --output file can't be written");
+    print("");
+    print("Examples:");
+    print("  jsc -m cli-parser.js -- crash.ips");
+    print("  jsc -m cli-parser.js -- crash.ips > crash.txt");
+    print("  jsc -m cli-parser.js -- crash.ips --symbols MyApp.symbols");
+    print("  jsc -m cli-parser.js -- crash.ips --symbols MyApp.app.dSYM/Contents/Resources/DWARF/MyApp");
+    print("  jsc -m cli-parser.js -- crash.ips --demangle simplified");
+    print("  jsc -m cli-parser.js -- crash.ips --frames collapsed --app-images 'MyKit,Acme*'");
+    print("  jsc -m cli-parser.js -- crash.ips --format json > crash.json");
+    print("  jsc -m cli-parser.js -- crash.ips --format markdown");
+    print("  node cli-parser.js crash.ips --output crash.txt");
+    print("  cat crash.ips | node cli-parser.js -");
+    print("  node cli-parser.js --batch reports/ --output-dir converted/ --format json");
+    print("  node cli-parser.js crash.ips --signature");
+    print("  node cli-parser.js --group reports/");
+    print("  node cli-parser.js crash.ips --redact --format ips --output crash-redacted.ips");
+}
+
+// Parse content (redacted first, when redaction rules are given) and format it in the requested format
+function convertReport(content, { symbolTables, demangle, frameMode, appImagePatterns, annotate, format, redaction }) {
+    let changes = null;
+    if (redaction) {
+        ({ content, changes } = redactReport(content, redaction));
+    }
+
+    const parser = new IPSParser(content, { symbolTables, demangle, frameMode, appImagePatterns, annotate });
+    parser.parse();
+
+    let formatted;
+    if (format === 'ips') {
+        formatted = content;
+    } else if (format === 'json') {
+        formatted = formatReportJSON(parser);
+    } else if (format === 'markdown' || format === 'jira') {
+        formatted = formatReportTicket(parser, format);
+    } else {
+        formatted = parser.formatReport();
+    }
+
+    return { parser, formatted, changes };
+}
+
+// What redaction changed, on stderr so the output stays a clean report; file prefixes batch entries
+function printRedactionChanges(runtime, changes, file = null) {
+    runtime.printError(`${file ? `${file}: ` : ''}Redacted ${changes.length} value${changes.length === 1 ? '' : 's'}`);
+    changes.forEach(change => {
+        runtime.printError(`  ${change.field}: ${change.original} -> ${change.replacement}`);
+    });
+}
+
+// Convert every report under directory, continuing past failures
+function runBatch(runtime, directory, outputDirectory, options) {
+    let files;
+    try {
+        files = findReports(runtime, directory);
+    } catch (error) {
+        runtime.printError(`Error: Cannot read directory '${directory}': ${error.message}`);
+        return ExitCode.UNREADABLE_INPUT;
+    }
+
+    const rows = [];
+    const failures = [];
+    for (const file of files) {
+        const inputPath = directory.endsWith('/') ? directory + file : `${directory}/${file}`;
+        try {
+            const { parser, formatted, changes } = convertReport(runtime.readText(inputPath), options);
+            if (changes) {
+                printRedactionChanges(runtime, changes, file);
+            }
+            const path = outputPath(directory, file, options.format, outputDirectory);
+            if (outputDirectory !== null) {
+                runtime.makeDirectory(path.slice(0, path.lastIndexOf('/')));
+            }
+            runtime.writeText(path, formatted + '\n');
+            rows.push(summarizeReport(file, parser));
+        } catch (error) {
+            failures.push({ file, message: error.message });
+        }
+    }
+
+    runtime.print(formatSummaryTable(rows));
+    runtime.print(`Converted ${rows.length} of ${files.length} report${files.length === 1 ? '' : 's'}.`);
+
+    if (failures.length > 0) {
+        runtime.print('');
+        runtime.print('Failed:');
+        failures.forEach(failure => {
+            runtime.print(`  ${failure.file}: ${failure.message}`);
+        });
+        return ExitCode.INVALID_REPORT;
+    }
+
+    return ExitCode.OK;
+}
+
+// Parse every report under directory and print its crash signature buckets
+function runGroups(runtime, directory, { symbolTables, demangle, format }) {
+    let files;
+    try {
+        files = findReports(runtime, directory);
+    } catch (error) {
+        runtime.printError(`Error: Cannot read directory '${directory}': ${error.message}`);
+        return ExitCode.UNREADABLE_INPUT;
+    }
+
+    const entries = [];
+    const failures = [];
+    for (const file of files) {
+        const inputPath = directory.endsWith('/') ? directory + file : `${directory}/${file}`;
+        try {
+            const parser = new IPSParser(runtime.readText(inputPath), { symbolTables, demangle });
+            parser.parse();
+            entries.push({ name: file, parser });
+        } catch (error) {
+            failures.push({ file, message: error.message });
+        }
+    }
+
+    const { groups, ungrouped } = groupReports(entries);
+    if (format === 'json') {
+        runtime.print(formatGroupsJSON(groups));
+    } else {
+        if (groups.length > 0) {
+            runtime.print(formatGroupsText(groups));
+            runtime.print('');
+        }
+        const grouped = entries.length - ungrouped.length;
+        runtime.print(`Grouped ${grouped} crash report${grouped === 1 ? '' : 's'} into ${groups.length} signature${groups.length === 1 ? '' : 's'}.`);
+
+        if (ungrouped.length > 0) {
+            runtime.print('');
+            runtime.print('Not grouped (no crash signature):');
+            ungrouped.forEach(entry => {
+                runtime.print(`  ${entry.name}: ${entry.parser.bugType.title}`);
+            });
+        }
+    }
+
+    // Keep stdout valid JSON; failures go to stderr
+    if (failures.length > 0) {
+        const print = format === 'json' ? runtime.printError : runtime.print;
+        print('');
+        print('Failed:');
+        failures.forEach(failure => {
+            print(`  ${failure.file}: ${failure.message}`);
+        });
+        return ExitCode.INVALID_REPORT;
+    }
+
+    return ExitCode.OK;
+}
 
 // CLI Implementation
-function main(args) {
-    // Show usage if no arguments
-    if (args.length === 0) {
-        print("Usage: jsc -m cli-parser.js -- <input.ips>");
-        print("");
-        print("Convert Apple crash report (.ips) to plain text format.");
-        print("The -m flag is required to enable ES6 module support.");
-        print("");
-        print("Examples:");
-        print("  jsc -m cli-parser.js -- crash.ips");
-        print("  jsc -m cli-parser.js -- crash.ips > crash.txt");
-        quit(1);
-    }
-
-    const inputFile = args[0];
-
-    // Read input file
+async function main(runtime) {
+    const args = runtime.args;
+
+    let inputFile = null;
+    let outputFile = null;
+    let batchDirectory = null;
+    let groupDirectory = null;
+    let outputDirectory = null;
+    const symbolFiles = [];
+    let demangle = DemangleMode.FULL;
+    let frameMode = FrameMode.PLAIN;
+    let appImagePatterns = [];
+    let annotate = false;
+    let format = 'text';
+    let signatureOnly = false;
+    let redact = false;
+    let redactMode = null;
+    let redactRulesFile = null;
+    for (let i = 0; i < args.length; i++) {
+        // A missing value would otherwise be read as the next option, or as undefined
+        if (valueOptions.includes(args[i]) && (i + 1 >= args.length || args[i + 1].startsWith('--'))) {
+            runtime.printError(`Error: ${args[i]} needs a value`);
+            return ExitCode.USAGE;
+        }
+
+        if (args[i] === '--help' || args[i] === '-h') {
+            printUsage(runtime);
+            return ExitCode.OK;
+        } else if (args[i] === '--symbols') {
+            symbolFiles.push(args[++i]);
+        } else if (args[i] === '--signature') {
+            signatureOnly = true;
+        } else if (args[i] === '--output') {
+            outputFile = args[++i];
+        } else if (args[i] === '--batch') {
+            batchDirectory = args[++i];
+        } else if (args[i] === '--group') {
+            groupDirectory = args[++i];
+        } else if (args[i] === '--output-dir') {
+            outputDirectory = args[++i];
+        } else if (args[i] === '--demangle') {
+            demangle = args[++i];
+            if (!Object.values(DemangleMode).includes(demangle)) {
+                runtime.printError(`Error: Unknown demangle mode '${demangle}' (expected full, simplified or raw)`);
+                return ExitCode.USAGE;
+            }
+        } else if (args[i] === '--frames') {
+            frameMode = args[++i];
+            if (!Object.values(FrameMode).includes(frameMode)) {
+                runtime.printError(`Error: Unknown frame mode '${frameMode}' (expected plain, marked or collapsed)`);
+                return ExitCode.USAGE;
+            }
+        } else if (args[i] === '--app-images') {
+            appImagePatterns = parseImagePatterns(args[++i] ?? '');
+        } else if (args[i] === '--annotate') {
+            annotate = true;
+        } else if (args[i] === '--format') {
+            format = args[++i];
+            if (!['text', 'json', 'markdown', 'jira', 'ips'].includes(format)) {
+                runtime.printError(`Error: Unknown format '${format}' (expected text, json, markdown, jira or ips)`);
+                return ExitCode.USAGE;
+            }
+        } else if (args[i] === '--redact') {
+            redact = true;
+        } else if (args[i] === '--redact-mode') {
+            redactMode = args[++i];
+            if (!Object.values(RedactionMode).includes(redactMode)) {
+                runtime.printError(`Error: Unknown redaction mode '${redactMode}' (expected pseudonymize or remove)`);
+                return ExitCode.USAGE;
+            }
+        } else if (args[i] === '--redact-rules') {
+            redactRulesFile = args[++i];
+        } else if (args[i].startsWith('-') && args[i] !== '-') {
+            runtime.printError(`Error: Unknown option '${args[i]}'`);
+            return ExitCode.USAGE;
+        } else {
+            inputFile = args[i];
+        }
+    }
+
+    // Show usage rather than wait on a terminal
+    if (inputFile === null && batchDirectory === null && groupDirectory === null && runtime.stdinIsTerminal()) {
+        printUsage(runtime);
+        return ExitCode.USAGE;
+    }
+
+    // Read symbol tables
+    const symbolTables = [];
+    for (const symbolFile of symbolFiles) {
+        try {
+            // dSYM DWARF files are binary; everything else is a text table
+            const bytes = runtime.readBytes(symbolFile);
+            symbolTables.push(...loadSymbolFile(isMachO(bytes) ? bytes : runtime.readText(symbolFile), symbolFile));
+        } catch (error) {
+            runtime.printError(`Error: Cannot load symbols from '${symbolFile}': ${error.message}`);
+            return ExitCode.UNREADABLE_INPUT;
+        }
+    }
+
+    // Redaction rules: the defaults, then the rules file, then --redact-mode
+    let redaction = null;
+    if (redact || redactMode !== null || redactRulesFile !== null) {
+        redaction = {};
+        if (redactRulesFile !== null) {
+            try {
+                redaction = JSON.parse(runtime.readText(redactRulesFile));
+                (redaction.patterns || []).forEach(pattern => new RegExp(pattern));
+            } catch (error) {
+                runtime.printError(`Error: Cannot load redaction rules from '${redactRulesFile}': ${error.message}`);
+                return ExitCode.UNREADABLE_INPUT;
+            }
+        }
+        if (redactMode !== null) {
+            redaction.mode = redactMode;
+        }
+    } else if (format === 'ips') {
+        runtime.printError('Error: --format ips writes the redacted report and needs --redact');
+        return ExitCode.USAGE;
+    }
+
+    if (groupDirectory !== null) {
+        if (format !== 'text' && format !== 'json') {
+            runtime.printError('Error: --group writes text or json');
+            return ExitCode.USAGE;
+        }
+        return runGroups(runtime, groupDirectory, { symbolTables, demangle, format });
+    }
+
+    if (batchDirectory !== null) {
+        return runBatch(runtime, batchDirectory, outputDirectory, { symbolTables, demangle, frameMode, appImagePatterns, annotate, format, redaction });
+    }
+
+    // Read input file, or stdin
     let content;
     try {
-        content = readFile(inputFile);
+        content = inputFile === null || inputFile === '-' ? await runtime.readStdin() : runtime.readText(inputFile);
     } catch (error) {
-        print(`Error: Cannot read file '${inputFile}': ${error.message}`);
-        quit(1);
+        runtime.printError(`Error: Cannot read ${inputFile === null || inputFile === '-' ? 'stdin' : `file '${inputFile}'`}: ${error.message}`);
+        return ExitCode.UNREADABLE_INPUT;
     }
 
     // Parse and format
-    let formatted;
+    let parser, formatted, changes;
     try {
-        const parser = new IPSParser(content);
-        parser.parse();
-        formatted = parser.formatReport();
+        ({ parser, formatted, changes } = convertReport(content, { symbolTables, demangle, frameMode, appImagePatterns, annotate, format, redaction }));
     } catch (error) {
-        print(`Error: ${error.message}`);
-        quit(1);
+        runtime.printError(`Error: ${error.message}`);
+        return ExitCode.INVALID_REPORT;
+    }
+
+    if (changes) {
+        printRedactionChanges(runtime, changes);
+    }
+
+    if (signatureOnly) {
+        if (!parser.model) {
+            runtime.printError(`Error: ${parser.bugType.title}s have no crash signature`);
+            return ExitCode.UNSUPPORTED_BUG_TYPE;
+        }
+        const signature = crashSignature(parser.model);
+        formatted = `${signature.hash}  ${signature.line}`;
+    }
+
+    // Output to the file or stdout
+    if (outputFile !== null) {
+        try {
+            // Same bytes as printing to stdout
+            runtime.writeText(outputFile, formatted + '\n');
+        } catch (error) {
+            runtime.printError(`Error: Cannot write file '${outputFile}': ${error.message}`);
+            return ExitCode.UNWRITABLE_OUTPUT;
+        }
+    } else {
+        runtime.print(formatted);
+    }
+
+    if (parser.bugType.kind === ReportKind.GENERIC) {
+        runtime.printError(`Warning: Unsupported bug type ${parser.bugType.bugType ?? '(none)'}; wrote the metadata and raw report`);
+        return ExitCode.UNSUPPORTED_BUG_TYPE;
     }
 
-    // Output to stdout
-    print(formatted);
-    quit(0);
+    return ExitCode.OK;
 }
 
-// Run main - pass global arguments (available in jsc after --)
-// arguments is only defined if CLI params are passed
-const cliArgs = (typeof arguments !== 'undefined') ? arguments : [];
-main(cliArgs);
+loadRuntime().then(runtime => {
+    main(runtime).then(code => runtime.exit(code), error => {
+        runtime.printError(`Error: ${error.message}`);
+        runtime.exit(ExitCode.USAGE);
+    });
+}, error => {
+    console.error(`Error: ${error.message}`);
+    if (typeof process !== 'undefined') {
+        process.exitCode = ExitCode.USAGE;
+    }
+});
@@ -0,0 +1,79 @@
+// CLI Runtime
+// The file, stream and process functions the CLI needs, for whichever engine is running it:
+// Node.js (22 or later, for JSON.parse source access), Deno, or JavaScriptCore's `jsc` shell.
+
+function nodeRuntime(fs) {
+    return {
+        name: 'node',
+        args: process.argv.slice(2),
+        readText: (path) => fs.readFileSync(path, 'utf8'),
+        readBytes: (path) => new Uint8Array(fs.readFileSync(path)),
+        readStdin: async () => fs.readFileSync(0, 'utf8'),
+        stdinIsTerminal: () => Boolean(process.stdin.isTTY),
+        writeText: (path, text) => fs.writeFileSync(path, text),
+        listDirectory: (path) => fs.readdirSync(path, { withFileTypes: true })
+            .map(entry => ({ name: entry.name, isDirectory: entry.isDirectory() })),
+        makeDirectory: (path) => fs.mkdirSync(path, { recursive: true }),
+        print: (text) => console.log(text),
+        printError: (text) => console.error(text),
+        // Setting exitCode (rather than process.exit) lets piped stdout finish writing
+        exit: (code) => {
+            process.exitCode = code;
+        },
+    };
+}
+
+function denoRuntime() {
+    return {
+        name: 'deno',
+        args: Deno.args,
+        readText: (path) => Deno.readTextFileSync(path),
+        readBytes: (path) => Deno.readFileSync(path),
+        readStdin: () => new Response(Deno.stdin.readable).text(),
+        stdinIsTerminal: () => Deno.stdin.isTerminal(),
+        writeText: (path, text) => Deno.writeTextFileSync(path, text),
+        listDirectory: (path) => [...Deno.readDirSync(path)]
+            .map(entry => ({ name: entry.name, isDirectory: entry.isDirectory })),
+        makeDirectory: (path) => Deno.mkdirSync(path, { recursive: true }),
+        print: (text) => console.log(text),
+        printError: (text) => console.error(text),
+        exit: (code) => Deno.exit(code),
+    };
+}
+
+function jscRuntime() {
+    return {
+        name: 'jsc',
+        // arguments is only defined if CLI params are passed (after --)
+        args: globalThis.arguments ? [...globalThis.arguments] : [],
+        readText: (path) => readFile(path),
+        readBytes: (path) => readFile(path, 'binary'),
+        readStdin: async () => readFile('/dev/stdin'),
+        // jsc can't tell, so a missing input file always means stdin
+        stdinIsTerminal: () => false,
+        writeText: (path, text) => writeFile(path, text),
+        // The jsc shell has no directory functions, so batch mode needs Node.js or Deno
+        listDirectory: () => {
+            throw new Error('jsc cannot list directories; use Node.js or Deno for batch mode');
+        },
+        makeDirectory: () => {
+            throw new Error('jsc cannot create directories; use Node.js or Deno for batch mode');
+        },
+        print: (text) => print(text),
+        printError: (text) => printErr(text),
+        exit: (code) => quit(code),
+    };
+}
+
+export async function loadRuntime() {
+    if (typeof Deno !== 'undefined') {
+        return denoRuntime();
+    }
+    if (typeof process !== 'undefined' && process.versions?.node) {
+        return nodeRuntime(await import('node:fs'));
+    }
+    if (typeof readFile === 'function') {
+        return jscRuntime();
+    }
+    throw new Error('Unsupported JavaScript runtime (expected Node.js, Deno or jsc)');
+}
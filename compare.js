@@ -0,0 +1,212 @@
+import { IPSParser } from './ips-parser-core.js';
+import { loadSymbolFile } from './symbol-tables.js';
+import { DemangleMode } from './demangler.js';
+import { diffReports } from './report-diff.js';
+
+// Shared with the other pages' "Symbols" menu
+const demangleModeKey = 'ips-page:demangle-mode';
+
+// UI Controller
+document.addEventListener('DOMContentLoaded', () => {
+    const leftInput = document.getElementById('leftInput');
+    const rightInput = document.getElementById('rightInput');
+    const compareBtn = document.getElementById('compareBtn');
+    const swapBtn = document.getElementById('swapBtn');
+    const clearBtn = document.getElementById('clearBtn');
+    const changedOnly = document.getElementById('changedOnly');
+    const errorMessage = document.getElementById('errorMessage');
+    const outputSection = document.getElementById('output');
+    const compareOutput = document.getElementById('compareOutput');
+    const compareTitle = document.getElementById('compareTitle');
+    const symbolsInput = document.getElementById('symbolsInput');
+    const symbolsStatus = document.getElementById('symbolsStatus');
+
+    // Imported symbol tables stay loaded across comparisons
+    let symbolTables = [];
+
+    function parseSide(content, side) {
+        if (!content) {
+            throw new Error(`Please paste the ${side} report first.`);
+        }
+
+        const parser = new IPSParser(content, {
+            symbolTables,
+            demangle: localStorage.getItem(demangleModeKey) || DemangleMode.FULL,
+        });
+        try {
+            parser.parse();
+        } catch (error) {
+            throw new Error(`${side[0].toUpperCase() + side.slice(1)} report: ${error.message}`);
+        }
+        if (!parser.model) {
+            throw new Error(`The ${side} report is a ${parser.bugType.title}; only crash reports can be compared.`);
+        }
+        return parser;
+    }
+
+    compareBtn.addEventListener('click', () => {
+        try {
+            const left = parseSide(leftInput.value.trim(), 'older');
+            const right = parseSide(rightInput.value.trim(), 'newer');
+            const diff = diffReports(left.model, right.model);
+
+            compareTitle.textContent = `${left.model.process.name || 'Unknown'} ${left.model.process.version || ''} → ${right.model.process.name || 'Unknown'} ${right.model.process.version || ''}`;
+            compareOutput.textContent = '';
+            compareOutput.append(
+                createRowsSection('Header', diff.header),
+                createRowsSection('Exception and Termination', diff.exception),
+                createFramesSection(diff.frames, left, right),
+                createImagesSection(diff.images),
+            );
+            compareOutput.classList.toggle('changed-only', changedOnly.checked);
+            outputSection.style.display = 'block';
+            errorMessage.style.display = 'none';
+        } catch (error) {
+            showError(error.message);
+            outputSection.style.display = 'none';
+        }
+    });
+
+    function createSection(title, table) {
+        const section = document.createElement('section');
+        section.className = 'compare-section';
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        section.append(heading, table);
+        return section;
+    }
+
+    function createTable(headings) {
+        const table = document.createElement('table');
+        table.className = 'compare-table';
+        const headerRow = table.createTHead().insertRow();
+        headings.forEach(title => {
+            const th = document.createElement('th');
+            th.textContent = title;
+            headerRow.appendChild(th);
+        });
+        return table;
+    }
+
+    function createRowsSection(title, rows) {
+        const table = createTable(['', 'Older', 'Newer']);
+        const body = table.createTBody();
+        rows.forEach(diffRow => {
+            const tr = body.insertRow();
+            tr.className = diffRow.changed ? 'diff-changed' : 'diff-same';
+            tr.insertCell().textContent = diffRow.label;
+            tr.insertCell().textContent = diffRow.left;
+            tr.insertCell().textContent = diffRow.right;
+        });
+        return createSection(title, table);
+    }
+
+    function frameText(parser, frame) {
+        if (!frame) return '';
+        const image = parser.model.imageForFrame(frame);
+        let text = `${image?.name || '???'}  `;
+        text += frame.symbol ? parser.symbolName(frame.symbol) : `+ ${frame.imageOffset}`;
+        if (frame.symbol && frame.symbolLocation !== undefined) {
+            text += ` + ${frame.symbolLocation}`;
+        }
+        if (frame.sourceFile) {
+            text += frame.sourceLine !== undefined ? ` (${frame.sourceFile}:${frame.sourceLine})` : ` (${frame.sourceFile})`;
+        }
+        return text;
+    }
+
+    // Frame numbers are each report's own, so renumbered frames are still recognizable
+    function createFramesSection(pairs, left, right) {
+        const table = createTable(['#', 'Older', '#', 'Newer']);
+        const body = table.createTBody();
+        pairs.forEach(pair => {
+            const tr = body.insertRow();
+            tr.className = `diff-${pair.status}`;
+            tr.insertCell().textContent = pair.left ? pair.left.index : '';
+            tr.insertCell().textContent = frameText(left, pair.left);
+            tr.insertCell().textContent = pair.right ? pair.right.index : '';
+            tr.insertCell().textContent = frameText(right, pair.right);
+        });
+
+        const crashedIndex = model => model.crashedThread?.index ?? '?';
+        return createSection(`Crashed Thread (${crashedIndex(left.model)} → ${crashedIndex(right.model)})`, table);
+    }
+
+    function createImagesSection(changes) {
+        const describe = image => (image ? `${image.version || '*'}  <${image.uuid || ''}>` : 'not loaded');
+
+        const table = createTable(['Image', 'Older', 'Newer']);
+        const body = table.createTBody();
+        changes.forEach(change => {
+            const tr = body.insertRow();
+            tr.className = change.left && change.right ? 'diff-changed' : change.left ? 'diff-removed' : 'diff-added';
+            tr.insertCell().textContent = change.name;
+            tr.insertCell().textContent = describe(change.left);
+            tr.insertCell().textContent = describe(change.right);
+        });
+        if (changes.length === 0) {
+            const tr = body.insertRow();
+            const cell = tr.insertCell();
+            cell.colSpan = 3;
+            cell.textContent = 'No image UUIDs or versions changed.';
+        }
+        return createSection('Binary Images with Changed UUID or Version', table);
+    }
+
+    changedOnly.addEventListener('change', () => {
+        compareOutput.classList.toggle('changed-only', changedOnly.checked);
+    });
+
+    swapBtn.addEventListener('click', () => {
+        [leftInput.value, rightInput.value] = [rightInput.value, leftInput.value];
+        if (outputSection.style.display !== 'none') {
+            compareBtn.click();
+        }
+    });
+
+    clearBtn.addEventListener('click', () => {
+        leftInput.value = '';
+        rightInput.value = '';
+        outputSection.style.display = 'none';
+        errorMessage.style.display = 'none';
+        leftInput.focus();
+    });
+
+    // Symbol files are read as bytes so dSYM DWARF binaries and text tables share one path
+    async function loadSymbolFiles(files) {
+        try {
+            for (const file of files) {
+                const tables = loadSymbolFile(new Uint8Array(await file.arrayBuffer()), file.name);
+                const uuids = new Set(tables.map(table => table.uuid));
+                symbolTables = symbolTables.filter(table => !uuids.has(table.uuid)).concat(tables);
+            }
+            const symbolCount = symbolTables.reduce((total, table) => total + table.count, 0);
+            symbolsStatus.textContent = `Loaded ${symbolTables.length} symbol table${symbolTables.length === 1 ? '' : 's'} (${symbolCount} symbols).`;
+            symbolsStatus.style.display = 'block';
+            if (outputSection.style.display !== 'none') {
+                compareBtn.click();
+            }
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    symbolsInput.addEventListener('change', async () => {
+        await loadSymbolFiles(symbolsInput.files);
+        symbolsInput.value = '';
+    });
+
+    function showError(message) {
+        errorMessage.textContent = message;
+        errorMessage.style.display = 'block';
+    }
+
+    // Allow comparing with Enter key (Ctrl/Cmd + Enter) in either input
+    [leftInput, rightInput].forEach(input => {
+        input.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                compareBtn.click();
+            }
+        });
+    });
+});
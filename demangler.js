@@ -0,0 +1,1654 @@
+// Symbol Demangler
+// Turns mangled Swift ($s...) and Itanium C++ (_Z...) names into readable ones, in three forms:
+//   full       - MyApp.ViewController.viewDidLoad() -> ()   /  WebCore::Node::appendChild(WebCore::Node&)
+//   simplified - ViewController.viewDidLoad()               /  WebCore::Node::appendChild(WebCore::Node&) without template arguments
+//   raw        - the symbol exactly as it appears in the report
+// Anything that fails to demangle is returned unchanged.
+
+export const DemangleMode = Object.freeze({
+    FULL: 'full',
+    SIMPLIFIED: 'simplified',
+    RAW: 'raw',
+});
+
+const cache = new Map();
+
+export function isMangled(symbol) {
+    return /^_{0,1}\$[sSe]/.test(symbol) || /^_{1,3}Z/.test(symbol);
+}
+
+export function demangle(symbol, mode = DemangleMode.FULL) {
+    if (!symbol || mode === DemangleMode.RAW || !isMangled(symbol)) return symbol;
+
+    const key = `${mode}:${symbol}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const simplified = mode === DemangleMode.SIMPLIFIED;
+    let result = symbol;
+    try {
+        if (/^_?\$/.test(symbol)) {
+            result = new SwiftDemangler(symbol.replace(/^_?\$[sSe]/, ''), simplified).demangle();
+        } else {
+            result = demangleItaniumSymbol(symbol, simplified);
+        }
+    } catch {
+        result = symbol;
+    }
+
+    cache.set(key, result);
+    return result;
+}
+
+// Itanium C++ ABI (_Z...)
+
+const builtinTypes = {
+    v: 'void', w: 'wchar_t', b: 'bool', c: 'char', a: 'signed char', h: 'unsigned char',
+    s: 'short', t: 'unsigned short', i: 'int', j: 'unsigned int', l: 'long', m: 'unsigned long',
+    x: 'long long', y: 'unsigned long long', n: '__int128', o: 'unsigned __int128',
+    f: 'float', d: 'double', e: 'long double', g: '__float128', z: '...',
+};
+
+const extendedBuiltinTypes = {
+    n: 'std::nullptr_t', a: 'auto', c: 'decltype(auto)', s: 'char16_t', i: 'char32_t', u: 'char8_t',
+    d: 'decimal64', e: 'decimal128', f: 'decimal32', h: 'half',
+};
+
+const operatorNames = {
+    nw: 'new', na: 'new[]', dl: 'delete', da: 'delete[]', ps: '+', ng: '-', ad: '&', de: '*', co: '~',
+    pl: '+', mi: '-', ml: '*', dv: '/', rm: '%', an: '&', or: '|', eo: '^', aS: '=', pL: '+=', mI: '-=',
+    mL: '*=', dV: '/=', rM: '%=', aN: '&=', oR: '|=', eO: '^=', ls: '<<', rs: '>>', lS: '<<=', rS: '>>=',
+    eq: '==', ne: '!=', lt: '<', gt: '>', le: '<=', ge: '>=', ss: '<=>', nt: '!', aa: '&&', oo: '||',
+    pp: '++', mm: '--', cm: ',', pm: '->*', pt: '->', cl: '()', ix: '[]', qu: '?', aw: 'co_await',
+};
+
+const standardSubstitutions = {
+    t: 'std',
+    a: 'std::allocator',
+    b: 'std::basic_string',
+    s: 'std::string',
+    i: 'std::istream',
+    o: 'std::ostream',
+    d: 'std::iostream',
+};
+
+// Printed types are split around the declarator so pointers to functions and arrays
+// come out as "void (*)(int)" and "int (&) [4]"
+function plainType(text) {
+    return { left: text, right: '' };
+}
+
+function typeString(type) {
+    return type.left + type.right;
+}
+
+function wrapDeclarator(inner, symbol) {
+    if (inner.fn) {
+        return { left: `${inner.left}(${symbol}`, right: `)${inner.right}`, group: true };
+    }
+    if (inner.array) {
+        return { left: `${inner.left} (${symbol}`, right: `)${inner.right}`, group: true };
+    }
+    if (inner.group) {
+        return { left: inner.left + symbol, right: inner.right, group: true };
+    }
+    return { left: inner.left + symbol, right: inner.right };
+}
+
+// References to references collapse: only && applied to && stays an rvalue reference
+function referenceTo(inner, symbol) {
+    if (inner.reference) {
+        const collapsed = inner.reference === '&&' && symbol === '&&' ? '&&' : '&';
+        return { ...wrapDeclarator(inner.referenced, collapsed), reference: collapsed, referenced: inner.referenced };
+    }
+    return { ...wrapDeclarator(inner, symbol), reference: symbol, referenced: inner };
+}
+
+// Template argument packs keep their elements so pointers, references and expansions apply to each
+function packType(elements) {
+    return { ...plainType(elements.map(typeString).join(', ')), pack: elements };
+}
+
+class ItaniumDemangler {
+    constructor(text, simplified) {
+        this.text = text;
+        this.pos = 0;
+        this.simplified = simplified;
+        this.substitutions = [];
+        this.templateArgs = [];
+    }
+
+    peek(offset = 0) {
+        return this.text[this.pos + offset];
+    }
+
+    next() {
+        return this.text[this.pos++];
+    }
+
+    nextIf(prefix) {
+        if (this.text.startsWith(prefix, this.pos)) {
+            this.pos += prefix.length;
+            return true;
+        }
+        return false;
+    }
+
+    expect(prefix) {
+        if (!this.nextIf(prefix)) {
+            throw new Error(`Expected '${prefix}' at ${this.pos}`);
+        }
+    }
+
+    atEnd() {
+        return this.pos >= this.text.length;
+    }
+
+    number() {
+        const negative = this.nextIf('n');
+        const start = this.pos;
+        while (/[0-9]/.test(this.peek() || '')) this.pos++;
+        if (start === this.pos) throw new Error('Expected number');
+        const value = Number.parseInt(this.text.slice(start, this.pos), 10);
+        return negative ? -value : value;
+    }
+
+    // <seq-id> is base 36, and "S_" is the first substitution
+    substitutionIndex() {
+        if (this.nextIf('_')) return 0;
+        const start = this.pos;
+        while (/[0-9A-Z]/.test(this.peek() || '')) this.pos++;
+        const index = Number.parseInt(this.text.slice(start, this.pos), 36) + 1;
+        this.expect('_');
+        return index;
+    }
+
+    addSubstitution(value) {
+        this.substitutions.push(value);
+    }
+
+    substitution() {
+        const index = this.substitutionIndex();
+        const value = this.substitutions[index];
+        if (!value) throw new Error('Bad substitution');
+        return value;
+    }
+
+    encoding() {
+        if (this.peek() === 'T' || this.text.startsWith('GV', this.pos) || this.text.startsWith('GR', this.pos)) {
+            return this.specialName();
+        }
+
+        const name = this.name();
+        if (this.atEnd() || this.peek() === 'E' || this.peek() === '.') {
+            return name.text;
+        }
+
+        if (name.isTemplate) {
+            this.templateArgs = name.templateArgs;
+        }
+
+        let returnType = null;
+        if (name.isTemplate && !name.isCtorDtorConversion) {
+            returnType = this.type();
+        }
+        const params = this.bareFunctionType();
+
+        let output = '';
+        if (returnType && !this.simplified) {
+            output += typeString(returnType) + ' ';
+        }
+        output += `${name.text}(${params})`;
+        if (name.qualifiers) output += name.qualifiers;
+        return output;
+    }
+
+    bareFunctionType() {
+        const params = [];
+        while (!this.atEnd() && this.peek() !== 'E' && this.peek() !== '.') {
+            params.push(this.type());
+        }
+        if (params.length === 1 && params[0].left === 'void' && !params[0].right) {
+            return '';
+        }
+        return params.map(typeString).join(', ');
+    }
+
+    specialName() {
+        if (this.nextIf('GV')) return `guard variable for ${this.name().text}`;
+        if (this.nextIf('GR')) return `reference temporary for ${this.name().text}`;
+        this.expect('T');
+        const kind = this.next();
+        switch (kind) {
+            case 'V': return `vtable for ${typeString(this.type())}`;
+            case 'T': return `VTT for ${typeString(this.type())}`;
+            case 'I': return `typeinfo for ${typeString(this.type())}`;
+            case 'S': return `typeinfo name for ${typeString(this.type())}`;
+            case 'H': return `TLS init function for ${this.name().text}`;
+            case 'W': return `TLS wrapper function for ${this.name().text}`;
+            case 'h':
+                this.number();
+                this.expect('_');
+                return `non-virtual thunk to ${this.encoding()}`;
+            case 'v':
+                this.number();
+                this.expect('_');
+                this.number();
+                this.expect('_');
+                return `virtual thunk to ${this.encoding()}`;
+            case 'c':
+                this.callOffset();
+                this.callOffset();
+                return `covariant return thunk to ${this.encoding()}`;
+            default:
+                throw new Error(`Unsupported special name T${kind}`);
+        }
+    }
+
+    callOffset() {
+        if (this.nextIf('h')) {
+            this.number();
+        } else {
+            this.expect('v');
+            this.number();
+            this.expect('_');
+            this.number();
+        }
+        this.expect('_');
+    }
+
+    // Returns { text, isTemplate, templateArgs, isCtorDtorConversion, qualifiers }
+    name() {
+        const c = this.peek();
+        if (c === 'N') return this.nestedName();
+        if (c === 'Z') return this.localName();
+
+        let result;
+        if (this.nextIf('St')) {
+            result = this.unqualifiedName();
+            result.text = `std::${result.text}`;
+        } else if (c === 'S') {
+            this.next();
+            const sub = this.standardOrIndexedSubstitution();
+            result = { text: typeString(sub) };
+            if (this.peek() !== 'I') return result;
+            // A substitution must be followed by its template arguments here
+            const args = this.templateArgList();
+            return { text: result.text + args.text, isTemplate: true, templateArgs: args.args };
+        } else {
+            result = this.unqualifiedName();
+        }
+
+        if (this.peek() === 'I') {
+            this.addSubstitution(plainType(result.text));
+            const args = this.templateArgList();
+            result.text += args.text;
+            result.isTemplate = true;
+            result.templateArgs = args.args;
+        }
+        return result;
+    }
+
+    standardOrIndexedSubstitution() {
+        const c = this.peek();
+        if (standardSubstitutions[c] && c !== 't') {
+            this.next();
+            return plainType(standardSubstitutions[c]);
+        }
+        return this.substitution();
+    }
+
+    // Mangled as r V K, printed as "const volatile restrict"
+    cvQualifiers() {
+        const found = new Set();
+        while (/[rVK]/.test(this.peek() || '')) found.add(this.next());
+        return (found.has('K') ? ' const' : '') + (found.has('V') ? ' volatile' : '') + (found.has('r') ? ' restrict' : '');
+    }
+
+    nestedName() {
+        this.expect('N');
+        let qualifiers = this.cvQualifiers();
+        if (this.nextIf('R')) qualifiers += ' &';
+        else if (this.nextIf('O')) qualifiers += ' &&';
+
+        let prefix = '';
+        let lastName = '';
+        let isTemplate = false;
+        let templateArgs = [];
+        let isCtorDtorConversion = false;
+
+        while (!this.nextIf('E')) {
+            if (this.atEnd()) throw new Error('Unterminated nested name');
+            const c = this.peek();
+            let fromSubstitution = false;
+            isTemplate = false;
+
+            if (c === 'S' && this.peek(1) !== 't' && prefix === '') {
+                this.next();
+                prefix = typeString(this.standardOrIndexedSubstitution());
+                lastName = prefix.split('::').pop();
+                fromSubstitution = true;
+            } else if (this.nextIf('St')) {
+                prefix = 'std';
+                fromSubstitution = true;
+            } else if (c === 'I') {
+                const args = this.templateArgList();
+                prefix += args.text;
+                isTemplate = true;
+                templateArgs = args.args;
+            } else if (c === 'T') {
+                prefix = typeString(this.templateParam());
+            } else if (c === 'L') {
+                this.next();
+                continue;
+            } else if (c === 'C' || (c === 'D' && /[0-5]/.test(this.peek(1) || ''))) {
+                this.next();
+                const isDestructor = c === 'D';
+                if (this.peek() === 'I') this.next(); // inheriting constructor
+                this.next();
+                const base = lastName.replace(/<.*$/, '');
+                prefix += `::${isDestructor ? '~' : ''}${base}`;
+                isCtorDtorConversion = true;
+            } else {
+                const part = this.unqualifiedName();
+                lastName = part.text;
+                isCtorDtorConversion = part.isConversion || false;
+                prefix = prefix ? `${prefix}::${part.text}` : part.text;
+            }
+
+            if (!fromSubstitution && this.peek() !== 'E') {
+                this.addSubstitution(plainType(prefix));
+            }
+        }
+
+        return { text: prefix, isTemplate, templateArgs, isCtorDtorConversion, qualifiers };
+    }
+
+    localName() {
+        this.expect('Z');
+        const outerArgs = this.templateArgs;
+        const encoding = this.encoding();
+        this.templateArgs = outerArgs;
+        this.expect('E');
+        if (this.nextIf('s')) {
+            this.discriminator();
+            return { text: `${encoding}::string literal` };
+        }
+        const entity = this.name();
+        this.discriminator();
+        return { ...entity, text: `${encoding}::${entity.text}` };
+    }
+
+    discriminator() {
+        if (this.nextIf('__')) {
+            this.number();
+            this.expect('_');
+        } else if (this.nextIf('_')) {
+            this.number();
+        }
+    }
+
+    sourceName() {
+        const length = this.number();
+        const name = this.text.slice(this.pos, this.pos + length);
+        if (name.length !== length) throw new Error('Truncated name');
+        this.pos += length;
+        return name.startsWith('_GLOBAL__N') ? '(anonymous namespace)' : name;
+    }
+
+    unqualifiedName() {
+        let text;
+        let isConversion = false;
+        const c = this.peek();
+
+        if (/[0-9]/.test(c)) {
+            text = this.sourceName();
+        } else if (this.nextIf('Ut')) {
+            const index = this.peek() === '_' ? 1 : this.number() + 2;
+            this.expect('_');
+            text = `{unnamed type#${index}}`;
+        } else if (this.nextIf('Ul')) {
+            const params = this.bareFunctionType();
+            this.expect('E');
+            const index = this.peek() === '_' ? 1 : this.number() + 2;
+            this.expect('_');
+            text = `{lambda(${params})#${index}}`;
+        } else if (this.nextIf('cv')) {
+            text = `operator ${typeString(this.type())}`;
+            isConversion = true;
+        } else if (this.nextIf('li')) {
+            text = `operator"" ${this.sourceName()}`;
+        } else if (this.nextIf('L')) {
+            return this.unqualifiedName();
+        } else {
+            const code = this.text.slice(this.pos, this.pos + 2);
+            const operator = operatorNames[code];
+            if (!operator) throw new Error(`Unknown name at ${this.pos}`);
+            this.pos += 2;
+            text = /^[a-z]/.test(operator) ? `operator ${operator}` : `operator${operator}`;
+        }
+
+        // ABI tags: B5cxx11 -> [abi:cxx11]
+        while (this.nextIf('B')) {
+            const tag = this.sourceName();
+            if (!this.simplified) text += `[abi:${tag}]`;
+        }
+        return { text, isConversion };
+    }
+
+    templateArgList() {
+        this.expect('I');
+        const args = [];
+        while (!this.nextIf('E')) {
+            if (this.atEnd()) throw new Error('Unterminated template arguments');
+            args.push(this.templateArg());
+        }
+        const printed = args.map(typeString).join(', ');
+        // Keep "> >" apart so nested template arguments read like C++03 output
+        const text = this.simplified ? '' : `<${printed}${printed.endsWith('>') ? ' ' : ''}>`;
+        return { text, args };
+    }
+
+    templateArg() {
+        if (this.nextIf('L')) return plainType(this.literal());
+        if (this.nextIf('X')) {
+            this.skipExpression();
+            return plainType('(expression)');
+        }
+        if (this.nextIf('J')) {
+            const pack = [];
+            while (!this.nextIf('E')) pack.push(this.templateArg());
+            return packType(pack);
+        }
+        return this.type();
+    }
+
+    // Expressions only show up in dependent template arguments; skip to the matching E
+    skipExpression() {
+        let depth = 1;
+        while (depth > 0 && !this.atEnd()) {
+            const c = this.next();
+            if (/[0-9]/.test(c)) {
+                this.pos--;
+                this.sourceName();
+            } else if (c === 'E') {
+                depth--;
+            } else if (c === 'X' || c === 'I' || c === 'L' || c === 'N') {
+                depth++;
+            }
+        }
+    }
+
+    literal() {
+        if (this.nextIf('_Z')) {
+            const encoding = this.encoding();
+            this.expect('E');
+            return encoding;
+        }
+        const type = this.type();
+        const start = this.pos;
+        while (this.peek() !== 'E' && !this.atEnd()) this.pos++;
+        let value = this.text.slice(start, this.pos);
+        this.expect('E');
+        if (value.startsWith('n')) value = `-${value.slice(1)}`;
+
+        const typeName = typeString(type);
+        if (typeName === 'bool') return value === '0' ? 'false' : 'true';
+        if (typeName === 'int') return value;
+        if (typeName === 'unsigned int') return `${value}u`;
+        if (typeName === 'long') return `${value}l`;
+        if (typeName === 'unsigned long') return `${value}ul`;
+        return `(${typeName})${value}`;
+    }
+
+    templateParam() {
+        this.expect('T');
+        const index = this.peek() === '_' ? 0 : this.number() + 1;
+        this.expect('_');
+        const arg = this.templateArgs[index];
+        return arg || plainType(`T${index}`);
+    }
+
+    type() {
+        const c = this.peek();
+
+        if (builtinTypes[c]) {
+            this.next();
+            return plainType(builtinTypes[c]);
+        }
+
+        switch (c) {
+            case 'r':
+            case 'V':
+            case 'K': {
+                const qualifiers = this.cvQualifiers();
+                const inner = this.type();
+                const result = inner.fn
+                    ? { ...inner, right: inner.right + qualifiers }
+                    : { ...inner, left: inner.left + qualifiers };
+                this.addSubstitution(result);
+                return result;
+            }
+            case 'P':
+            case 'R':
+            case 'O': {
+                this.next();
+                const inner = this.type();
+                const apply = type => (c === 'P' ? wrapDeclarator(type, '*') : referenceTo(type, c === 'R' ? '&' : '&&'));
+                const result = inner.pack ? packType(inner.pack.map(apply)) : apply(inner);
+                this.addSubstitution(result);
+                return result;
+            }
+            case 'F': {
+                const result = this.functionType();
+                this.addSubstitution(result);
+                return result;
+            }
+            case 'A': {
+                this.next();
+                let size = '';
+                if (this.peek() !== '_') size = String(this.number());
+                this.expect('_');
+                const element = this.type();
+                const result = { left: element.left, right: ` [${size}]${element.right}`, array: true };
+                this.addSubstitution(result);
+                return result;
+            }
+            case 'M': {
+                this.next();
+                const classType = typeString(this.type());
+                const member = this.type();
+                const result = member.fn
+                    ? { left: `${member.left}(${classType}::*`, right: `)${member.right}`, group: true }
+                    : plainType(`${typeString(member)} ${classType}::*`);
+                this.addSubstitution(result);
+                return result;
+            }
+            case 'T': {
+                if (/[sue]/.test(this.peek(1))) {
+                    this.pos += 2;
+                    const result = plainType(this.name().text);
+                    this.addSubstitution(result);
+                    return result;
+                }
+                let result = this.templateParam();
+                this.addSubstitution(result);
+                if (this.peek() === 'I') {
+                    result = plainType(typeString(result) + this.templateArgList().text);
+                    this.addSubstitution(result);
+                }
+                return result;
+            }
+            case 'D':
+                return this.extendedType();
+            case 'C':
+            case 'G': {
+                this.next();
+                const inner = this.type();
+                const result = plainType(`${typeString(inner)} ${c === 'C' ? '_Complex' : '_Imaginary'}`);
+                this.addSubstitution(result);
+                return result;
+            }
+            case 'u': {
+                this.next();
+                return plainType(this.sourceName());
+            }
+            case 'U': {
+                this.next();
+                const qualifier = this.sourceName();
+                const inner = this.type();
+                return plainType(`${typeString(inner)} ${qualifier}`);
+            }
+            case 'S': {
+                if (this.peek(1) !== 't') {
+                    this.next();
+                    const c2 = this.peek();
+                    let result = this.standardOrIndexedSubstitution();
+                    const isStandard = !!standardSubstitutions[c2];
+                    if (this.peek() === 'I') {
+                        if (isStandard) this.addSubstitution(result);
+                        result = plainType(typeString(result) + this.templateArgList().text);
+                        this.addSubstitution(result);
+                    }
+                    return result;
+                }
+                break;
+            }
+        }
+
+        // <class-enum-type>
+        const name = this.name();
+        const result = plainType(name.text);
+        this.addSubstitution(result);
+        return result;
+    }
+
+    extendedType() {
+        this.expect('D');
+        const c = this.next();
+        if (extendedBuiltinTypes[c]) return plainType(extendedBuiltinTypes[c]);
+        if (c === 'p') {
+            // Expanding a known pack prints its elements; an unknown one keeps the ellipsis
+            const inner = this.type();
+            const result = inner.pack ? inner : { ...inner, right: `${inner.right}...` };
+            this.addSubstitution(result);
+            return result;
+        }
+        if (c === 'F') {
+            const bits = this.number();
+            this.nextIf('x');
+            this.expect('_');
+            return plainType(`_Float${bits}`);
+        }
+        if (c === 'v') {
+            const size = this.number();
+            this.expect('_');
+            const element = this.type();
+            const result = plainType(`${typeString(element)} __vector(${size})`);
+            this.addSubstitution(result);
+            return result;
+        }
+        throw new Error(`Unsupported type D${c}`);
+    }
+
+    functionType() {
+        this.expect('F');
+        this.nextIf('Y');
+        const returnType = this.type();
+        const params = [];
+        let refQualifier = '';
+        while (!this.nextIf('E')) {
+            if (this.atEnd()) throw new Error('Unterminated function type');
+            if (this.text.startsWith('RE', this.pos)) {
+                this.pos++;
+                refQualifier = ' &';
+                continue;
+            }
+            if (this.text.startsWith('OE', this.pos)) {
+                this.pos++;
+                refQualifier = ' &&';
+                continue;
+            }
+            params.push(this.type());
+        }
+        const printed = params.length === 1 && params[0].left === 'void' && !params[0].right
+            ? ''
+            : params.map(typeString).join(', ');
+        // A function returning a function pointer nests its declarator inside the return type's
+        if (returnType.group) {
+            return { left: `${returnType.left} `, right: `(${printed})${refQualifier}${returnType.right}`, fn: true };
+        }
+        return { left: `${typeString(returnType)} `, right: `(${printed})${refQualifier}`, fn: true };
+    }
+}
+
+function demangleItaniumSymbol(symbol, simplified) {
+    // Blocks inside C++ functions: ___ZN4Test3fooEv_block_invoke_2
+    const block = symbol.match(/^_{2,3}(Z.*?)_block_invoke(?:_(\d+))?$/);
+    if (block) {
+        const inner = demangleItaniumSymbol(`_${block[1]}`, simplified);
+        return `invocation function for block in ${inner}`;
+    }
+
+    const mangled = symbol.replace(/^_+Z/, '_Z');
+    const demangler = new ItaniumDemangler(mangled.slice(2), simplified);
+    let result = demangler.encoding();
+
+    // Compiler clone suffixes: .cold, .constprop.0, ...
+    if (!demangler.atEnd()) {
+        const suffix = demangler.text.slice(demangler.pos);
+        if (!suffix.startsWith('.')) throw new Error('Trailing characters');
+        if (!simplified) result += ` (${suffix})`;
+    }
+    return result;
+}
+
+// Swift ($s...), decoded into a node tree and then printed
+
+const swiftStandardTypes = {
+    A: ['Structure', 'AutoreleasingUnsafeMutablePointer'], a: ['Structure', 'Array'],
+    B: ['Protocol', 'BinaryFloatingPoint'], b: ['Structure', 'Bool'], c: ['Structure', 'UnicodeScalar'],
+    D: ['Structure', 'Dictionary'], d: ['Structure', 'Double'], E: ['Protocol', 'Encodable'],
+    e: ['Protocol', 'Decodable'], F: ['Protocol', 'FloatingPoint'], f: ['Structure', 'Float'],
+    G: ['Protocol', 'RandomNumberGenerator'], H: ['Protocol', 'Hashable'], h: ['Structure', 'Set'],
+    I: ['Structure', 'DefaultIndices'], i: ['Structure', 'Int'], J: ['Structure', 'Character'],
+    j: ['Protocol', 'Numeric'], K: ['Protocol', 'BidirectionalCollection'],
+    k: ['Protocol', 'RandomAccessCollection'], L: ['Protocol', 'Comparable'], l: ['Protocol', 'Collection'],
+    M: ['Protocol', 'MutableCollection'], m: ['Protocol', 'RangeReplaceableCollection'],
+    N: ['Structure', 'ClosedRange'], n: ['Structure', 'Range'], O: ['Structure', 'ObjectIdentifier'],
+    P: ['Structure', 'UnsafePointer'], p: ['Structure', 'UnsafeMutablePointer'], Q: ['Protocol', 'Equatable'],
+    q: ['Enum', 'Optional'], R: ['Structure', 'UnsafeBufferPointer'], r: ['Structure', 'UnsafeMutableBufferPointer'],
+    S: ['Structure', 'String'], s: ['Structure', 'Substring'], T: ['Protocol', 'Sequence'],
+    t: ['Protocol', 'IteratorProtocol'], U: ['Protocol', 'UnsignedInteger'], u: ['Structure', 'UInt'],
+    V: ['Structure', 'UnsafeRawPointer'], v: ['Structure', 'UnsafeMutableRawPointer'],
+    W: ['Structure', 'UnsafeRawBufferPointer'], w: ['Structure', 'UnsafeMutableRawBufferPointer'],
+    X: ['Protocol', 'RangeExpression'], x: ['Protocol', 'Strideable'], Y: ['Protocol', 'RawRepresentable'],
+    y: ['Protocol', 'StringProtocol'], Z: ['Protocol', 'SignedInteger'], z: ['Protocol', 'BinaryInteger'],
+};
+
+// Second level substitutions (Sc...), mostly Swift Concurrency
+const swiftConcurrencyTypes = {
+    A: ['Protocol', 'Actor'], C: ['Structure', 'CheckedContinuation'], c: ['Structure', 'UnsafeContinuation'],
+    E: ['Structure', 'CancellationError'], e: ['Structure', 'UnownedSerialExecutor'], F: ['Protocol', 'Executor'],
+    f: ['Protocol', 'SerialExecutor'], G: ['Structure', 'TaskGroup'], g: ['Structure', 'ThrowingTaskGroup'],
+    I: ['Protocol', 'AsyncIteratorProtocol'], i: ['Protocol', 'AsyncSequence'], J: ['Structure', 'UnownedJob'],
+    M: ['Class', 'MainActor'], P: ['Structure', 'TaskPriority'], S: ['Structure', 'AsyncStream'],
+    s: ['Structure', 'AsyncThrowingStream'], T: ['Structure', 'Task'], t: ['Structure', 'UnsafeCurrentTask'],
+};
+
+const swiftOperatorCharacters = {
+    a: '&', c: '@', d: '/', e: '=', g: '>', l: '<', m: '*', n: '!', o: '|', p: '+', r: '%', s: '-', t: '~', x: '^', z: '.',
+};
+
+const accessorNames = {
+    g: 'getter', s: 'setter', G: 'getter', m: 'materializeForSet', w: 'willset', W: 'didset',
+    r: 'read', M: 'modify', i: 'init', y: 'read', x: 'modify',
+};
+
+const nominalKinds = new Set(['Class', 'Structure', 'Enum', 'Protocol', 'TypeAlias']);
+const declNameKinds = new Set(['Identifier', 'LocalDeclName', 'PrivateDeclName', 'Operator', 'RelatedEntityDeclName']);
+const entityKinds = new Set([
+    'Function', 'Variable', 'Subscript', 'Accessor', 'Allocator', 'Constructor', 'Destructor', 'Deallocator',
+    'IVarDestroyer', 'IVarInitializer', 'ExplicitClosure', 'ImplicitClosure', 'Initializer',
+    'DefaultArgumentInitializer', 'Static', 'PropertyWrapperBackingInitializer',
+]);
+const contextKinds = new Set([...nominalKinds, ...entityKinds, 'Module', 'Extension', 'Type']);
+
+function node(kind, props = {}, children = []) {
+    return { kind, children, ...props };
+}
+
+function isWordStart(c) {
+    return c !== undefined && !/[0-9_]/.test(c);
+}
+
+function isWordEnd(c, previous) {
+    return c === undefined || c === '_' || (!/[A-Z]/.test(previous) && /[A-Z]/.test(c));
+}
+
+class SwiftDemangler {
+    constructor(text, simplified) {
+        this.text = text;
+        this.pos = 0;
+        this.simplified = simplified;
+        this.stack = [];
+        this.substitutions = [];
+        this.words = [];
+    }
+
+    peek() {
+        return this.text[this.pos];
+    }
+
+    next() {
+        return this.text[this.pos++];
+    }
+
+    nextIf(c) {
+        if (this.text[this.pos] === c) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    natural() {
+        const start = this.pos;
+        while (/[0-9]/.test(this.peek() || '')) this.pos++;
+        if (start === this.pos) return -1;
+        return Number.parseInt(this.text.slice(start, this.pos), 10);
+    }
+
+    // "_" is 0, "<n>_" is n + 1
+    index() {
+        if (this.nextIf('_')) return 0;
+        const value = this.natural();
+        if (value < 0 || !this.nextIf('_')) throw new Error('Bad index');
+        return value + 1;
+    }
+
+    push(value) {
+        if (!value) throw new Error('Unsupported Swift mangling');
+        this.stack.push(value);
+    }
+
+    pop(predicate) {
+        const top = this.stack[this.stack.length - 1];
+        if (!top) return null;
+        if (predicate && !predicate(top)) return null;
+        return this.stack.pop();
+    }
+
+    popKind(kind) {
+        return this.pop(n => n.kind === kind);
+    }
+
+    popType() {
+        const type = this.popKind('Type');
+        if (!type) throw new Error('Expected type');
+        return type;
+    }
+
+    popModule() {
+        const top = this.pop(n => n.kind === 'Identifier' || n.kind === 'Module');
+        if (!top) return null;
+        return top.kind === 'Module' ? top : node('Module', { text: top.text });
+    }
+
+    popContext() {
+        const module = this.popModule();
+        if (module) return module;
+        const context = this.pop(n => contextKinds.has(n.kind));
+        if (!context) throw new Error('Expected context');
+        return context.kind === 'Type' ? context.children[0] : context;
+    }
+
+    popDeclName() {
+        const name = this.pop(n => declNameKinds.has(n.kind));
+        if (!name) throw new Error('Expected name');
+        return name;
+    }
+
+    identifier() {
+        let hasWordSubstitutions = false;
+        let isPunycoded = false;
+        if (this.nextIf('0')) {
+            if (this.nextIf('0')) isPunycoded = true;
+            else hasWordSubstitutions = true;
+        }
+        if (isPunycoded) throw new Error('Punycode identifiers are not supported');
+
+        let identifier = '';
+        do {
+            while (hasWordSubstitutions && /[a-zA-Z]/.test(this.peek() || '')) {
+                const c = this.next();
+                const isLast = /[A-Z]/.test(c);
+                const word = this.words[c.toLowerCase().charCodeAt(0) - 97];
+                if (word === undefined) throw new Error('Bad word substitution');
+                identifier += word;
+                if (isLast) hasWordSubstitutions = false;
+            }
+            if (this.nextIf('0')) break;
+            const length = this.natural();
+            if (length <= 0) throw new Error('Bad identifier');
+            const slice = this.text.slice(this.pos, this.pos + length);
+            if (slice.length !== length) throw new Error('Truncated identifier');
+            identifier += slice;
+
+            let wordStart = -1;
+            for (let i = 0; i <= slice.length; i++) {
+                const c = slice[i];
+                if (wordStart >= 0 && isWordEnd(c, slice[i - 1])) {
+                    if (i - wordStart >= 2 && this.words.length < 26) {
+                        this.words.push(slice.slice(wordStart, i));
+                    }
+                    wordStart = -1;
+                }
+                if (wordStart < 0 && isWordStart(c)) {
+                    wordStart = i;
+                }
+            }
+            this.pos += length;
+        } while (hasWordSubstitutions);
+
+        const result = node('Identifier', { text: identifier });
+        this.substitutions.push(result);
+        return result;
+    }
+
+    demangle() {
+        while (this.pos < this.text.length) {
+            if (this.peek() === '.') break;
+            this.push(this.operator());
+        }
+
+        if (this.stack.length !== 1) throw new Error('Unsupported Swift mangling');
+
+        const suffix = this.text.slice(this.pos);
+        let result = this.print(this.stack[0]);
+        if (suffix && !this.simplified) {
+            result += ` with unmangled suffix "${suffix}"`;
+        }
+        return result;
+    }
+
+    operator() {
+        const c = this.next();
+        switch (c) {
+            case 'A': return this.multiSubstitution();
+            case 'B': return this.builtinType();
+            case 'C': return this.nominalType('Class');
+            case 'D': return node('TypeMangling', {}, [this.popType()]);
+            case 'E': return this.extension();
+            case 'F': return this.plainFunction();
+            case 'G': return this.boundGenericType();
+            case 'K': return node('ThrowsAnnotation');
+            case 'L': return this.localIdentifier();
+            case 'M': return this.metadata();
+            case 'N': return node('TypeMetadata', {}, [this.popType()]);
+            case 'O': return this.nominalType('Enum');
+            case 'P': return this.nominalType('Protocol');
+            case 'Q': return this.archetype();
+            case 'R': return this.genericRequirement();
+            case 'S': return this.standardSubstitution();
+            case 'T': return this.thunk();
+            case 'V': return this.nominalType('Structure');
+            case 'X': return this.specialType();
+            case 'Y': return this.typeAnnotation();
+            case 'Z': {
+                const entity = this.pop(n => entityKinds.has(n.kind));
+                if (!entity) throw new Error('Expected entity');
+                return node('Static', {}, [entity]);
+            }
+            case 'a': return this.nominalType('TypeAlias');
+            case 'c': return this.functionType('FunctionType');
+            case 'd': return node('VariadicMarker');
+            case 'f': return this.functionEntity();
+            case 'h': return node('Type', {}, [node('Shared', {}, [this.popType()])]);
+            case 'i': return this.subscript();
+            case 'l': return this.genericSignature(false);
+            case 'm': return node('Type', {}, [node('Metatype', {}, [this.popType()])]);
+            case 'n': return node('Type', {}, [node('Owned', {}, [this.popType()])]);
+            case 'o': return this.operatorIdentifier();
+            case 'p': return node('Type', {}, [this.protocolList()]);
+            case 'q': return node('Type', {}, [this.genericParamIndex()]);
+            case 'r': return this.genericSignature(true);
+            case 's': return node('Module', { text: 'Swift' });
+            case 't': return this.tuple();
+            case 'v': return this.accessor(this.entity('Variable'));
+            case 'x': return node('Type', {}, [node('GenericParam', { depth: 0, index: 0 })]);
+            case 'y': return node('EmptyList');
+            case 'z': return node('Type', {}, [node('InOut', {}, [this.popType()])]);
+            case '_': return node('FirstElementMarker');
+            default:
+                if (/[0-9]/.test(c)) {
+                    this.pos--;
+                    return this.identifier();
+                }
+                throw new Error(`Unsupported Swift operator ${c}`);
+        }
+    }
+
+    multiSubstitution() {
+        let repeatCount = -1;
+        for (;;) {
+            const c = this.next();
+            if (c === undefined) throw new Error('Truncated substitution');
+            if (/[a-z]/.test(c)) {
+                this.pushRepeated(repeatCount, c.charCodeAt(0) - 97);
+                repeatCount = -1;
+                continue;
+            }
+            if (/[A-Z]/.test(c)) {
+                const value = this.substitutions[c.charCodeAt(0) - 65];
+                if (!value) throw new Error('Bad substitution');
+                for (let i = 1; i < repeatCount; i++) this.push(value);
+                return value;
+            }
+            if (c === '_') {
+                const value = this.substitutions[repeatCount + 27];
+                if (!value) throw new Error('Bad substitution');
+                return value;
+            }
+            this.pos--;
+            repeatCount = this.natural();
+            if (repeatCount < 0) throw new Error('Bad substitution');
+        }
+    }
+
+    pushRepeated(repeatCount, index) {
+        const value = this.substitutions[index];
+        if (!value) throw new Error('Bad substitution');
+        const count = Math.max(repeatCount, 1);
+        for (let i = 0; i < count; i++) this.push(value);
+    }
+
+    standardSubstitution() {
+        if (this.nextIf('o')) return node('Module', { text: '__C' });
+        if (this.nextIf('C')) return node('Module', { text: '__C_Synthesized' });
+        if (this.nextIf('g')) {
+            const optional = node('Type', {}, [node('BoundGeneric', { sugar: 'Optional' }, [
+                node('Type', {}, [this.swiftType('Enum', 'Optional')]),
+                node('TypeList', {}, [this.popType()]),
+            ])]);
+            this.substitutions.push(optional);
+            return optional;
+        }
+
+        const repeatCount = this.natural();
+        const secondLevel = this.nextIf('c');
+        const entry = (secondLevel ? swiftConcurrencyTypes : swiftStandardTypes)[this.next()];
+        if (!entry) throw new Error('Unknown standard substitution');
+        const type = node('Type', {}, [this.swiftType(entry[0], entry[1])]);
+        for (let i = 1; i < repeatCount; i++) this.push(type);
+        return type;
+    }
+
+    swiftType(kind, name) {
+        return node(kind, {}, [node('Module', { text: 'Swift' }), node('Identifier', { text: name })]);
+    }
+
+    nominalType(kind) {
+        const name = this.popDeclName();
+        const context = this.popContext();
+        const type = node('Type', {}, [node(kind, {}, [context, name])]);
+        this.substitutions.push(type);
+        return type;
+    }
+
+    boundGenericType() {
+        const lists = [];
+        for (;;) {
+            const types = [];
+            let type;
+            while ((type = this.popKind('Type'))) types.unshift(type);
+            lists.push(node('TypeList', {}, types));
+            if (this.popKind('EmptyList')) break;
+            if (!this.popKind('FirstElementMarker')) throw new Error('Bad generic arguments');
+        }
+        const nominal = this.popType();
+        const name = nominal.children[0].children[1]?.text;
+        const sugar = nominal.children[0].children[0]?.text === 'Swift' && ['Optional', 'Array', 'Dictionary'].includes(name) ? name : null;
+        const result = node('Type', {}, [node('BoundGeneric', { sugar }, [nominal, lists[0]])]);
+        this.substitutions.push(result);
+        return result;
+    }
+
+    builtinType() {
+        const c = this.next();
+        const names = { b: 'BridgeObject', B: 'UnsafeValueBuffer', e: 'Executor', f: 'Float', i: 'Int', I: 'IntLiteral', j: 'Job', o: 'NativeObject', O: 'UnknownObject', p: 'RawPointer', t: 'SILToken', w: 'Word', D: 'DefaultActorStorage', c: 'RawUnsafeContinuation' };
+        let name = names[c];
+        if (!name) throw new Error('Unknown builtin type');
+        if (c === 'i' || c === 'f') {
+            const bits = this.index() - 1;
+            name = `${c === 'i' ? 'Int' : 'FPIEEE'}${bits}`;
+        }
+        const type = node('Type', {}, [node('BuiltinType', { text: `Builtin.${name}` })]);
+        this.substitutions.push(type);
+        return type;
+    }
+
+    extension() {
+        this.popKind('GenericSignature');
+        const module = this.popModule();
+        const type = this.popType();
+        return node('Extension', {}, [module, type.children[0]]);
+    }
+
+    localIdentifier() {
+        if (this.nextIf('L')) {
+            const discriminator = this.popKind('Identifier');
+            const name = this.popDeclName();
+            return node('PrivateDeclName', { discriminator: discriminator?.text }, [name]);
+        }
+        if (this.nextIf('l')) {
+            const discriminator = this.popKind('Identifier');
+            return node('PrivateDeclName', { discriminator: discriminator?.text }, []);
+        }
+        if (/[a-jA-J]/.test(this.peek())) {
+            this.next();
+            return node('RelatedEntityDeclName', {}, [this.pop()]);
+        }
+        const index = this.index();
+        const name = this.popDeclName();
+        return node('LocalDeclName', { index }, [name]);
+    }
+
+    operatorIdentifier() {
+        const identifier = this.popKind('Identifier');
+        if (!identifier) throw new Error('Expected operator name');
+        const name = Array.from(identifier.text, c => swiftOperatorCharacters[c] || c).join('');
+        const fixity = { i: 'infix', p: 'prefix', P: 'postfix' }[this.next()];
+        if (!fixity) throw new Error('Unknown operator fixity');
+        return node('Operator', { text: name, fixity });
+    }
+
+    genericParamIndex() {
+        if (this.nextIf('d')) {
+            const depth = this.index() + 1;
+            return node('GenericParam', { depth, index: this.index() });
+        }
+        if (this.nextIf('z')) return node('GenericParam', { depth: 0, index: 0 });
+        return node('GenericParam', { depth: 0, index: this.index() + 1 });
+    }
+
+    archetype() {
+        const c = this.next();
+        if (c === 'z' || c === 'y') {
+            // Associated type of a generic parameter: x7ElementQz, 7ElementQy_
+            const base = c === 'z'
+                ? node('Type', {}, [node('GenericParam', { depth: 0, index: 0 })])
+                : node('Type', {}, [this.genericParamIndex()]);
+            const name = this.popKind('Identifier');
+            const type = node('Type', {}, [node('DependentMember', { text: name.text }, [base])]);
+            this.substitutions.push(type);
+            return type;
+        }
+        if (c === 'x' || c === 'X') {
+            // Associated type of the preceding type
+            const name = this.popKind('Identifier');
+            const base = this.popType();
+            const type = node('Type', {}, [node('DependentMember', { text: name.text }, [base])]);
+            this.substitutions.push(type);
+            return type;
+        }
+        throw new Error('Unsupported archetype');
+    }
+
+    // Protocol conformance (default), base class (b/B) and same type (s/S) requirements
+    // on a generic parameter, or with B/S/Q on a substituted type
+    genericRequirement() {
+        const c = this.next();
+        const kinds = { b: 'class', B: 'class', s: 'same', S: 'same', Q: 'protocol' };
+        const kind = kinds[c] || 'protocol';
+        let subject;
+        if (/[BSQ]/.test(c)) {
+            subject = this.popType();
+        } else {
+            if (!kinds[c]) this.pos--;
+            subject = node('Type', {}, [this.genericParamIndex()]);
+        }
+        const constraint = this.popType();
+        return node('Requirement', { same: kind === 'same' }, [subject, constraint]);
+    }
+
+    genericSignature(hasParamCounts) {
+        const requirements = [];
+        let requirement;
+        while ((requirement = this.popKind('Requirement'))) requirements.unshift(requirement);
+
+        let paramCounts = [1];
+        if (hasParamCounts) {
+            paramCounts = [];
+            while (!this.nextIf('l')) {
+                paramCounts.push(this.peek() === 'z' ? (this.next(), 0) : this.index() + 1);
+            }
+        }
+        return node('GenericSignature', { paramCounts }, requirements);
+    }
+
+    protocolList() {
+        const protocols = [];
+        if (!this.popKind('EmptyList')) {
+            let first = false;
+            do {
+                first = !!this.popKind('FirstElementMarker');
+                protocols.unshift(this.popType());
+            } while (!first);
+        }
+        return node('ProtocolList', {}, protocols);
+    }
+
+    specialType() {
+        const c = this.next();
+        switch (c) {
+            case 'l': {
+                const list = this.protocolList();
+                return node('Type', {}, [node('ProtocolList', { anyObject: true }, list.children)]);
+            }
+            case 'p': return node('Type', {}, [node('Metatype', { existential: true }, [this.popType()])]);
+            case 'o': return node('Type', {}, [node('Ownership', { text: 'unowned' }, [this.popType()])]);
+            case 'w': return node('Type', {}, [node('Ownership', { text: 'weak' }, [this.popType()])]);
+            case 'u': return node('Type', {}, [node('Ownership', { text: 'unowned(unsafe)' }, [this.popType()])]);
+            case 'D': return node('Type', {}, [node('DynamicSelf', {}, [this.popType()])]);
+            case 'E': return this.functionType('FunctionType');
+            case 'B': return this.functionType('FunctionType', '@convention(block) ');
+            case 'C': return this.functionType('FunctionType', '@convention(c) ');
+            case 'f': return this.functionType('FunctionType', '@convention(thin) ');
+            case 'S': {
+                const sugar = this.next();
+                if (sugar === 'q') return node('Type', {}, [node('BoundGeneric', { sugar: 'Optional' }, [null, node('TypeList', {}, [this.popType()])])]);
+                if (sugar === 'a') return node('Type', {}, [node('BoundGeneric', { sugar: 'Array' }, [null, node('TypeList', {}, [this.popType()])])]);
+                if (sugar === 'D') {
+                    const value = this.popType();
+                    const key = this.popType();
+                    return node('Type', {}, [node('BoundGeneric', { sugar: 'Dictionary' }, [null, node('TypeList', {}, [key, value])])]);
+                }
+                throw new Error('Unsupported sugar');
+            }
+            default:
+                throw new Error(`Unsupported special type X${c}`);
+        }
+    }
+
+    typeAnnotation() {
+        const c = this.next();
+        if (c === 'a') return node('AsyncAnnotation');
+        if (c === 'b') return node('SendableAnnotation');
+        throw new Error(`Unsupported type annotation Y${c}`);
+    }
+
+    tuple() {
+        const elements = [];
+        if (!this.popKind('EmptyList')) {
+            let first = false;
+            do {
+                first = !!this.popKind('FirstElementMarker');
+                const variadic = !!this.popKind('VariadicMarker');
+                const label = this.popKind('Identifier');
+                const type = this.popType();
+                elements.unshift(node('TupleElement', { label: label?.text, variadic }, [type]));
+            } while (!first);
+        }
+        return node('Type', {}, [node('Tuple', {}, elements)]);
+    }
+
+    functionParams() {
+        if (this.popKind('EmptyList')) {
+            return node('Type', {}, [node('Tuple', {}, [])]);
+        }
+        return this.popType();
+    }
+
+    functionType(kind, convention = '') {
+        const annotations = {};
+        for (;;) {
+            if (this.popKind('ThrowsAnnotation')) annotations.throws = true;
+            else if (this.popKind('AsyncAnnotation')) annotations.async = true;
+            else if (this.popKind('SendableAnnotation')) annotations.sendable = true;
+            else break;
+        }
+        const params = this.functionParams();
+        const result = this.functionParams();
+        return node('Type', {}, [node(kind, { ...annotations, convention }, [params, result])]);
+    }
+
+    paramCount(type) {
+        let fn = type.children[0];
+        if (fn.kind === 'GenericFunction') fn = fn.children[1].children[0];
+        if (fn.kind !== 'FunctionType') return 0;
+        const params = fn.children[0].children[0];
+        return params.kind === 'Tuple' ? params.children.length : 1;
+    }
+
+    labelList(type) {
+        if (this.popKind('EmptyList')) return [];
+        if (!type) return null;
+        const count = this.paramCount(type);
+        if (count === 0) return null;
+
+        const labels = [];
+        for (let i = 0; i < count; i++) {
+            const label = this.pop(n => n.kind === 'Identifier' || n.kind === 'FirstElementMarker');
+            if (!label) throw new Error('Expected parameter label');
+            labels.unshift(label.kind === 'Identifier' ? label.text : null);
+        }
+        return labels.some(label => label !== null) ? labels : [];
+    }
+
+    withGenericSignature(signature, type) {
+        if (!signature) return type;
+        return node('Type', {}, [node('GenericFunction', {}, [signature, type])]);
+    }
+
+    plainFunction() {
+        const signature = this.popKind('GenericSignature');
+        const type = this.functionType('FunctionType');
+        const labels = this.labelList(type);
+        const name = this.popDeclName();
+        const context = this.popContext();
+        return node('Function', { labels }, [context, name, this.withGenericSignature(signature, type)]);
+    }
+
+    entity(kind) {
+        const type = this.popType();
+        const labels = this.labelList(type);
+        const name = this.popDeclName();
+        const context = this.popContext();
+        return node(kind, { labels }, [context, name, type]);
+    }
+
+    subscript() {
+        const signature = this.popKind('GenericSignature');
+        const type = this.popType();
+        const labels = this.labelList(type);
+        const context = this.popContext();
+        const entity = node('Subscript', { labels }, [context, node('Identifier', { text: 'subscript' }), this.withGenericSignature(signature, type)]);
+        return this.accessor(entity);
+    }
+
+    accessor(entity) {
+        const c = this.next();
+        if (c === 'p') return entity;
+        let name = accessorNames[c];
+        if (c === 'a' || c === 'l') {
+            this.next();
+            name = c === 'a' ? 'unsafeMutableAddressor' : 'unsafeAddressor';
+        }
+        if (!name) throw new Error(`Unknown accessor ${c}`);
+        return node('Accessor', { text: name }, [entity]);
+    }
+
+    functionEntity() {
+        const c = this.next();
+        const kinds = {
+            D: 'Deallocator', d: 'Destructor', E: 'IVarDestroyer', e: 'IVarInitializer', i: 'Initializer',
+            C: 'Allocator', c: 'Constructor', U: 'ExplicitClosure', u: 'ImplicitClosure', A: 'DefaultArgumentInitializer',
+            P: 'PropertyWrapperBackingInitializer',
+        };
+        const kind = kinds[c];
+        if (!kind) throw new Error(`Unsupported function entity f${c}`);
+
+        let type = null;
+        let labels = null;
+        let index;
+        if (c === 'C' || c === 'c') {
+            const signature = this.popKind('GenericSignature');
+            type = this.popType();
+            labels = this.labelList(type);
+            type = this.withGenericSignature(signature, type);
+        } else if (c === 'U' || c === 'u') {
+            index = this.index();
+            type = this.popType();
+        } else if (c === 'A') {
+            index = this.index();
+        }
+
+        const context = this.popContext();
+        return node(kind, { labels, index }, type ? [context, type] : [context]);
+    }
+
+    metadata() {
+        const c = this.next();
+        const kinds = {
+            a: 'type metadata accessor for', n: 'nominal type descriptor for', f: 'full type metadata for',
+            r: 'type metadata completion function for', i: 'type metadata instantiation function for',
+            l: 'type metadata lazy cache variable for', L: 'type metadata cache for', m: 'metaclass for',
+            p: 'protocol descriptor for',
+        };
+        if (!kinds[c]) throw new Error(`Unsupported metadata M${c}`);
+        return node('Described', { text: kinds[c] }, [this.popType()]);
+    }
+
+    thunk() {
+        const c = this.next();
+        const popEntity = () => {
+            const entity = this.pop(n => entityKinds.has(n.kind) || n.kind === 'Described' || n.kind === 'Thunk');
+            if (!entity) throw new Error('Expected entity');
+            return entity;
+        };
+        switch (c) {
+            case 'A': return node('Thunk', { text: this.simplified ? 'partial apply for' : 'partial apply forwarder for' }, [popEntity()]);
+            case 'o': return node('Thunk', { text: '@objc' }, [popEntity()]);
+            case 'O': return node('Thunk', { text: '@nonobjc' }, [popEntity()]);
+            case 'D': return node('Thunk', { text: 'dynamic' }, [popEntity()]);
+            case 'd': return node('Thunk', { text: 'direct' }, [popEntity()]);
+            case 'm': return node('Thunk', { text: 'merged' }, [popEntity()]);
+            case 'j': return node('Thunk', { text: 'dispatch thunk of' }, [popEntity()]);
+            case 'q': return node('Thunk', { text: 'method descriptor for' }, [popEntity()]);
+            case 'Q':
+            case 'Y': {
+                const index = this.index();
+                const label = c === 'Q' ? 'await resume partial function for' : 'suspend resume partial function for';
+                // Simplified output names just the async function the continuation belongs to
+                return node('Thunk', { text: this.simplified ? '' : `(${index}) ${label}` }, [popEntity()]);
+            }
+            case 'W': {
+                const entity = popEntity();
+                const conformance = this.protocolConformance();
+                return node('ProtocolWitness', {}, [conformance, entity]);
+            }
+            case 'R':
+            case 'r': {
+                this.popKind('GenericSignature');
+                const to = this.popType();
+                const from = this.popType();
+                return node('Reabstraction', { helper: c === 'R' }, [from, to]);
+            }
+            default:
+                throw new Error(`Unsupported thunk T${c}`);
+        }
+    }
+
+    protocolConformance() {
+        this.popKind('GenericSignature');
+        const module = this.popModule();
+        const protocol = this.popType();
+        const type = this.popType();
+        return node('ProtocolConformance', {}, [type, protocol, module]);
+    }
+
+    // Printing
+
+    print(n) {
+        if (!n) return '';
+        const simplified = this.simplified;
+        switch (n.kind) {
+            case 'Type':
+                return this.print(n.children[0]);
+            case 'TypeMangling':
+                return this.print(n.children[0]);
+            case 'TypeMetadata':
+                return `type metadata for ${this.print(n.children[0])}`;
+            case 'Described':
+                return `${n.text} ${this.print(n.children[0])}`;
+            case 'Module':
+                return n.text;
+            case 'Identifier':
+                return n.text;
+            case 'Operator':
+                return `${n.text} ${n.fixity}`;
+            case 'LocalDeclName':
+                return `${this.print(n.children[0])} #${n.index + 1}`;
+            case 'PrivateDeclName':
+                if (n.children.length === 0) return '';
+                return simplified || !n.discriminator
+                    ? this.print(n.children[0])
+                    : `(${this.print(n.children[0])} in ${n.discriminator})`;
+            case 'RelatedEntityDeclName':
+                return this.print(n.children[0]);
+            case 'Class':
+            case 'Structure':
+            case 'Enum':
+            case 'Protocol':
+            case 'TypeAlias':
+                return this.qualified(n.children[0], this.print(n.children[1]));
+            case 'Extension':
+                return simplified
+                    ? this.print(n.children[1])
+                    : `(extension in ${n.children[0].text}):${this.print(n.children[1])}`;
+            case 'BuiltinType':
+                return n.text;
+            case 'BoundGeneric':
+                return this.printBoundGeneric(n);
+            case 'Tuple':
+                return `(${n.children.map(element => this.print(element)).join(', ')})`;
+            case 'TupleElement': {
+                const type = this.print(n.children[0]) + (n.variadic ? '...' : '');
+                return n.label ? `${n.label}: ${type}` : type;
+            }
+            case 'FunctionType':
+                return this.printFunctionType(n);
+            case 'GenericFunction':
+                return this.print(n.children[1]);
+            case 'GenericParam':
+                return this.genericParamName(n);
+            case 'DependentMember':
+                return `${this.print(n.children[0])}.${n.text}`;
+            case 'Metatype':
+                return `${this.print(n.children[0])}.Type`;
+            case 'ProtocolList':
+                if (n.children.length === 0) return n.anyObject ? 'AnyObject' : 'Any';
+                return [...n.children.map(p => this.print(p)), ...(n.anyObject ? ['AnyObject'] : [])].join(' & ');
+            case 'InOut':
+                return `inout ${this.print(n.children[0])}`;
+            case 'Shared':
+                return `__shared ${this.print(n.children[0])}`;
+            case 'Owned':
+                return `__owned ${this.print(n.children[0])}`;
+            case 'Ownership':
+                return `${n.text} ${this.print(n.children[0])}`;
+            case 'DynamicSelf':
+                return 'Self';
+            case 'Static':
+                return `static ${this.print(n.children[0])}`;
+            case 'Function':
+                return this.printFunction(n);
+            case 'Variable':
+                return this.printVariable(n, '');
+            case 'Subscript':
+                return this.printVariable(n, '');
+            case 'Accessor':
+                return this.printVariable(n.children[0], `.${n.text}`);
+            case 'Allocator':
+            case 'Constructor':
+                return this.printInitializer(n, n.kind === 'Allocator' ? '__allocating_init' : 'init');
+            case 'Destructor':
+                return this.qualified(n.children[0], 'deinit');
+            case 'Deallocator':
+                return this.qualified(n.children[0], '__deallocating_deinit');
+            case 'IVarDestroyer':
+                return this.qualified(n.children[0], '__ivar_destroyer');
+            case 'IVarInitializer':
+                return this.qualified(n.children[0], '__ivar_initializer');
+            case 'Initializer':
+                return `variable initialization expression of ${this.print(n.children[0])}`;
+            case 'PropertyWrapperBackingInitializer':
+                return `property wrapper backing initializer of ${this.print(n.children[0])}`;
+            case 'DefaultArgumentInitializer':
+                return `default argument ${n.index} of ${this.print(n.children[0])}`;
+            case 'ExplicitClosure':
+            case 'ImplicitClosure': {
+                const label = n.kind === 'ExplicitClosure' ? 'closure' : 'implicit closure';
+                const type = simplified ? '' : ` ${this.print(n.children[1])}`;
+                return `${label} #${n.index + 1}${type} in ${this.print(n.children[0])}`;
+            }
+            case 'Thunk':
+                return n.text ? `${n.text} ${this.print(n.children[0])}` : this.print(n.children[0]);
+            case 'ProtocolWitness':
+                return `protocol witness for ${this.print(n.children[1])} in conformance ${this.print(n.children[0])}`;
+            case 'ProtocolConformance':
+                return simplified
+                    ? this.print(n.children[0])
+                    : `${this.print(n.children[0])} : ${this.print(n.children[1])} in ${n.children[2].text}`;
+            case 'Reabstraction':
+                return `reabstraction thunk${n.helper ? ' helper' : ''} from ${this.print(n.children[0])} to ${this.print(n.children[1])}`;
+            default:
+                throw new Error(`Cannot print ${n.kind}`);
+        }
+    }
+
+    qualified(context, name) {
+        if (context.kind === 'Module') {
+            return this.simplified ? name : `${context.text}.${name}`;
+        }
+        return `${this.print(context)}.${name}`;
+    }
+
+    genericParamName(n) {
+        let name = '';
+        let index = n.index;
+        do {
+            name = String.fromCharCode(65 + (index % 26)) + name;
+            index = Math.floor(index / 26);
+        } while (index > 0 && name.length < 4);
+        return n.depth > 0 ? `${name}${n.depth}` : name;
+    }
+
+    printBoundGeneric(n) {
+        const args = n.children[1].children.map(arg => this.print(arg));
+        switch (n.sugar) {
+            case 'Optional': {
+                const inner = n.children[1].children[0].children[0];
+                const wrapped = inner && inner.kind === 'FunctionType' ? `(${args[0]})` : args[0];
+                return `${wrapped}?`;
+            }
+            case 'Array':
+                return `[${args[0]}]`;
+            case 'Dictionary':
+                return `[${args[0]} : ${args[1]}]`;
+            default:
+                return `${this.print(n.children[0])}<${args.join(', ')}>`;
+        }
+    }
+
+    printFunctionType(n) {
+        let output = n.convention;
+        if (n.sendable) output += '@Sendable ';
+        output += this.printParams(n.children[0]);
+        if (n.async) output += ' async';
+        if (n.throws) output += ' throws';
+        return `${output} -> ${this.print(n.children[1])}`;
+    }
+
+    printParams(paramsType) {
+        const params = paramsType.children[0];
+        const printed = this.print(params);
+        return params.kind === 'Tuple' ? printed : `(${printed})`;
+    }
+
+    functionParts(typeNode) {
+        let type = typeNode.children[0];
+        let signature = null;
+        if (type.kind === 'GenericFunction') {
+            signature = type.children[0];
+            type = type.children[1].children[0];
+        }
+        return { type, signature };
+    }
+
+    printGenericSignature(signature) {
+        if (!signature || this.simplified) return '';
+        const params = [];
+        signature.paramCounts.forEach((count, depth) => {
+            for (let index = 0; index < count; index++) {
+                params.push(this.genericParamName({ depth, index }));
+            }
+        });
+        const requirements = signature.children.map(r => {
+            return `${this.print(r.children[0])}${r.same ? ' ==' : ':'} ${this.print(r.children[1])}`;
+        });
+        return `<${params.join(', ')}${requirements.length > 0 ? ` where ${requirements.join(', ')}` : ''}>`;
+    }
+
+    // "(x: Swift.Int, Swift.String)" or, simplified, "(x:_:)"
+    printArguments(type, labels) {
+        const params = type.children[0].children[0];
+        const elements = params.kind === 'Tuple' ? params.children.map(e => e.children[0]) : [params];
+        const count = params.kind === 'Tuple' ? elements.length : 1;
+        if (this.simplified) {
+            if (count === 0) return '()';
+            return `(${Array.from({ length: count }, (_, i) => `${(labels && labels[i]) || '_'}:`).join('')})`;
+        }
+        if (count === 0) return '()';
+        const printed = elements.map((element, i) => {
+            const label = labels && labels[i];
+            const typeText = this.print(element);
+            return label ? `${label}: ${typeText}` : typeText;
+        });
+        return `(${printed.join(', ')})`;
+    }
+
+    printFunction(n) {
+        const [context, name, typeNode] = n.children;
+        const { type, signature } = this.functionParts(typeNode);
+        let output = this.qualified(context, this.print(name)) + this.printGenericSignature(signature);
+        output += this.printArguments(type, n.labels);
+        if (!this.simplified) {
+            if (type.async) output += ' async';
+            if (type.throws) output += ' throws';
+            output += ` -> ${this.print(type.children[1])}`;
+        }
+        return output;
+    }
+
+    printInitializer(n, name) {
+        const [context, typeNode] = n.children;
+        const { type, signature } = this.functionParts(typeNode);
+        let output = this.qualified(context, name) + this.printGenericSignature(signature);
+        output += this.printArguments(type, n.labels);
+        if (!this.simplified) {
+            if (type.throws) output += ' throws';
+            output += ` -> ${this.print(type.children[1])}`;
+        }
+        return output;
+    }
+
+    printVariable(n, accessor) {
+        const [context, name, typeNode] = n.children;
+        let output = this.qualified(context, this.print(name)) + accessor;
+        if (!this.simplified) {
+            output += ` : ${this.print(typeNode)}`;
+        }
+        return output;
+    }
+}
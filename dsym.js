@@ -0,0 +1,876 @@
+// dSYM Symbolication
+// Reads the DWARF Mach-O inside a .dSYM bundle (Contents/Resources/DWARF/<name>) entirely in memory:
+// fat/thin Mach-O, LC_UUID, the symbol table, and DWARF 2-5 debug_info/debug_line.
+// Each architecture slice becomes one DwarfSymbolTable, which resolves image offsets to
+// function names, inlined call chains and source file:line.
+
+const MH_MAGIC = 0xfeedface;
+const MH_MAGIC_64 = 0xfeedfacf;
+const FAT_MAGIC = 0xcafebabe;
+const FAT_MAGIC_64 = 0xcafebabf;
+
+const LC_SEGMENT = 0x1;
+const LC_SYMTAB = 0x2;
+const LC_SEGMENT_64 = 0x19;
+const LC_UUID = 0x1b;
+
+const DW_TAG_lexical_block = 0x0b;
+const DW_TAG_compile_unit = 0x11;
+const DW_TAG_inlined_subroutine = 0x1d;
+const DW_TAG_subprogram = 0x2e;
+
+const DW_AT_stmt_list = 0x10;
+const DW_AT_low_pc = 0x11;
+const DW_AT_high_pc = 0x12;
+const DW_AT_name = 0x03;
+const DW_AT_abstract_origin = 0x31;
+const DW_AT_specification = 0x47;
+const DW_AT_ranges = 0x55;
+const DW_AT_call_file = 0x58;
+const DW_AT_call_line = 0x59;
+const DW_AT_linkage_name = 0x6e;
+const DW_AT_str_offsets_base = 0x72;
+const DW_AT_addr_base = 0x73;
+const DW_AT_rnglists_base = 0x74;
+const DW_AT_MIPS_linkage_name = 0x2007;
+
+// Forms whose value is a reference to another DIE, relative to the unit start
+const unitRelativeRefForms = new Set([0x11, 0x12, 0x13, 0x14, 0x15]);
+
+export function isMachO(bytes) {
+    if (bytes.length < 4) return false;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const little = view.getUint32(0, true);
+    const big = view.getUint32(0, false);
+    return little === MH_MAGIC || little === MH_MAGIC_64 || big === FAT_MAGIC || big === FAT_MAGIC_64;
+}
+
+class ByteReader {
+    constructor(bytes, offset = 0, littleEndian = true) {
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.bytes = bytes;
+        this.offset = offset;
+        this.little = littleEndian;
+    }
+
+    u8() {
+        return this.view.getUint8(this.offset++);
+    }
+
+    i8() {
+        return this.view.getInt8(this.offset++);
+    }
+
+    u16() {
+        const value = this.view.getUint16(this.offset, this.little);
+        this.offset += 2;
+        return value;
+    }
+
+    u24() {
+        const low = this.u16();
+        return low + this.u8() * 0x10000;
+    }
+
+    u32() {
+        const value = this.view.getUint32(this.offset, this.little);
+        this.offset += 4;
+        return value;
+    }
+
+    // Addresses fit comfortably in a double; JS numbers keep the line tables fast
+    u64() {
+        const value = this.view.getBigUint64(this.offset, this.little);
+        this.offset += 8;
+        return Number(value);
+    }
+
+    sized(size) {
+        switch (size) {
+            case 1: return this.u8();
+            case 2: return this.u16();
+            case 3: return this.u24();
+            case 4: return this.u32();
+            case 8: return this.u64();
+            default: throw new Error(`Unsupported field size ${size}`);
+        }
+    }
+
+    uleb() {
+        let result = 0;
+        let shift = 1;
+        let byte;
+        do {
+            byte = this.u8();
+            result += (byte & 0x7f) * shift;
+            shift *= 128;
+        } while (byte & 0x80);
+        return result;
+    }
+
+    sleb() {
+        let result = 0;
+        let shift = 1;
+        let byte;
+        do {
+            byte = this.u8();
+            result += (byte & 0x7f) * shift;
+            shift *= 128;
+        } while (byte & 0x80);
+        if (byte & 0x40) {
+            result -= shift;
+        }
+        return result;
+    }
+
+    cstr() {
+        const end = this.bytes.indexOf(0, this.offset);
+        const stop = end === -1 ? this.bytes.length : end;
+        const value = decodeUTF8(this.bytes.subarray(this.offset, stop));
+        this.offset = stop + 1;
+        return value;
+    }
+
+    skip(count) {
+        this.offset += count;
+    }
+}
+
+function decodeUTF8(bytes) {
+    if (typeof TextDecoder !== 'undefined') {
+        return new TextDecoder().decode(bytes);
+    }
+    // JavaScriptCore's shell has no TextDecoder; symbol names are almost always ASCII
+    let value = '';
+    for (let i = 0; i < bytes.length; i++) {
+        value += String.fromCharCode(bytes[i]);
+    }
+    return value;
+}
+
+function cstringAt(section, offset) {
+    if (!section || offset >= section.length) return undefined;
+    return new ByteReader(section, offset).cstr();
+}
+
+function formatUUID(bytes) {
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Split a (possibly fat) Mach-O into its architecture slices
+function machOSlices(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = view.getUint32(0, false);
+    if (magic !== FAT_MAGIC && magic !== FAT_MAGIC_64) {
+        return [bytes];
+    }
+
+    const is64 = magic === FAT_MAGIC_64;
+    const count = view.getUint32(4, false);
+    const slices = [];
+    for (let i = 0; i < count; i++) {
+        const entry = 8 + i * (is64 ? 32 : 20);
+        const offset = is64 ? Number(view.getBigUint64(entry + 8, false)) : view.getUint32(entry + 8, false);
+        const size = is64 ? Number(view.getBigUint64(entry + 16, false)) : view.getUint32(entry + 12, false);
+        slices.push(bytes.subarray(offset, offset + size));
+    }
+    return slices;
+}
+
+function parseMachOSlice(bytes) {
+    const reader = new ByteReader(bytes);
+    const magic = reader.u32();
+    if (magic !== MH_MAGIC && magic !== MH_MAGIC_64) {
+        throw new Error('Not a little-endian Mach-O file');
+    }
+    const is64 = magic === MH_MAGIC_64;
+
+    reader.skip(4 * 3); // cputype, cpusubtype, filetype
+    const commandCount = reader.u32();
+    reader.skip(4); // sizeofcmds
+    reader.skip(4); // flags
+    if (is64) reader.skip(4); // reserved
+
+    const slice = { uuid: null, textAddress: 0, sections: {}, symtab: null, addressSize: is64 ? 8 : 4 };
+
+    for (let i = 0; i < commandCount; i++) {
+        const start = reader.offset;
+        const command = reader.u32();
+        const size = reader.u32();
+
+        if (command === LC_UUID) {
+            slice.uuid = formatUUID(bytes.subarray(reader.offset, reader.offset + 16));
+        } else if (command === LC_SEGMENT || command === LC_SEGMENT_64) {
+            const segmentName = cstringAt(bytes.subarray(reader.offset, reader.offset + 16), 0);
+            reader.skip(16);
+            const vmaddr = is64 ? reader.u64() : reader.u32();
+            reader.skip(is64 ? 8 * 3 : 4 * 3); // vmsize, fileoff, filesize
+            reader.skip(4 * 2); // maxprot, initprot
+            const sectionCount = reader.u32();
+            reader.skip(4); // flags
+
+            if (segmentName === '__TEXT') {
+                slice.textAddress = vmaddr;
+            }
+
+            for (let j = 0; j < sectionCount; j++) {
+                // Object files put every section in one unnamed segment, so check each section's segname
+                const sectionName = cstringAt(bytes.subarray(reader.offset, reader.offset + 16), 0);
+                const sectionSegment = cstringAt(bytes.subarray(reader.offset + 16, reader.offset + 32), 0);
+                reader.skip(32);
+                reader.skip(is64 ? 8 : 4); // addr
+                const sectionSize = is64 ? reader.u64() : reader.u32();
+                const offset = reader.u32();
+                reader.skip(4 * 6 + (is64 ? 4 : 0)); // align, reloff, nreloc, flags, reserved fields
+
+                if (sectionSegment === '__DWARF' && offset !== 0) {
+                    slice.sections[sectionName.replace(/^__/, '')] = bytes.subarray(offset, offset + sectionSize);
+                }
+            }
+        } else if (command === LC_SYMTAB) {
+            slice.symtab = { symoff: reader.u32(), nsyms: reader.u32(), stroff: reader.u32(), strsize: reader.u32() };
+        }
+
+        reader.offset = start + size;
+    }
+
+    slice.symbols = slice.symtab ? readSymtab(bytes, slice.symtab, is64) : [];
+    return slice;
+}
+
+// Defined section symbols, sorted by address
+function readSymtab(bytes, symtab, is64) {
+    const reader = new ByteReader(bytes, symtab.symoff);
+    const strings = bytes.subarray(symtab.stroff, symtab.stroff + symtab.strsize);
+    const symbols = [];
+
+    for (let i = 0; i < symtab.nsyms; i++) {
+        const strx = reader.u32();
+        const type = reader.u8();
+        reader.skip(1 + 2); // n_sect, n_desc
+        const value = is64 ? reader.u64() : reader.u32();
+
+        // Skip debugger stabs and anything not defined in a section
+        if ((type & 0xe0) !== 0 || (type & 0x0e) !== 0x0e) continue;
+
+        let name = cstringAt(strings, strx);
+        if (!name) continue;
+        if (name.startsWith('_')) name = name.slice(1);
+        symbols.push({ address: value, name });
+    }
+
+    symbols.sort((a, b) => a.address - b.address);
+    return symbols;
+}
+
+function parseAbbreviations(section, offset) {
+    const reader = new ByteReader(section, offset);
+    const table = new Map();
+    for (;;) {
+        const code = reader.uleb();
+        if (code === 0) break;
+        const tag = reader.uleb();
+        const hasChildren = reader.u8() !== 0;
+        const attributes = [];
+        for (;;) {
+            const name = reader.uleb();
+            const form = reader.uleb();
+            if (name === 0 && form === 0) break;
+            const attribute = { name, form };
+            if (form === 0x21) {
+                attribute.implicitConst = reader.sleb();
+            }
+            attributes.push(attribute);
+        }
+        table.set(code, { tag, hasChildren, attributes });
+    }
+    return table;
+}
+
+// Read one attribute value; returns a number, string, or { strx } / { addrx } / { rnglistx } for indexed forms
+function readForm(reader, form, unit, implicitConst) {
+    switch (form) {
+        case 0x01: return reader.sized(unit.addressSize); // addr
+        case 0x03: reader.skip(reader.u16()); return undefined; // block2
+        case 0x04: reader.skip(reader.u32()); return undefined; // block4
+        case 0x05: return reader.u16(); // data2
+        case 0x06: return reader.u32(); // data4
+        case 0x07: return reader.u64(); // data8
+        case 0x08: return reader.cstr(); // string
+        case 0x09: reader.skip(reader.uleb()); return undefined; // block
+        case 0x0a: reader.skip(reader.u8()); return undefined; // block1
+        case 0x0b: return reader.u8(); // data1
+        case 0x0c: return reader.u8(); // flag
+        case 0x0d: return reader.sleb(); // sdata
+        case 0x0e: return cstringAt(unit.sections.debug_str, reader.sized(unit.offsetSize)); // strp
+        case 0x0f: return reader.uleb(); // udata
+        case 0x10: return reader.sized(unit.version <= 2 ? unit.addressSize : unit.offsetSize); // ref_addr
+        case 0x11: return reader.u8(); // ref1
+        case 0x12: return reader.u16(); // ref2
+        case 0x13: return reader.u32(); // ref4
+        case 0x14: return reader.u64(); // ref8
+        case 0x15: return reader.uleb(); // ref_udata
+        case 0x16: return readForm(reader, reader.uleb(), unit, implicitConst); // indirect
+        case 0x17: return reader.sized(unit.offsetSize); // sec_offset
+        case 0x18: reader.skip(reader.uleb()); return undefined; // exprloc
+        case 0x19: return 1; // flag_present
+        case 0x1a: return { strx: reader.uleb() }; // strx
+        case 0x1b: return { addrx: reader.uleb() }; // addrx
+        case 0x1c: return reader.u32(); // ref_sup4
+        case 0x1d: reader.skip(unit.offsetSize); return undefined; // strp_sup
+        case 0x1e: reader.skip(16); return undefined; // data16
+        case 0x1f: return cstringAt(unit.sections.debug_line_str, reader.sized(unit.offsetSize)); // line_strp
+        case 0x20: reader.skip(8); return undefined; // ref_sig8
+        case 0x21: return implicitConst; // implicit_const
+        case 0x22: return reader.uleb(); // loclistx
+        case 0x23: return { rnglistx: reader.uleb() }; // rnglistx
+        case 0x24: return reader.u64(); // ref_sup8
+        case 0x25: return { strx: reader.u8() }; // strx1
+        case 0x26: return { strx: reader.u16() }; // strx2
+        case 0x27: return { strx: reader.u24() }; // strx3
+        case 0x28: return { strx: reader.u32() }; // strx4
+        case 0x29: return { addrx: reader.u8() }; // addrx1
+        case 0x2a: return { addrx: reader.u16() }; // addrx2
+        case 0x2b: return { addrx: reader.u24() }; // addrx3
+        case 0x2c: return { addrx: reader.u32() }; // addrx4
+        default: throw new Error(`Unsupported DWARF form 0x${form.toString(16)}`);
+    }
+}
+
+class DwarfUnit {
+    constructor(sections, offset) {
+        this.sections = sections;
+        this.offset = offset;
+
+        const reader = new ByteReader(sections.debug_info, offset);
+        let length = reader.u32();
+        this.offsetSize = 4;
+        if (length === 0xffffffff) {
+            length = reader.u64();
+            this.offsetSize = 8;
+        }
+        this.end = reader.offset + length;
+        this.version = reader.u16();
+
+        let abbrevOffset;
+        this.unitType = 1;
+        if (this.version >= 5) {
+            this.unitType = reader.u8();
+            this.addressSize = reader.u8();
+            abbrevOffset = reader.sized(this.offsetSize);
+            if (this.unitType === 2 || this.unitType === 6) {
+                reader.skip(8 + this.offsetSize); // type signature, type offset
+            } else if (this.unitType === 4 || this.unitType === 5) {
+                reader.skip(8); // dwo id
+            }
+        } else {
+            abbrevOffset = reader.sized(this.offsetSize);
+            this.addressSize = reader.u8();
+        }
+
+        this.dieOffset = reader.offset;
+        this.abbreviations = parseAbbreviations(sections.debug_abbrev, abbrevOffset);
+        this.strOffsetsBase = this.offsetSize === 8 ? 16 : 8;
+        this.addrBase = 8;
+        this.rnglistsBase = this.offsetSize === 8 ? 20 : 12;
+        this.lowPC = 0;
+        this.files = [];
+    }
+
+    string(value) {
+        if (value && value.strx !== undefined) {
+            const reader = new ByteReader(this.sections.debug_str_offs || this.sections.debug_str_offsets, this.strOffsetsBase + value.strx * this.offsetSize);
+            return cstringAt(this.sections.debug_str, reader.sized(this.offsetSize));
+        }
+        return value;
+    }
+
+    address(value) {
+        if (value && value.addrx !== undefined) {
+            const reader = new ByteReader(this.sections.debug_addr, this.addrBase + value.addrx * this.addressSize);
+            return reader.sized(this.addressSize);
+        }
+        return value;
+    }
+
+    // [[low, high), ...] for a DIE's low_pc/high_pc or DW_AT_ranges
+    ranges(die) {
+        if (die.ranges !== undefined) {
+            return this.version >= 5 ? this.readRangeList(die.ranges) : this.readRanges(die.ranges);
+        }
+        if (die.lowPC === undefined || die.highPC === undefined) return [];
+        const low = this.address(die.lowPC);
+        const high = die.highPCIsOffset ? low + die.highPC : this.address(die.highPC);
+        return [[low, high]];
+    }
+
+    readRanges(offset) {
+        const section = this.sections.debug_ranges;
+        if (!section) return [];
+        const reader = new ByteReader(section, offset);
+        const maxAddress = this.addressSize === 8 ? 2 ** 64 - 1 : 0xffffffff;
+        const ranges = [];
+        let base = this.lowPC;
+        for (;;) {
+            const start = reader.sized(this.addressSize);
+            const end = reader.sized(this.addressSize);
+            if (start === 0 && end === 0) break;
+            if (start === maxAddress) {
+                base = end;
+                continue;
+            }
+            ranges.push([base + start, base + end]);
+        }
+        return ranges;
+    }
+
+    readRangeList(value) {
+        const section = this.sections.debug_rnglists;
+        if (!section) return [];
+        let offset = value;
+        if (value && value.rnglistx !== undefined) {
+            const index = new ByteReader(section, this.rnglistsBase + value.rnglistx * this.offsetSize);
+            offset = this.rnglistsBase + index.sized(this.offsetSize);
+        }
+
+        const reader = new ByteReader(section, offset);
+        const ranges = [];
+        let base = this.lowPC;
+        for (;;) {
+            const kind = reader.u8();
+            if (kind === 0) break; // end_of_list
+            switch (kind) {
+                case 1: base = this.address({ addrx: reader.uleb() }); break; // base_addressx
+                case 2: { // startx_endx
+                    const start = this.address({ addrx: reader.uleb() });
+                    ranges.push([start, this.address({ addrx: reader.uleb() })]);
+                    break;
+                }
+                case 3: { // startx_length
+                    const start = this.address({ addrx: reader.uleb() });
+                    ranges.push([start, start + reader.uleb()]);
+                    break;
+                }
+                case 4: { // offset_pair
+                    const start = reader.uleb();
+                    ranges.push([base + start, base + reader.uleb()]);
+                    break;
+                }
+                case 5: base = reader.sized(this.addressSize); break; // base_address
+                case 6: { // start_end
+                    const start = reader.sized(this.addressSize);
+                    ranges.push([start, reader.sized(this.addressSize)]);
+                    break;
+                }
+                case 7: { // start_length
+                    const start = reader.sized(this.addressSize);
+                    ranges.push([start, start + reader.uleb()]);
+                    break;
+                }
+                default:
+                    return ranges;
+            }
+        }
+        return ranges;
+    }
+}
+
+// Walk every DIE in a unit, keeping only what symbolication needs
+function readUnitDIEs(unit, diesByOffset) {
+    const reader = new ByteReader(unit.sections.debug_info, unit.dieOffset);
+    const stack = [];
+    let root = null;
+
+    while (reader.offset < unit.end) {
+        const offset = reader.offset;
+        const code = reader.uleb();
+        if (code === 0) {
+            stack.pop();
+            if (stack.length === 0) break;
+            continue;
+        }
+
+        const abbreviation = unit.abbreviations.get(code);
+        if (!abbreviation) {
+            throw new Error(`Missing DWARF abbreviation ${code}`);
+        }
+
+        const die = { offset, tag: abbreviation.tag, unit, children: null };
+        abbreviation.attributes.forEach(({ name, form, implicitConst }) => {
+            let value = readForm(reader, form, unit, implicitConst);
+            if (unitRelativeRefForms.has(form)) {
+                value += unit.offset;
+            }
+            switch (name) {
+                case DW_AT_name: die.name = value; break;
+                case DW_AT_linkage_name:
+                case DW_AT_MIPS_linkage_name: die.linkageName = value; break;
+                case DW_AT_low_pc: die.lowPC = value; break;
+                case DW_AT_high_pc:
+                    die.highPC = value;
+                    die.highPCIsOffset = form !== 0x01 && !(value && value.addrx !== undefined);
+                    break;
+                case DW_AT_ranges: die.ranges = value; break;
+                case DW_AT_abstract_origin: die.abstractOrigin = value; break;
+                case DW_AT_specification: die.specification = value; break;
+                case DW_AT_call_file: die.callFile = value; break;
+                case DW_AT_call_line: die.callLine = value; break;
+                case DW_AT_stmt_list: die.stmtList = value; break;
+                case DW_AT_str_offsets_base: unit.strOffsetsBase = value; break;
+                case DW_AT_addr_base: unit.addrBase = value; break;
+                case DW_AT_rnglists_base: unit.rnglistsBase = value; break;
+            }
+        });
+
+        diesByOffset.set(offset, die);
+
+        const parent = stack[stack.length - 1];
+        if (!root) {
+            root = die;
+        } else if (parent && (die.tag === DW_TAG_subprogram || die.tag === DW_TAG_inlined_subroutine || die.tag === DW_TAG_lexical_block)) {
+            (parent.children = parent.children || []).push(die);
+        }
+
+        if (abbreviation.hasChildren) {
+            stack.push(die);
+        } else if (stack.length === 0) {
+            break;
+        }
+    }
+
+    return root;
+}
+
+// DWARF 5 directory and file name tables; only DW_LNCT_path is kept
+function readEntryPaths(reader, unit, formats, count) {
+    const paths = [];
+    for (let i = 0; i < count; i++) {
+        let path;
+        formats.forEach(({ type, form }) => {
+            const value = unit.string(readForm(reader, form, unit));
+            if (type === 1) path = value;
+        });
+        paths.push(path);
+    }
+    return paths;
+}
+
+// Decode a line number program into sequences of { address, file, line } rows
+function readLineProgram(unit, offset, sequences) {
+    const section = unit.sections.debug_line;
+    if (!section) return [];
+
+    const reader = new ByteReader(section, offset);
+    let length = reader.u32();
+    let offsetSize = 4;
+    if (length === 0xffffffff) {
+        length = reader.u64();
+        offsetSize = 8;
+    }
+    const end = reader.offset + length;
+    const version = reader.u16();
+    let addressSize = unit.addressSize;
+    if (version >= 5) {
+        addressSize = reader.u8();
+        reader.skip(1); // segment selector size
+    }
+    const headerLength = reader.sized(offsetSize);
+    const programStart = reader.offset + headerLength;
+    const minimumInstructionLength = reader.u8();
+    if (version >= 4) reader.skip(1); // maximum operations per instruction
+    reader.skip(1); // default_is_stmt
+    const lineBase = reader.i8();
+    const lineRange = reader.u8();
+    const opcodeBase = reader.u8();
+    const standardOpcodeLengths = [];
+    for (let i = 1; i < opcodeBase; i++) {
+        standardOpcodeLengths[i] = reader.u8();
+    }
+
+    // File names, by the index the line program and DW_AT_call_file use
+    let files = [];
+    if (version >= 5) {
+        const lineUnit = { ...unit, offsetSize, string: value => unit.string(value) };
+        const readFormats = () => {
+            const formats = [];
+            const count = reader.u8();
+            for (let i = 0; i < count; i++) {
+                formats.push({ type: reader.uleb(), form: reader.uleb() });
+            }
+            return formats;
+        };
+        readEntryPaths(reader, lineUnit, readFormats(), reader.uleb()); // directories
+        files = readEntryPaths(reader, lineUnit, readFormats(), reader.uleb());
+    } else {
+        while (reader.cstr() !== '') {
+            // include_directories are not needed for file:line display
+        }
+        files.push(undefined); // file indices start at 1
+        for (;;) {
+            const path = reader.cstr();
+            if (path === '') break;
+            reader.uleb(); // directory index
+            reader.uleb(); // modification time
+            reader.uleb(); // length
+            files.push(path);
+        }
+    }
+
+    reader.offset = programStart;
+    let address = 0;
+    let file = 1;
+    let line = 1;
+    let sequence = [];
+
+    const emit = (endSequence) => {
+        sequence.push({ address, file: files[file], line, end: endSequence });
+    };
+    const reset = () => {
+        address = 0;
+        file = 1;
+        line = 1;
+    };
+
+    while (reader.offset < end) {
+        const opcode = reader.u8();
+        if (opcode >= opcodeBase) {
+            const adjusted = opcode - opcodeBase;
+            address += Math.floor(adjusted / lineRange) * minimumInstructionLength;
+            line += lineBase + (adjusted % lineRange);
+            emit(false);
+            continue;
+        }
+
+        switch (opcode) {
+            case 0: { // extended
+                const size = reader.uleb();
+                const next = reader.offset + size;
+                const extended = reader.u8();
+                if (extended === 1) { // end_sequence
+                    emit(true);
+                    if (sequence.length > 1) sequences.push(sequence);
+                    sequence = [];
+                    reset();
+                } else if (extended === 2) { // set_address
+                    address = reader.sized(addressSize);
+                } else if (extended === 3) { // define_file
+                    files.push(reader.cstr());
+                }
+                reader.offset = next;
+                break;
+            }
+            case 1: emit(false); break; // copy
+            case 2: address += reader.uleb() * minimumInstructionLength; break; // advance_pc
+            case 3: line += reader.sleb(); break; // advance_line
+            case 4: file = reader.uleb(); break; // set_file
+            case 8: address += Math.floor((255 - opcodeBase) / lineRange) * minimumInstructionLength; break; // const_add_pc
+            case 9: address += reader.u16(); break; // fixed_advance_pc
+            default:
+                // set_column, negate_stmt, set_basic_block, prologue/epilogue, set_isa and unknown opcodes
+                for (let i = 0; i < (standardOpcodeLengths[opcode] || 0); i++) {
+                    reader.uleb();
+                }
+        }
+    }
+
+    return files;
+}
+
+function baseName(path) {
+    return path ? path.split('/').pop() : undefined;
+}
+
+export class DwarfSymbolTable {
+    constructor(slice, source = null) {
+        this.uuid = slice.uuid;
+        this.source = source;
+        this.textAddress = slice.textAddress;
+        this.symbols = slice.symbols;
+        this.functions = [];
+        this.lineRows = [];
+        this.diesByOffset = new Map();
+
+        if (slice.sections.debug_info && slice.sections.debug_abbrev) {
+            this.readDebugInfo(slice.sections);
+        }
+    }
+
+    get count() {
+        return this.functions.length || this.symbols.length;
+    }
+
+    readDebugInfo(sections) {
+        const sequences = [];
+        const units = [];
+
+        let offset = 0;
+        while (offset < sections.debug_info.length) {
+            const unit = new DwarfUnit(sections, offset);
+            const root = readUnitDIEs(unit, this.diesByOffset);
+            if (root && root.tag === DW_TAG_compile_unit) {
+                units.push({ unit, root });
+            }
+            offset = unit.end;
+        }
+
+        units.forEach(({ unit, root }) => {
+            unit.lowPC = unit.address(root.lowPC) || 0;
+            if (root.stmtList !== undefined) {
+                unit.files = readLineProgram(unit, root.stmtList, sequences);
+            }
+
+            const collect = (die) => {
+                (die.children || []).forEach(child => {
+                    if (child.tag === DW_TAG_subprogram) {
+                        unit.ranges(child).forEach(([low, high]) => {
+                            if (high > low) this.functions.push({ low, high, die: child });
+                        });
+                    }
+                    collect(child);
+                });
+            };
+            collect(root);
+        });
+
+        this.functions.sort((a, b) => a.low - b.low);
+        sequences.sort((a, b) => a[0].address - b[0].address);
+        this.lineRows = sequences.flat();
+    }
+
+    // Name for a DIE, following abstract_origin and specification
+    dieName(die) {
+        let current = die;
+        for (let depth = 0; current && depth < 8; depth++) {
+            const name = current.linkageName || current.name;
+            if (name) return current.unit.string(name);
+            current = this.diesByOffset.get(current.abstractOrigin ?? current.specification);
+        }
+        return undefined;
+    }
+
+    lineAt(address) {
+        const rows = this.lineRows;
+        let low = 0;
+        let high = rows.length - 1;
+        let found = null;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (rows[mid].address <= address) {
+                found = rows[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        if (!found || found.end) return null;
+        return found;
+    }
+
+    functionAt(address) {
+        let low = 0;
+        let high = this.functions.length - 1;
+        let found = null;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.functions[mid].low <= address) {
+                found = this.functions[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found && address < found.high ? found : null;
+    }
+
+    symbolAt(address) {
+        let low = 0;
+        let high = this.symbols.length - 1;
+        let found = null;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.symbols[mid].address <= address) {
+                found = this.symbols[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    // Resolve an offset from the image load address. Caller frames hold return addresses,
+    // so they are looked up one byte earlier to land inside the call instruction.
+    // Returns { symbol, symbolLocation, sourceFile, sourceLine, inlined } where `inlined`
+    // lists the inlined frames innermost first, each { symbol, symbolLocation, sourceFile, sourceLine }.
+    lookup(imageOffset, isReturnAddress = false) {
+        const pc = this.textAddress + Number(imageOffset);
+        const address = isReturnAddress ? pc - 1 : pc;
+
+        const func = this.functionAt(address);
+        if (!func) {
+            const symbol = this.symbolAt(pc);
+            if (!symbol) return null;
+            return { symbol: symbol.name, symbolLocation: BigInt(pc - symbol.address) };
+        }
+
+        // Chain of inlined subroutines containing the address, outermost first
+        const chain = [];
+        let scope = func.die;
+        for (;;) {
+            const next = (scope.children || []).find(child => {
+                if (child.tag !== DW_TAG_inlined_subroutine && child.tag !== DW_TAG_lexical_block) return false;
+                return child.unit.ranges(child).some(([low, high]) => address >= low && address < high);
+            });
+            if (!next) break;
+            if (next.tag === DW_TAG_inlined_subroutine) chain.push(next);
+            scope = next;
+        }
+
+        const files = func.die.unit.files;
+        const row = this.lineAt(address);
+        let sourceFile = baseName(row?.file);
+        let sourceLine = row?.line;
+
+        // Innermost inlined function gets the line table location, each caller the call site below it
+        const inlined = [];
+        for (let i = chain.length - 1; i >= 0; i--) {
+            const die = chain[i];
+            const start = die.unit.ranges(die).find(([low, high]) => address >= low && address < high)?.[0] ?? pc;
+            inlined.push({
+                symbol: this.dieName(die) || '???',
+                symbolLocation: BigInt(pc - start),
+                sourceFile,
+                sourceLine: sourceLine !== undefined ? BigInt(sourceLine) : undefined,
+            });
+            // Units without a line program (no DW_AT_stmt_list) have no file table to name the call site
+            sourceFile = baseName(files?.[die.callFile]);
+            sourceLine = sourceFile !== undefined ? die.callLine : undefined;
+        }
+
+        const symbolName = this.dieName(func.die) || this.symbolAt(pc)?.name || '???';
+        return {
+            symbol: symbolName,
+            symbolLocation: BigInt(pc - func.low),
+            sourceFile,
+            sourceLine: sourceLine !== undefined ? BigInt(sourceLine) : undefined,
+            inlined,
+        };
+    }
+}
+
+// Parse a dSYM DWARF file (or any Mach-O with a symbol table) into one table per architecture
+export function parseDSYM(bytes, source = null) {
+    const tables = machOSlices(bytes).map(sliceBytes => {
+        const slice = parseMachOSlice(sliceBytes);
+        if (!slice.uuid) {
+            throw new Error(`No LC_UUID in ${source || 'Mach-O file'}.`);
+        }
+        return new DwarfSymbolTable(slice, source);
+    });
+
+    if (tables.every(table => table.count === 0)) {
+        throw new Error(`No symbols or debug info found in ${source || 'Mach-O file'}.`);
+    }
+    return tables;
+}
@@ -0,0 +1,239 @@
+// Exception Codes
+// Explains a crash report's exception type, signal and codes in plain terms, decoding the bit fields
+// Apple packs into them (from xnu's mach/kern_return.h, mach/arm/exception.h, kern/exc_resource.h and kern/exc_guard.h):
+//
+//   explainException(model.exception, model.crashedThread?.threadState);
+//   // ['SIGSEGV: invalid memory access', 'KERN_INVALID_ADDRESS at 0x10: nothing is mapped at this address; ...']
+
+import { decodeESR, describeBreakpoint, nullPointerRange } from './fault-registers.js';
+
+const signals = {
+    SIGSEGV: 'invalid memory access',
+    SIGBUS: 'bus error: a misaligned access, or memory that can no longer be backed (such as a truncated memory-mapped file)',
+    SIGILL: 'illegal instruction',
+    SIGTRAP: 'trace or breakpoint trap, which is how Swift runtime errors and __builtin_trap() stop the process',
+    SIGABRT: 'the process aborted itself, with abort(), an uncaught exception or a failed assertion',
+    SIGKILL: 'killed, usually by the system; the termination reason says why',
+    SIGFPE: 'arithmetic error, such as an integer division by zero',
+    SIGSYS: 'bad system call',
+    SIGPIPE: 'write to a pipe or socket with no reader',
+    SIGQUIT: 'quit, usually by another process',
+    SIGTERM: 'asked to terminate',
+};
+
+// kern_return_t values seen as the first EXC_BAD_ACCESS code
+const kernReturns = {
+    1: ['KERN_INVALID_ADDRESS', 'nothing is mapped at this address'],
+    2: ['KERN_PROTECTION_FAILURE', 'the address is mapped, but not for this kind of access (a write to read-only memory, or running code from data)'],
+    9: ['KERN_MEMORY_FAILURE', 'the memory could not be paged in'],
+    10: ['KERN_MEMORY_ERROR', 'the memory could not be read, e.g. a memory-mapped file on a failing or removed disk'],
+    50: ['KERN_CODESIGN_ERROR', 'the page failed code signature validation'],
+};
+
+// Machine-specific first codes of EXC_BAD_ACCESS on arm64
+const armBadAccessCodes = {
+    0x101: ['EXC_ARM_DA_ALIGN', 'misaligned data access'],
+    0x102: ['EXC_ARM_DA_DEBUG', 'watchpoint hit'],
+    0x103: ['EXC_ARM_SP_ALIGN', 'misaligned stack pointer'],
+    0x104: ['EXC_ARM_SWP', 'SWP instruction'],
+    0x105: ['EXC_ARM_PAC_FAIL', 'pointer authentication failed: the pointer was corrupted or signed for another context'],
+};
+
+const armArithmeticCodes = {
+    1: 'invalid floating point operation',
+    2: 'floating point division by zero',
+    3: 'floating point overflow',
+    4: 'floating point underflow',
+    5: 'inexact floating point result',
+    6: 'denormal floating point input',
+};
+
+const resourceTypes = {
+    1: 'CPU',
+    2: 'WAKEUPS',
+    3: 'MEMORY',
+    4: 'IO',
+    5: 'THREADS',
+    6: 'PORTS',
+};
+
+function describeResource(code, subcode) {
+    const type = Number((code >> 61n) & 0x7n);
+    const flavor = Number((code >> 58n) & 0x7n);
+    const name = resourceTypes[type] || `type ${type}`;
+
+    switch (type) {
+        case 1: {
+            const interval = (code >> 7n) & 0x1ffffffn;
+            const limit = code & 0x7fn;
+            const fatal = flavor === 2 ? ' (fatal)' : '';
+            const observed = subcode !== null ? `, observed ${subcode & 0x7fn}%` : '';
+            return `${name}${fatal}: limit ${limit}% CPU over ${interval} seconds${observed}`;
+        }
+        case 2: {
+            const interval = (code >> 20n) & 0xfffffn;
+            const limit = code & 0xfffn;
+            const observed = subcode !== null ? `, observed ${subcode & 0xfffffn}` : '';
+            return `${name}: limit ${limit} wakeups per second over ${interval} seconds${observed}`;
+        }
+        case 3:
+            return `${name}: exceeded the memory limit of ${code & 0x1fffn} MB`;
+        case 4: {
+            const interval = (code >> 15n) & 0x1ffffn;
+            const limit = code & 0x7fffn;
+            const writes = flavor === 2 ? 'logical' : 'physical';
+            const observed = subcode !== null ? `, observed ${subcode & 0x7fffn} MB` : '';
+            return `${name}: limit ${limit} MB of ${writes} writes over ${interval} seconds${observed}`;
+        }
+        case 5:
+            return `${name}: exceeded the limit of ${code & 0x7fffn} threads`;
+        case 6:
+            return `${name}: the Mach port table is full (limit ${code & 0xffffffn} ports)`;
+        default:
+            return name;
+    }
+}
+
+const guardTypes = {
+    1: 'GUARD_TYPE_MACH_PORT',
+    2: 'GUARD_TYPE_FD',
+    3: 'GUARD_TYPE_USER',
+    4: 'GUARD_TYPE_VN',
+    5: 'GUARD_TYPE_VIRT_MEMORY',
+    6: 'GUARD_TYPE_REJECTED_SC',
+};
+
+// Bit flags for file descriptors and vnodes; a plain value for Mach ports
+const guardFlavors = {
+    1: {
+        1: 'kGUARD_EXC_DESTROY', 2: 'kGUARD_EXC_MOD_REFS', 3: 'kGUARD_EXC_INVALID_OPTIONS', 4: 'kGUARD_EXC_SET_CONTEXT',
+        8: 'kGUARD_EXC_UNGUARDED', 16: 'kGUARD_EXC_INCORRECT_GUARD', 32: 'kGUARD_EXC_IMMOVABLE', 64: 'kGUARD_EXC_STRICT_REPLY',
+        256: 'kGUARD_EXC_INVALID_RIGHT', 512: 'kGUARD_EXC_INVALID_NAME', 1024: 'kGUARD_EXC_INVALID_VALUE',
+    },
+    2: {
+        1: 'kGUARD_EXC_CLOSE', 2: 'kGUARD_EXC_DUP', 4: 'kGUARD_EXC_NOCLOEXEC', 8: 'kGUARD_EXC_SOCKET_IPC',
+        16: 'kGUARD_EXC_FILEPORT', 32: 'kGUARD_EXC_MISMATCH', 64: 'kGUARD_EXC_WRITE',
+    },
+    4: {
+        1: 'kGUARD_EXC_RENAME_TO', 2: 'kGUARD_EXC_RENAME_FROM', 4: 'kGUARD_EXC_UNLINK', 8: 'kGUARD_EXC_WRITE_OTHER',
+        16: 'kGUARD_EXC_TRUNC_OTHER', 32: 'kGUARD_EXC_LINK', 64: 'kGUARD_EXC_EXCHDATA',
+    },
+    5: { 1: 'kGUARD_EXC_DEALLOC_GAP' },
+};
+
+function describeGuard(code, subcode) {
+    const type = Number((code >> 61n) & 0x7n);
+    const flavor = Number((code >> 32n) & 0x1fffffffn);
+    const target = code & 0xffffffffn;
+    const typeName = guardTypes[type] || `guard type ${type}`;
+
+    const flavorNames = guardFlavors[type] || {};
+    let flavorName = flavorNames[flavor];
+    if (!flavorName && type !== 1) {
+        const flags = Object.entries(flavorNames).filter(([bit]) => flavor & Number(bit)).map(([, name]) => name);
+        flavorName = flags.join(' | ');
+    }
+
+    const parts = [`${typeName}, ${flavorName || `flavor 0x${flavor.toString(16)}`}`];
+    if (type === 1) {
+        parts.push(`on Mach port 0x${target.toString(16)}`);
+    } else if (type === 2) {
+        parts.push(`on file descriptor ${target}`);
+    }
+    if (subcode !== null) {
+        parts.push(`guard 0x${subcode.toString(16)}`);
+    }
+
+    const hints = {
+        1: 'a guarded Mach port was misused, often one owned by a system framework',
+        2: 'a guarded file descriptor was closed or used by code that does not own it, often a double close() that hit a descriptor a framework (such as SQLite) had guarded',
+        4: 'a guarded file was renamed, deleted or written by code that does not own it',
+        5: 'guarded virtual memory was deallocated',
+        6: 'a system call this process is not allowed to make',
+    };
+    return `${parts.join(' ')}${hints[type] ? `: ${hints[type]}` : ''}`;
+}
+
+// Codes as BigInts, from the "0x..., 0x..." string reports print (exact) or the raw numbers
+function readCodes(exception) {
+    const text = String(exception.codes ?? '');
+    if (/^\s*0x[0-9a-f]+(\s*,\s*0x[0-9a-f]+)*\s*$/i.test(text)) {
+        return text.split(',').map(code => BigInt(code.trim()));
+    }
+    if (Array.isArray(exception.rawCodes)) {
+        return exception.rawCodes.map(code => BigInt(code));
+    }
+    return [];
+}
+
+// "invalid memory access" for SIGSEGV, or null for signals without an explanation
+export function describeSignal(signal) {
+    return signals[signal] || null;
+}
+
+// "SIGSEGV: invalid memory access", or null for signals without an explanation
+export function explainSignal(signal) {
+    return signals[signal] ? `${signal}: ${signals[signal]}` : null;
+}
+
+// Explanations, one line each, for an exception from CrashReportModel; threadState is the crashed thread's, if any
+export function explainException(exception, threadState = null) {
+    if (!exception) return [];
+    const lines = [];
+
+    const signal = explainSignal(exception.signal);
+    if (signal) {
+        lines.push(signal);
+    }
+
+    const [code, subcode = null] = readCodes(exception);
+    if (code === undefined) return lines;
+
+    switch (exception.type) {
+        case 'EXC_BAD_ACCESS': {
+            const known = kernReturns[Number(code)] || armBadAccessCodes[Number(code)];
+            if (known) {
+                let text = `${known[0]}${subcode !== null ? ` at 0x${subcode.toString(16)}` : ''}: ${known[1]}`;
+                if (Number(code) === 1 && subcode !== null && subcode < nullPointerRange) {
+                    text += '; the address is close to zero, so this is most likely a NULL pointer dereference';
+                }
+                lines.push(text);
+            } else if (Number(code) === 13) {
+                lines.push('EXC_I386_GPFLT: general protection fault, usually a non-canonical (garbage) pointer');
+            }
+            break;
+        }
+        case 'EXC_BAD_INSTRUCTION':
+            if (subcode !== null) {
+                lines.push(`undefined instruction 0x${subcode.toString(16).padStart(8, '0')}`);
+            }
+            break;
+        case 'EXC_ARITHMETIC':
+            if (armArithmeticCodes[Number(code)]) {
+                lines.push(armArithmeticCodes[Number(code)]);
+            }
+            break;
+        case 'EXC_BREAKPOINT': {
+            const esr = threadState?.esr?.value;
+            const immediate = esr !== undefined ? decodeESR(esr).breakpoint : null;
+            const meaning = immediate !== null ? describeBreakpoint(immediate) : null;
+            if (immediate !== null) {
+                lines.push(`brk #0x${immediate.toString(16)}${meaning ? `: ${meaning}` : ''}`);
+            }
+            if (subcode !== null && subcode !== 0n) {
+                lines.push(`trap instruction at 0x${subcode.toString(16)}`);
+            }
+            break;
+        }
+        case 'EXC_RESOURCE':
+            lines.push(describeResource(code, subcode));
+            break;
+        case 'EXC_GUARD':
+            lines.push(describeGuard(code, subcode));
+            break;
+        default:
+            break;
+    }
+
+    return lines;
+}
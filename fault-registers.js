@@ -0,0 +1,244 @@
+// Fault Registers
+// Decodes the arm64 fault registers of a crashed thread: ESR_EL1 (why the exception was taken) and
+// FAR_EL1 (the address that faulted), following the Arm Architecture Reference Manual (D17.2.37 ESR_EL1):
+//
+//   explainFaultRegisters(thread.threadState, report.vmRegionInfo);
+//   // [{ register: 'esr', value: 0x92000006n, summary: 'Data Abort from a lower exception level (EC 0x24)',
+//   //    details: ['IL 1: 32-bit instruction', 'DFSC 0x06: translation fault, level 2', 'WnR 0: read'] },
+//   //  { register: 'far', value: 0x10n, summary: 'near NULL', details: ['...'] }]
+
+// Exception classes, ESR bits [31:26]
+const exceptionClasses = {
+    0x00: 'Unknown reason',
+    0x01: 'Trapped WFI or WFE instruction',
+    0x07: 'Trapped SIMD or floating point access',
+    0x09: 'Trapped pointer authentication instruction',
+    0x0e: 'Illegal execution state',
+    0x15: 'SVC instruction (system call)',
+    0x18: 'Trapped MSR, MRS or system instruction',
+    0x19: 'Trapped SVE access',
+    0x1c: 'Pointer authentication failure',
+    0x20: 'Instruction Abort from a lower exception level',
+    0x21: 'Instruction Abort without a change in exception level',
+    0x22: 'PC alignment fault',
+    0x24: 'Data Abort from a lower exception level',
+    0x25: 'Data Abort without a change in exception level',
+    0x26: 'SP alignment fault',
+    0x2c: 'Trapped floating point exception',
+    0x2f: 'SError interrupt',
+    0x30: 'Breakpoint from a lower exception level',
+    0x31: 'Breakpoint without a change in exception level',
+    0x32: 'Software step from a lower exception level',
+    0x33: 'Software step without a change in exception level',
+    0x34: 'Watchpoint from a lower exception level',
+    0x35: 'Watchpoint without a change in exception level',
+    0x3c: 'BRK instruction',
+};
+
+// Data and instruction fault status codes (DFSC / IFSC), ISS bits [5:0]; levels are in the low two bits
+function describeFaultStatus(status) {
+    const level = status & 0x3;
+    switch (status & 0x3c) {
+        case 0x00: return `address size fault, level ${level}`;
+        case 0x04: return `translation fault, level ${level}: nothing is mapped at the address`;
+        case 0x08: return `access flag fault, level ${level}`;
+        case 0x0c: return `permission fault, level ${level}: the page is mapped, but not for this access`;
+        case 0x14: return `synchronous external abort on translation table walk, level ${level}`;
+        default: break;
+    }
+    const others = {
+        0x10: 'synchronous external abort',
+        0x11: 'synchronous tag check fault (memory tagging)',
+        0x18: 'synchronous parity or ECC error',
+        0x21: 'alignment fault',
+        0x22: 'debug exception',
+        0x30: 'TLB conflict abort',
+        0x31: 'unsupported atomic hardware update',
+        0x34: 'lockdown (implementation defined)',
+        0x35: 'unsupported exclusive or atomic access (implementation defined)',
+    };
+    return others[status] || 'reserved';
+}
+
+const accessSizes = ['byte', 'halfword', 'word', 'doubleword'];
+const pointerAuthKeys = ['IA', 'IB', 'DA', 'DB'];
+
+// BRK immediates compilers and runtimes emit on arm64
+export function describeBreakpoint(immediate) {
+    if (immediate === 1) {
+        return 'a Swift runtime trap or __builtin_trap(): a force unwrap of nil, an index out of range, arithmetic overflow, '
+            + 'a failed precondition or fatalError() (the Application Specific Information or the top frame usually says which)';
+    }
+    if (immediate === 0xf000) {
+        return '__builtin_debugtrap(), a breakpoint placed in the code';
+    }
+    if (immediate >= 0xc470 && immediate <= 0xc473) {
+        return `pointer authentication failure (key ${pointerAuthKeys[immediate - 0xc470]}): a signed pointer was corrupted`;
+    }
+    if ((immediate & 0xff00) === 0x5500) {
+        return `an Undefined Behavior Sanitizer trap (check ${immediate & 0xff})`;
+    }
+    return null;
+}
+
+function hex(value, digits = 0) {
+    return `0x${value.toString(16).padStart(digits, '0')}`;
+}
+
+// { exceptionClass, className, instructionLength, iss, details, breakpoint, farValid } for an ESR value;
+// breakpoint is the BRK immediate, or null for other exception classes
+export function decodeESR(value) {
+    const esr = BigInt(value);
+    const exceptionClass = Number((esr >> 26n) & 0x3fn);
+    const iss = Number(esr & 0x1ffffffn);
+    const instructionLength = (esr >> 25n) & 1n ? 32 : 16;
+    const details = [`IL ${instructionLength === 32 ? 1 : 0}: ${instructionLength}-bit instruction`];
+    let breakpoint = null;
+    let farValid = false;
+
+    switch (exceptionClass) {
+        case 0x24:
+        case 0x25: {
+            const status = iss & 0x3f;
+            farValid = !(iss & (1 << 10));
+            details.push(`DFSC ${hex(status, 2)}: ${describeFaultStatus(status)}`);
+            if (status !== 0x21 && status !== 0x22) {
+                details.push(iss & (1 << 8)
+                    ? 'CM 1: a cache maintenance instruction'
+                    : `WnR ${(iss >> 6) & 1}: ${iss & (1 << 6) ? 'write' : 'read'}`);
+            }
+            if (iss & (1 << 24)) {
+                details.push(`SAS ${(iss >> 22) & 3}: ${accessSizes[(iss >> 22) & 3]} access through register ${iss & (1 << 15) ? 'x' : 'w'}${(iss >> 16) & 0x1f}`);
+            }
+            if (iss & (1 << 7)) {
+                details.push('S1PTW 1: the fault happened walking the translation tables');
+            }
+            if (!farValid) {
+                details.push('FnV 1: the FAR does not hold the faulting address');
+            }
+            break;
+        }
+        case 0x20:
+        case 0x21: {
+            const status = iss & 0x3f;
+            farValid = !(iss & (1 << 10));
+            details.push(`IFSC ${hex(status, 2)}: ${describeFaultStatus(status)}`);
+            details.push('the processor could not fetch an instruction, so the program counter was not a valid code address');
+            break;
+        }
+        case 0x22:
+            farValid = true;
+            details.push('the program counter was not 4-byte aligned, usually a jump through a corrupted function pointer');
+            break;
+        case 0x26:
+            details.push('the stack pointer was not 16-byte aligned');
+            break;
+        case 0x34:
+        case 0x35:
+            farValid = true;
+            details.push(`WnR ${(iss >> 6) & 1}: ${iss & (1 << 6) ? 'write' : 'read'}`);
+            break;
+        case 0x3c: {
+            breakpoint = iss & 0xffff;
+            const meaning = describeBreakpoint(breakpoint);
+            details.push(`BRK #${hex(breakpoint)}${meaning ? `: ${meaning}` : ''}`);
+            break;
+        }
+        case 0x1c:
+            details.push(`key ${pointerAuthKeys[iss & 3]}: an authenticated ${iss & 2 ? 'data' : 'instruction'} pointer did not match its signature`);
+            break;
+        case 0x15:
+            details.push(`SVC #${hex(iss & 0xffff)}`);
+            break;
+        case 0x18: {
+            const field = (shift, mask) => (iss >> shift) & mask;
+            details.push(`${iss & 1 ? 'read of' : 'write to'} system register S${field(20, 3)}_${field(14, 7)}_C${field(10, 0xf)}_C${field(1, 0xf)}_${field(17, 7)}`);
+            break;
+        }
+        default:
+            if (iss) {
+                details.push(`ISS ${hex(iss)}`);
+            }
+            break;
+    }
+
+    return {
+        exceptionClass,
+        className: exceptionClasses[exceptionClass] || 'Reserved exception class',
+        instructionLength,
+        iss,
+        details,
+        breakpoint,
+        farValid,
+    };
+}
+
+// Addresses this close to zero are a field or element read through a NULL pointer
+export const nullPointerRange = 0x10000n;
+// User space addresses on Apple platforms fit in 47 bits; anything above is a tag, a PAC signature or garbage
+export const addressMask = (1n << 47n) - 1n;
+// How far below the stack pointer a fault still looks like the thread running off its stack
+export const stackGuardRange = 0x10000n;
+
+// { summary, details } for a FAR value, or null for an address with nothing notable about it;
+// sp is the stack pointer, vmRegionInfo the report's text about the address
+export function interpretFAR(value, sp = null, vmRegionInfo = null) {
+    const far = BigInt(value);
+    const details = [];
+    let summary = null;
+
+    if (far < nullPointerRange) {
+        summary = far === 0n ? 'NULL' : 'near NULL';
+        details.push(far === 0n
+            ? 'a NULL pointer was dereferenced'
+            : `most likely a NULL pointer dereference, accessing a field or element at offset ${hex(far)}`);
+    } else if (far & ~addressMask) {
+        const address = far & addressMask;
+        if ((far >> 56n) && !((far >> 47n) & 0x1ffn)) {
+            summary = 'tagged pointer';
+            details.push(`top byte ${hex(far >> 56n, 2)} is a tag (ignored by the hardware for loads and stores), address ${hex(address)}`);
+        } else {
+            summary = 'pointer with non-address bits set';
+            details.push(`the bits above the address (${hex(far >> 47n)}) are set: a pointer whose authentication (PAC) failed `
+                + `or was never stripped, or a corrupted pointer; the address part is ${hex(address)}`);
+        }
+    } else if (sp !== null && far < BigInt(sp) && BigInt(sp) - far <= stackGuardRange) {
+        summary = 'below the stack pointer';
+        details.push(`${hex(BigInt(sp) - far)} bytes below sp: likely a stack overflow into the stack guard page (look for deep or infinite recursion)`);
+    }
+
+    if (vmRegionInfo && /stack guard/i.test(vmRegionInfo)) {
+        summary = summary || 'in a stack guard page';
+        details.push('the VM region info places the address in a stack guard page: a stack overflow');
+    }
+
+    return summary ? { summary, details } : null;
+}
+
+// ESR and FAR explanations for an ARM_THREAD_STATE64 thread state, or [] for other thread states
+export function explainFaultRegisters(threadState, vmRegionInfo = null) {
+    if (threadState?.flavor !== 'ARM_THREAD_STATE64') return [];
+    const explanations = [];
+
+    let farValid = true;
+    if (threadState.esr?.value !== undefined) {
+        const esr = decodeESR(threadState.esr.value);
+        farValid = esr.farValid;
+        explanations.push({
+            register: 'esr',
+            value: BigInt(threadState.esr.value),
+            summary: `${esr.className} (EC ${hex(esr.exceptionClass, 2)})`,
+            details: esr.details,
+        });
+    }
+
+    // The FAR only means something for aborts, alignment faults and watchpoints
+    const far = threadState.far?.value !== undefined && farValid
+        ? interpretFAR(threadState.far.value, threadState.sp?.value ?? null, vmRegionInfo)
+        : null;
+    if (far) {
+        explanations.push({ register: 'far', value: BigInt(threadState.far.value), ...far });
+    }
+
+    return explanations;
+}
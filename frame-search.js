@@ -0,0 +1,195 @@
+// Frame Search
+// The search bar above the structured view. Finds stack frames and call tree rows by symbol, image name
+// or address, as plain text or a regular expression (case-insensitive either way):
+//
+// - threads without a match are hidden, and the sections and threads holding matches are expanded
+// - matching text is highlighted, and Enter / Shift+Enter (or the arrow buttons) step through the matches
+// - "/" anywhere on the page focuses the search box, Escape clears it
+
+const rowSelector = '.stack-frame, .call-tree-row';
+
+// A global RegExp for the query, or null for an empty one; throws for an invalid regular expression
+export function searchPattern(query, regex) {
+    if (!query) return null;
+    return new RegExp(regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+}
+
+// Text matched besides what an element shows: mangled symbols (shown demangled) and addresses without zero padding
+function hiddenText(element) {
+    if (element.classList.contains('addr')) {
+        return element.textContent.replace(/^0x0+(?=[0-9a-f])/i, '0x');
+    }
+    return element.title;
+}
+
+function searchText(row) {
+    const parts = [row.textContent];
+    row.querySelectorAll('.symbol[title], .addr').forEach(element => parts.push(hiddenText(element)));
+    return parts.join(' ');
+}
+
+function matches(pattern, text) {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+}
+
+// Wrap each match within the row's text nodes in a <mark>
+function highlight(row, pattern) {
+    const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach(node => {
+        const text = node.textContent;
+        const fragment = document.createDocumentFragment();
+        let end = 0;
+        pattern.lastIndex = 0;
+        for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+            if (match[0] === '') {
+                // Patterns like "a*" match nothing everywhere
+                pattern.lastIndex++;
+                continue;
+            }
+            fragment.append(text.slice(end, match.index));
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = match[0];
+            fragment.appendChild(mark);
+            end = match.index + match[0].length;
+        }
+        if (end > 0) {
+            fragment.append(text.slice(end));
+            node.replaceWith(fragment);
+        }
+    });
+
+    // Matched only by their hidden text, so mark all of it
+    row.querySelectorAll('.symbol[title], .addr').forEach(element => {
+        if (!element.querySelector('mark') && matches(pattern, hiddenText(element))) {
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.append(...element.childNodes);
+            element.appendChild(mark);
+        }
+    });
+}
+
+export function setUpFrameSearch(container) {
+    const bar = document.getElementById('frameSearchBar');
+    const input = document.getElementById('frameSearch');
+    const regexInput = document.getElementById('frameSearchRegex');
+    const onlyInput = document.getElementById('frameSearchOnly');
+    const count = document.getElementById('frameSearchCount');
+    const previousBtn = document.getElementById('frameSearchPrev');
+    const nextBtn = document.getElementById('frameSearchNext');
+
+    let results = [];
+    let current = -1;
+    let threadCount = 0;
+
+    function clear() {
+        container.querySelectorAll('mark.search-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(mark.textContent);
+            parent.normalize();
+        });
+        container.querySelectorAll('.search-match, .search-current, .search-hidden').forEach(element => {
+            element.classList.remove('search-match', 'search-current', 'search-hidden');
+        });
+        container.classList.remove('search-frames-only');
+        input.classList.remove('invalid');
+        results = [];
+        current = -1;
+    }
+
+    function run() {
+        clear();
+        bar.hidden = !container.querySelector(rowSelector);
+
+        let pattern;
+        try {
+            pattern = searchPattern(input.value.trim(), regexInput.checked);
+        } catch {
+            input.classList.add('invalid');
+            count.textContent = 'Invalid regular expression';
+            return;
+        }
+        if (!pattern) {
+            count.textContent = '';
+            return;
+        }
+
+        results = [...container.querySelectorAll(rowSelector)].filter(row => matches(pattern, searchText(row)));
+        results.forEach(row => {
+            row.classList.add('search-match');
+            highlight(row, pattern);
+            for (let details = row.closest('details'); details; details = details.parentElement.closest('details')) {
+                details.open = true;
+            }
+        });
+
+        // Stackshot processes hold their threads as nested thread items
+        const threads = [...container.querySelectorAll('.thread-item')];
+        threads.forEach(thread => {
+            if (!results.some(row => thread.contains(row))) {
+                thread.classList.add('search-hidden');
+            }
+        });
+        threadCount = threads.filter(thread => !thread.classList.contains('search-hidden') && !thread.querySelector('.thread-item')).length;
+        container.classList.toggle('search-frames-only', onlyInput.checked);
+
+        if (results.length === 0) {
+            count.textContent = 'No matches';
+        } else {
+            step(1);
+        }
+    }
+
+    function step(delta) {
+        if (results.length === 0) return;
+        results[current]?.classList.remove('search-current');
+        current = (current + delta + results.length) % results.length;
+        results[current].classList.add('search-current');
+        results[current].scrollIntoView({ block: 'center' });
+        count.textContent = `${current + 1} of ${results.length} in ${threadCount} thread${threadCount === 1 ? '' : 's'}`;
+    }
+
+    input.addEventListener('input', run);
+    regexInput.addEventListener('change', run);
+    onlyInput.addEventListener('change', () => {
+        container.classList.toggle('search-frames-only', onlyInput.checked && results.length > 0);
+    });
+    previousBtn.addEventListener('click', () => step(-1));
+    nextBtn.addEventListener('click', () => step(1));
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            step(event.shiftKey ? -1 : 1);
+        } else if (event.key === 'Escape') {
+            input.value = '';
+            run();
+        }
+    });
+
+    document.addEventListener('keydown', (event) => {
+        if (event.key !== '/' || bar.hidden || event.target.closest('input, textarea, select')) return;
+        event.preventDefault();
+        input.focus();
+        input.select();
+    });
+
+    // The stackshot process picker re-renders its threads
+    container.addEventListener('change', (event) => {
+        if (event.target.closest('.process-picker')) {
+            run();
+        }
+    });
+
+    return {
+        // Search the newly rendered report with the current query
+        refresh: run,
+    };
+}
@@ -0,0 +1,106 @@
+// Report Grouping
+// Buckets of crash reports that share a crash signature (see signature.js), for triaging many reports at once:
+//
+//   { hash, line, count, firstCapture, lastCapture, versions, osBuilds, deviceModels, representative, reports }
+//
+// Buckets are sorted by count, most common first. The representative is the most recently captured report.
+// Reports without a crash model (jetsam events, stackshots, ...) have no signature and are returned separately.
+
+import { crashSignature } from './signature.js';
+
+// captureTime looks like "2024-01-15 10:23:45.1234 -0800"
+export function captureDate(captureTime) {
+    const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(\.\d+)? ([+-]\d{2})(\d{2})$/.exec(captureTime || '');
+    if (!match) return null;
+
+    // Date.parse only takes up to millisecond precision
+    const fraction = match[3] ? match[3].slice(0, 4) : '';
+    const time = Date.parse(`${match[1]}T${match[2]}${fraction}${match[4]}:${match[5]}`);
+    return Number.isNaN(time) ? null : time;
+}
+
+// Distinct non-empty values, most common first
+function distinctValues(values) {
+    const counts = new Map();
+    values.filter(Boolean).forEach(value => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+}
+
+// entries: [{ name, parser, ... }] with parsed parsers; other properties are kept on the entries
+export function groupReports(entries) {
+    const buckets = new Map();
+    const ungrouped = [];
+
+    for (const entry of entries) {
+        const model = entry.parser.model;
+        if (!model) {
+            ungrouped.push(entry);
+            continue;
+        }
+
+        const signature = crashSignature(model);
+        if (!buckets.has(signature.hash)) {
+            buckets.set(signature.hash, { hash: signature.hash, line: signature.line, reports: [] });
+        }
+        buckets.get(signature.hash).reports.push(entry);
+    }
+
+    const groups = [...buckets.values()].map(bucket => {
+        const processes = bucket.reports.map(entry => entry.parser.model.process);
+
+        // Reports with an unreadable captureTime sort before all others
+        const dated = bucket.reports
+            .map((entry, index) => ({ entry, captureTime: processes[index].captureTime, date: captureDate(processes[index].captureTime) ?? -Infinity }))
+            .sort((a, b) => a.date - b.date);
+
+        return {
+            hash: bucket.hash,
+            line: bucket.line,
+            count: bucket.reports.length,
+            firstCapture: dated[0].captureTime,
+            lastCapture: dated[dated.length - 1].captureTime,
+            versions: distinctValues(processes.map(proc => proc.version)),
+            osBuilds: distinctValues(processes.map(proc => proc.osBuild)),
+            deviceModels: distinctValues(processes.map(proc => proc.hardwareModel || proc.deviceModel)),
+            representative: dated[dated.length - 1].entry,
+            reports: bucket.reports,
+        };
+    });
+
+    groups.sort((a, b) => b.count - a.count || (captureDate(b.lastCapture) ?? -Infinity) - (captureDate(a.lastCapture) ?? -Infinity));
+    return { groups, ungrouped };
+}
+
+// One block per bucket, for the CLI
+export function formatGroupsText(groups) {
+    const list = values => (values.length > 0 ? values.join(', ') : 'Unknown');
+
+    return groups.map(group => {
+        const lines = [`${group.count} report${group.count === 1 ? '' : 's'}  ${group.hash}  ${group.line}`];
+        lines.push(`    First seen:   ${group.firstCapture || 'Unknown'}`);
+        lines.push(`    Last seen:    ${group.lastCapture || 'Unknown'}`);
+        lines.push(`    Versions:     ${list(group.versions)}`);
+        lines.push(`    OS builds:    ${list(group.osBuilds)}`);
+        lines.push(`    Devices:      ${list(group.deviceModels)}`);
+        lines.push(`    Example:      ${group.representative.name}`);
+        return lines.join('\n');
+    }).join('\n\n');
+}
+
+// The buckets as JSON, with report names in place of the parsed reports
+export function formatGroupsJSON(groups) {
+    return JSON.stringify(groups.map(group => ({
+        hash: group.hash,
+        line: group.line,
+        count: group.count,
+        firstCapture: group.firstCapture,
+        lastCapture: group.lastCapture,
+        versions: group.versions,
+        osBuilds: group.osBuilds,
+        deviceModels: group.deviceModels,
+        representative: group.representative.name,
+        reports: group.reports.map(entry => entry.name),
+    })), null, 2);
+}
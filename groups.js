@@ -0,0 +1,221 @@
+import { IPSParser } from './ips-parser-core.js';
+import { loadSymbolFile } from './symbol-tables.js';
+import { groupReports } from './grouping.js';
+import { decodeReportBytes, splitReports, isReportFile } from './report-files.js';
+
+// Read once by structured.html, to open a report from here in a new tab; each open gets its own
+// key (ips-page:open-report:<id>), passed as ?open=<id>, so tabs opened in quick succession don't mix up reports
+const openReportKey = 'ips-page:open-report';
+
+// UI Controller
+document.addEventListener('DOMContentLoaded', () => {
+    const reportsInput = document.getElementById('reportsInput');
+    const clearBtn = document.getElementById('clearBtn');
+    const errorMessage = document.getElementById('errorMessage');
+    const outputSection = document.getElementById('output');
+    const groupsOutput = document.getElementById('groupsOutput');
+    const groupsTitle = document.getElementById('groupsTitle');
+    const symbolsInput = document.getElementById('symbolsInput');
+    const symbolsStatus = document.getElementById('symbolsStatus');
+
+    // Loaded reports ({ name, content }) and symbol tables accumulate until cleared
+    let reports = [];
+    let symbolTables = [];
+
+    function render() {
+        errorMessage.style.display = 'none';
+        if (reports.length === 0) {
+            outputSection.style.display = 'none';
+            return;
+        }
+
+        const entries = [];
+        const failures = [];
+        for (const report of reports) {
+            try {
+                const parser = new IPSParser(report.content, { symbolTables });
+                parser.parse();
+                entries.push({ ...report, parser });
+            } catch (error) {
+                failures.push({ name: report.name, message: error.message });
+            }
+        }
+
+        const { groups, ungrouped } = groupReports(entries);
+        const grouped = entries.length - ungrouped.length;
+        groupsTitle.textContent = `${grouped} Crash Report${grouped === 1 ? '' : 's'}, ${groups.length} Signature${groups.length === 1 ? '' : 's'}`;
+
+        groupsOutput.textContent = '';
+        if (groups.length > 0) {
+            groupsOutput.appendChild(createGroupsTable(groups));
+        }
+        if (ungrouped.length > 0) {
+            groupsOutput.appendChild(createReportList('Not grouped (no crash signature)',
+                ungrouped.map(entry => `${entry.name}: ${entry.parser.bugType.title}`)));
+        }
+        if (failures.length > 0) {
+            groupsOutput.appendChild(createReportList('Failed to parse',
+                failures.map(failure => `${failure.name}: ${failure.message}`)));
+        }
+        outputSection.style.display = 'block';
+    }
+
+    function createGroupsTable(groups) {
+        const table = document.createElement('table');
+        table.className = 'groups-table';
+
+        const headerRow = table.createTHead().insertRow();
+        ['Count', 'Signature', 'First Seen', 'Last Seen', 'Versions', 'OS Builds', 'Devices', 'Reports'].forEach(title => {
+            const th = document.createElement('th');
+            th.textContent = title;
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        groups.forEach(group => {
+            const row = body.insertRow();
+            row.insertCell().textContent = group.count;
+
+            const signatureCell = row.insertCell();
+            const hash = document.createElement('div');
+            hash.className = 'group-hash';
+            hash.textContent = group.hash;
+            const line = document.createElement('div');
+            line.className = 'group-line';
+            line.textContent = group.line;
+            signatureCell.append(hash, line);
+
+            row.insertCell().textContent = group.firstCapture || 'Unknown';
+            row.insertCell().textContent = group.lastCapture || 'Unknown';
+            [group.versions, group.osBuilds, group.deviceModels].forEach(values => {
+                row.insertCell().textContent = values.join(', ') || 'Unknown';
+            });
+
+            const reportsCell = row.insertCell();
+            const openButton = document.createElement('button');
+            openButton.className = 'btn-secondary';
+            openButton.textContent = 'Open Latest';
+            openButton.title = group.representative.name;
+            openButton.addEventListener('click', () => openReport(group.representative));
+            reportsCell.appendChild(openButton);
+
+            if (group.count > 1) {
+                const details = document.createElement('details');
+                const summary = document.createElement('summary');
+                summary.textContent = `All ${group.count}`;
+                details.appendChild(summary);
+                group.reports.forEach(entry => {
+                    const link = document.createElement('a');
+                    link.href = '#';
+                    link.className = 'group-report';
+                    link.textContent = entry.name;
+                    link.addEventListener('click', (event) => {
+                        event.preventDefault();
+                        openReport(entry);
+                    });
+                    details.appendChild(link);
+                });
+                reportsCell.appendChild(details);
+            }
+        });
+
+        return table;
+    }
+
+    function createReportList(title, lines) {
+        const section = document.createElement('div');
+        section.className = 'group-list';
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        const list = document.createElement('ul');
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        section.append(heading, list);
+        return section;
+    }
+
+    // The structured view picks the report up from localStorage and removes it
+    function openReport(entry) {
+        const id = crypto.randomUUID();
+        const key = `${openReportKey}:${id}`;
+        try {
+            localStorage.setItem(key, JSON.stringify({ name: entry.name, content: entry.content }));
+        } catch (error) {
+            showError(`Cannot open ${entry.name}: ${error.message}`);
+            return;
+        }
+        if (!window.open(`structured.html?open=${id}`, '_blank')) {
+            // Blocked pop-up: nothing will pick the report up
+            localStorage.removeItem(key);
+            showError(`Cannot open ${entry.name}: the new tab was blocked`);
+        }
+    }
+
+    // Files holding several reports add one entry each; dSYM DWARF files and symbol tables are loaded as symbols
+    async function loadFiles(files) {
+        try {
+            let symbolsChanged = false;
+            for (const file of files) {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                if (isReportFile(file.name, bytes)) {
+                    const contents = splitReports(decodeReportBytes(bytes));
+                    const names = contents.map((content, index) => (contents.length > 1 ? `${file.name} (${index + 1})` : file.name));
+                    reports = reports.filter(report => !names.includes(report.name));
+                    contents.forEach((content, index) => {
+                        reports.push({ name: names[index], content });
+                    });
+                } else {
+                    const tables = loadSymbolFile(bytes, file.name);
+                    const uuids = new Set(tables.map(table => table.uuid));
+                    symbolTables = symbolTables.filter(table => !uuids.has(table.uuid)).concat(tables);
+                    symbolsChanged = true;
+                }
+            }
+            if (symbolsChanged) {
+                showSymbolsStatus();
+            }
+            render();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    reportsInput.addEventListener('change', async () => {
+        await loadFiles(reportsInput.files);
+        reportsInput.value = '';
+    });
+
+    symbolsInput.addEventListener('change', async () => {
+        await loadFiles(symbolsInput.files);
+        symbolsInput.value = '';
+    });
+
+    document.addEventListener('dragover', (event) => {
+        event.preventDefault();
+    });
+    document.addEventListener('drop', (event) => {
+        event.preventDefault();
+        if (event.dataTransfer.files.length > 0) {
+            loadFiles(event.dataTransfer.files);
+        }
+    });
+
+    clearBtn.addEventListener('click', () => {
+        reports = [];
+        render();
+    });
+
+    function showSymbolsStatus() {
+        const symbolCount = symbolTables.reduce((total, table) => total + table.count, 0);
+        symbolsStatus.textContent = `Loaded ${symbolTables.length} symbol table${symbolTables.length === 1 ? '' : 's'} (${symbolCount} symbols).`;
+        symbolsStatus.style.display = 'block';
+    }
+
+    function showError(message) {
+        errorMessage.textContent = message;
+        errorMessage.style.display = 'block';
+    }
+});
@@ -0,0 +1,131 @@
+// History Sidebar
+// The "History" panel shared by text.html and structured.html, listing reports saved by report-history.js.
+// Pages call save() after each successful parse; nothing is stored unless the checkbox is on.
+
+import { ReportHistory, historyEntry, historyEnabledKey } from './report-history.js';
+
+// onOpen(entry) is called with a history entry (including its content) to show it
+export function setUpHistorySidebar({ onOpen }) {
+    const historyBtn = document.getElementById('historyBtn');
+    const sidebar = document.getElementById('historySidebar');
+    const closeBtn = document.getElementById('closeHistoryBtn');
+    const enabledInput = document.getElementById('historyEnabled');
+    const searchInput = document.getElementById('historySearch');
+    const list = document.getElementById('historyList');
+    const clearBtn = document.getElementById('clearHistoryBtn');
+
+    // Opened on first use, so pages that never touch history don't create the database
+    let historyPromise = null;
+    const history = () => {
+        historyPromise = historyPromise || ReportHistory.open();
+        return historyPromise;
+    };
+
+    enabledInput.checked = localStorage.getItem(historyEnabledKey) === 'true';
+
+    async function render() {
+        let entries;
+        try {
+            entries = await (await history()).list();
+        } catch (error) {
+            list.textContent = '';
+            list.appendChild(createMessage(`History is unavailable: ${error?.message || 'IndexedDB cannot be opened'}`));
+            return;
+        }
+
+        const query = searchInput.value.trim().toLowerCase();
+        const matches = entries.filter(entry => !query || [entry.name, entry.process, entry.version, entry.exceptionType, entry.captureTime]
+            .some(value => value && value.toLowerCase().includes(query)));
+
+        list.textContent = '';
+        if (matches.length === 0) {
+            list.appendChild(createMessage(entries.length === 0 ? 'No saved reports.' : 'No matching reports.'));
+        }
+        matches.forEach(entry => list.appendChild(createItem(entry)));
+        clearBtn.disabled = entries.length === 0;
+    }
+
+    function createMessage(text) {
+        const item = document.createElement('li');
+        item.className = 'history-message';
+        item.textContent = text;
+        return item;
+    }
+
+    function createItem(entry) {
+        const item = document.createElement('li');
+        item.className = entry.pinned ? 'history-item pinned' : 'history-item';
+
+        const open = document.createElement('button');
+        open.className = 'history-open';
+        open.title = entry.name;
+        const title = document.createElement('span');
+        title.className = 'history-title';
+        title.textContent = [entry.process, entry.version].filter(Boolean).join(' ');
+        const detail = document.createElement('span');
+        detail.className = 'history-detail';
+        detail.textContent = [entry.exceptionType, entry.captureTime].filter(Boolean).join(' · ');
+        open.append(title, detail);
+        open.addEventListener('click', () => onOpen(entry));
+
+        const pin = document.createElement('button');
+        pin.className = 'history-action';
+        pin.textContent = entry.pinned ? '★' : '☆';
+        pin.title = entry.pinned ? 'Unpin' : 'Pin';
+        pin.addEventListener('click', async () => {
+            await (await history()).setPinned(entry.id, !entry.pinned);
+            render();
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'history-action';
+        remove.textContent = '×';
+        remove.title = 'Delete';
+        remove.addEventListener('click', async () => {
+            await (await history()).delete(entry.id);
+            render();
+        });
+
+        item.append(open, pin, remove);
+        return item;
+    }
+
+    historyBtn.addEventListener('click', () => {
+        sidebar.hidden = !sidebar.hidden;
+        if (!sidebar.hidden) {
+            render();
+        }
+    });
+
+    closeBtn.addEventListener('click', () => {
+        sidebar.hidden = true;
+    });
+
+    enabledInput.addEventListener('change', () => {
+        localStorage.setItem(historyEnabledKey, String(enabledInput.checked));
+    });
+
+    searchInput.addEventListener('input', render);
+
+    clearBtn.addEventListener('click', async () => {
+        if (!confirm('Delete all saved reports, including pinned ones?')) return;
+        await (await history()).clear();
+        render();
+    });
+
+    return {
+        // Save a successfully parsed report, if history is on
+        async save(name, content, parser) {
+            if (!enabledInput.checked) return;
+            try {
+                await (await history()).add(historyEntry(name, content, parser));
+            } catch {
+                // Saving is best effort; the sidebar reports an unavailable database
+                return;
+            }
+            if (!sidebar.hidden) {
+                render();
+            }
+        },
+    };
+}
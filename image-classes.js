@@ -0,0 +1,111 @@
+// Image Classes
+// Sorts a crash report's binary images into the app's own code and everything else, so frames in
+// the app stand out from the libdispatch and UIKit frames around them:
+//
+//   main    the main executable
+//   app     frameworks and plug-ins inside the app bundle, and images matching the user's patterns
+//   system  /System and /usr/lib images (also inside the OS cryptex on newer systems)
+//   other   anything else: third-party code outside the bundle, or frames with no known image
+//
+// Patterns are image names (MyKit, Acme*) or, when they contain a slash, path prefixes (/opt/acme/, */Frameworks/Acme*).
+
+import { isOwnImage } from './signature.js';
+
+export const ImageClass = Object.freeze({
+    MAIN: 'main',
+    APP: 'app',
+    SYSTEM: 'system',
+    OTHER: 'other',
+});
+
+// How thread frames are shown
+export const FrameMode = Object.freeze({
+    // As Console.app shows them
+    PLAIN: 'plain',
+    // App frames marked (text) or styled (structured view) by class
+    MARKED: 'marked',
+    // Marked, with runs of system frames folded into one "N system frames" row
+    COLLAPSED: 'collapsed',
+});
+
+const systemPathPattern = /^(?:\/private\/preboot\/Cryptexes\/OS|\/System\/Volumes\/Preboot\/Cryptexes\/OS)?\/(?:System|usr\/lib)\//;
+
+// Runs shorter than this are left alone: folding one frame hides more than it saves
+const minimumCollapsedRun = 2;
+
+function globPattern(pattern, prefix) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(prefix ? `^${source}` : `^${source}$`);
+}
+
+// "MyKit, Acme*" from a settings field into a pattern list
+export function parseImagePatterns(text) {
+    return text.split(',').map(pattern => pattern.trim()).filter(Boolean);
+}
+
+export class ImageClassifier {
+    // patterns: extra image names or path prefixes to treat as the app's own
+    constructor(model, patterns = []) {
+        this.model = model;
+        this.patterns = patterns.map(pattern => (pattern.includes('/')
+            ? { path: globPattern(pattern, true) }
+            : { name: globPattern(pattern, false) }));
+        this.classes = new Map();
+    }
+
+    imageClass(image) {
+        if (!image) return ImageClass.OTHER;
+        if (!this.classes.has(image)) {
+            this.classes.set(image, this.classify(image));
+        }
+        return this.classes.get(image);
+    }
+
+    classify(image) {
+        const procPath = this.model.process.path;
+        if (procPath ? image.path === procPath : image.name === this.model.process.name) {
+            return ImageClass.MAIN;
+        }
+        const matchesPattern = this.patterns.some(pattern => (pattern.path
+            ? image.path && pattern.path.test(image.path)
+            : image.name && pattern.name.test(image.name)));
+        if (matchesPattern || isOwnImage(this.model, image)) {
+            return ImageClass.APP;
+        }
+        if (image.path && systemPathPattern.test(image.path)) {
+            return ImageClass.SYSTEM;
+        }
+        return ImageClass.OTHER;
+    }
+
+    frameClass(frame) {
+        return this.imageClass(this.model.imageForFrame(frame));
+    }
+
+    // Split frames into { frames, collapsed } runs; with collapse, consecutive system frames below
+    // the top frame (which is where the thread stopped, so it always shows) become one collapsed run
+    frameRuns(frames, collapse) {
+        const runs = [];
+        frames.forEach((frame, index) => {
+            const system = collapse && index > 0 && this.frameClass(frame) === ImageClass.SYSTEM;
+            const last = runs[runs.length - 1];
+            if (last && last.system === system) {
+                last.frames.push(frame);
+            } else {
+                runs.push({ system, start: index, frames: [frame] });
+            }
+        });
+
+        return runs.map(run => ({
+            start: run.start,
+            frames: run.frames,
+            collapsed: run.system && run.frames.length >= minimumCollapsedRun,
+        }));
+    }
+
+    // "12 system frames (UIKitCore, libdispatch.dylib)"
+    describeCollapsedRun(frames) {
+        const names = [...new Set(frames.map(frame => this.model.imageForFrame(frame)?.name || '???'))];
+        return `${frames.length} system frames (${names.join(', ')})`;
+    }
+}
@@ -1,48 +1,133 @@
 // IPS Crash Report Parser - Core Logic
 // This file contains the pure parsing and formatting logic, shared between browser and CLI
 
-export class IPSParser {
-    constructor(ipsContent) {
+import { ReportKind, bugTypeInfo, spindumpReportInfo } from './bug-types.js';
+import { summarizeJetsam, describeJetsamReason, formatBytes } from './jetsam.js';
+import { isLegacyCrashText, parseLegacyCrash } from './legacy-crash.js';
+import { symbolicateReport } from './symbol-tables.js';
+import { stackshotFromReport, isSpindumpText, parseSpindump, focusProcesses, samplePercentage, describeFrame } from './stackshot.js';
+import { DemangleMode, demangle } from './demangler.js';
+import { CrashReportModel } from './report-model.js';
+import { ImageClassifier, FrameMode, ImageClass } from './image-classes.js';
+import { explainException } from './exception-codes.js';
+import { explainTermination, formatTerminationExplanation } from './termination-codes.js';
+import { explainFaultRegisters } from './fault-registers.js';
+import { RegisterAnnotator } from './register-annotations.js';
+
+// thanks to example in
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse#the_reviver_parameter
+const bigIntJsonReviver = (key, value, context) => {
+    // convert all numbers for consistency
+    if (typeof value === 'number') {
+        // Ignore the value because it has already lost precision
+        return BigInt(context.source);
+    }
+    return value;
+};
+
+// Parse report JSON, reading every number as a BigInt so addresses keep their precision
+export function parseJSON(text) {
+    return JSON.parse(text, bigIntJsonReviver);
+}
+
+// Serialize a value parsed with the BigInt reviver back to JSON text.
+// JSON.stringify cannot handle BigInt, so they are written out as raw number literals.
+export function stringifyJSON(value, indent = 2) {
+    const marker = '\u0000bigint:';
+    const json = JSON.stringify(value, (key, v) => {
+        return typeof v === 'bigint' ? marker + v.toString() : v;
+    }, indent);
+    return json.replace(/"\\u0000bigint:(-?\d+)"/g, '$1');
+}
+
+// Reads any supported report and dispatches to the format* methods of a view.
+// IPSParser (plain text) and the structured view's StructuredIPSParser (DOM) extend it.
+export class ReportParser {
+    // options.ownProcesses: process names or bundle IDs to highlight in jetsam reports,
+    //   and to focus on in stackshot and hang reports
+    // options.symbolTables: SymbolTable list used to resymbolicate crash report frames
+    // options.demangle: DemangleMode for Swift and C++ symbols (default full)
+    // options.frameMode: FrameMode for thread frames (default plain)
+    // options.appImagePatterns: image names or path prefixes to count as the app's own code
+    // options.annotate: add explanations (exception codes and the like) to the plain text output
+    constructor(ipsContent, options = {}) {
         this.ipsContent = ipsContent;
+        this.options = options;
         this.metadata = null;
         this.report = null;
+        this.bugType = null;
+        this.symbolication = null;
+        this.model = null;
+        this.imageClassifier = null;
     }
 
     parse() {
         try {
-            const lines = this.ipsContent.trim().split('\n');
+            this.parseContent();
+        } catch (error) {
+            throw new Error(`Failed to parse IPS file: ${error.message}`);
+        }
 
-            if (lines.length < 2) {
-                throw new Error('Invalid IPS file format. Expected at least 2 lines (metadata + report).');
-            }
+        // Resymbolicate with any imported symbol tables
+        if (this.bugType.kind === ReportKind.CRASH && this.options.symbolTables?.length > 0) {
+            this.symbolication = symbolicateReport(this.report, this.options.symbolTables);
+        }
 
-            // thanks to example in
-            // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse#the_reviver_parameter
-            const bigIntJsonReviver = (key, value, context) => {
-                // convert all numbers for consistency
-                if (typeof value === 'number') {
-                    // Ignore the value because it has already lost precision
-                    return BigInt(context.source);
-                }
-                return value;
-            }
+        if (this.bugType.kind === ReportKind.CRASH) {
+            this.model = new CrashReportModel(this.metadata, this.report);
+            this.imageClassifier = new ImageClassifier(this.model, this.options.appImagePatterns);
+        }
 
-            // Parse metadata (first line)
-            this.metadata = JSON.parse(lines[0], bigIntJsonReviver);
+        return true;
+    }
 
-            // Parse crash report (remaining lines)
-            const reportLines = lines.slice(1).join('\n');
-            this.report = JSON.parse(reportLines, bigIntJsonReviver);
+    // Sets metadata, report and bugType from the raw content
+    parseContent() {
+        if (isSpindumpText(this.ipsContent)) {
+            this.report = parseSpindump(this.ipsContent);
+            this.metadata = this.report.header;
+            this.bugType = spindumpReportInfo;
+            return;
+        }
 
-            // Verify it's a crash report
-            if (this.metadata.bug_type !== "309") {
-                throw new Error(`Not a crash report (bug_type: ${this.metadata.bug_type}). Expected bug_type "309".`);
-            }
+        if (isLegacyCrashText(this.ipsContent)) {
+            ({ metadata: this.metadata, report: this.report } = parseLegacyCrash(this.ipsContent));
+            this.bugType = bugTypeInfo(this.metadata.bug_type);
+            return;
+        }
+
+        const lines = this.ipsContent.trim().split('\n');
+
+        if (lines.length < 2) {
+            throw new Error('Invalid IPS file format. Expected at least 2 lines (metadata + report).');
+        }
+
+        // Parse metadata (first line)
+        this.metadata = parseJSON(lines[0]);
 
-            return true;
+        // Parse report body (remaining lines)
+        const reportLines = lines.slice(1).join('\n');
+        try {
+            this.report = parseJSON(reportLines);
         } catch (error) {
-            throw new Error(`Failed to parse IPS file: ${error.message}`);
+            // Xcode exports legacy text reports behind an .ips metadata line (bug_type 109)
+            if (isLegacyCrashText(reportLines)) {
+                ({ metadata: this.metadata, report: this.report } = parseLegacyCrash(reportLines, this.metadata));
+                this.bugType = bugTypeInfo(this.metadata.bug_type);
+                return;
+            }
+
+            // Some bug types (e.g. analytics) store one JSON object per line
+            try {
+                this.report = lines.slice(1)
+                    .filter(line => line.trim())
+                    .map(line => parseJSON(line));
+            } catch {
+                throw error;
+            }
         }
+
+        this.bugType = bugTypeInfo(this.metadata.bug_type);
     }
 
     formatReport() {
@@ -50,6 +135,30 @@ export class IPSParser {
             throw new Error('Report not parsed. Call parse() first.');
         }
 
+        switch (this.bugType.kind) {
+            case ReportKind.CRASH:
+                return this.formatCrashReport();
+            case ReportKind.JETSAM:
+                return this.formatJetsamReport();
+            case ReportKind.STACKSHOT:
+                return this.formatStackshotReport();
+            case ReportKind.PANIC:
+                return this.formatPanicReport();
+            case ReportKind.ANALYTICS:
+                return this.formatAnalyticsReport();
+            default:
+                return this.formatGenericReport();
+        }
+    }
+
+    // Swift and C++ symbols are shown demangled unless options.demangle is raw
+    symbolName(symbol) {
+        return demangle(symbol, this.options.demangle || DemangleMode.FULL);
+    }
+}
+
+export class IPSParser extends ReportParser {
+    formatCrashReport() {
         let output = '';
 
         // Header - Process Information
@@ -115,21 +224,214 @@ export class IPSParser {
         return output;
     }
 
+    formatMetadata() {
+        let output = `Report Type:         ${this.bugType.title} (bug_type ${this.bugType.bugType ?? 'Unknown'})\n`;
+
+        for (const [key, value] of Object.entries(this.metadata)) {
+            if (key === 'bug_type' || (value !== null && typeof value === 'object')) continue;
+            output += `${(key + ':').padEnd(21, ' ')}${value}\n`;
+        }
+
+        return output;
+    }
+
+    formatGenericReport() {
+        let output = this.formatMetadata();
+        output += '\n';
+        output += 'Report Contents:\n';
+        output += stringifyJSON(this.report);
+        output += '\n';
+        return output;
+    }
+
+    formatPanicReport() {
+        const panic = this.report;
+
+        let output = '';
+        output += `Incident Identifier: ${panic.incident || this.metadata.incident_id || 'Unknown'}\n`;
+        output += `Date/Time:           ${panic.date || this.metadata.timestamp || 'Unknown'}\n`;
+
+        if (panic.product) {
+            output += `Hardware Model:      ${panic.product}\n`;
+        }
+
+        output += `OS Version:          ${panic.build || this.metadata.os_version || 'Unknown'}\n`;
+
+        if (panic.kernel) {
+            output += `Kernel Version:      ${panic.kernel}\n`;
+        }
+
+        if (panic.crashReporterKey) {
+            output += `Crash Reporter Key:  ${panic.crashReporterKey}\n`;
+        }
+
+        if (panic.panicFlags !== undefined) {
+            output += `Panic Flags:         0x${BigInt(panic.panicFlags).toString(16)}\n`;
+        }
+
+        output += '\n';
+        output += panic.panicString || panic.macOSPanicString || '(no panic string)';
+        output += '\n';
+
+        if (panic.otherString) {
+            output += '\n';
+            output += panic.otherString;
+            output += '\n';
+        }
+
+        return output;
+    }
+
+    formatJetsamReport() {
+        const jetsam = summarizeJetsam(this.report, this.options.ownProcesses);
+
+        let output = '';
+        output += `Incident Identifier: ${this.report.incident || this.metadata.incident_id || 'Unknown'}\n`;
+        output += `Date/Time:           ${this.report.date || this.metadata.timestamp || 'Unknown'}\n`;
+
+        if (this.report.product) {
+            output += `Hardware Model:      ${this.report.product}\n`;
+        }
+
+        output += `OS Version:          ${this.report.build || this.metadata.os_version || 'Unknown'}\n`;
+        output += `Page Size:           ${jetsam.pageSize !== null ? `${jetsam.pageSize} bytes` : 'Unknown'}\n`;
+
+        if (jetsam.largestProcess) {
+            output += `Largest Process:     ${jetsam.largestProcess}\n`;
+        }
+
+        const memoryPages = jetsam.memoryStatus.memoryPages;
+        if (memoryPages) {
+            output += '\nMemory Pages:\n';
+            for (const [key, value] of Object.entries(memoryPages)) {
+                output += `    ${(key + ':').padEnd(16, ' ')}${value}\n`;
+            }
+        }
+
+        output += `\nProcesses (by footprint; * killed, > highlighted):\n`;
+        output += `  ${'Name'.padEnd(30, ' ')} ${'PID'.padStart(6, ' ')} ${'RPages'.padStart(8, ' ')} ${'Footprint'.padStart(10, ' ')}  ${'Coalition'.padStart(9, ' ')}  States\n`;
+
+        jetsam.processes.forEach(proc => {
+            const footprint = proc.footprint !== null ? formatBytes(proc.footprint) : '?';
+            output += proc.killed ? '*' : ' ';
+            output += proc.own ? '>' : ' ';
+            output += `${proc.name.padEnd(30, ' ')} `;
+            output += `${String(proc.pid ?? '?').padStart(6, ' ')} `;
+            output += `${String(proc.rpages).padStart(8, ' ')} `;
+            output += `${footprint.padStart(10, ' ')}  `;
+            output += `${String(proc.coalition ?? '').padStart(9, ' ')}  `;
+            output += proc.states.join(', ');
+            output += '\n';
+        });
+
+        const killed = jetsam.processes.filter(proc => proc.killed);
+        if (killed.length > 0) {
+            output += '\nKilled Processes:\n';
+            killed.forEach(proc => {
+                output += `${proc.name} [${proc.pid ?? '?'}]: ${proc.reason}`;
+                const description = describeJetsamReason(proc.reason);
+                if (description) {
+                    output += ` (${description})`;
+                }
+                output += '\n';
+            });
+        }
+
+        return output;
+    }
+
+    formatStackshotReport() {
+        const stackshot = this.bugType === spindumpReportInfo ? this.report : stackshotFromReport(this.report);
+        const processes = focusProcesses(stackshot, this.options.ownProcesses);
+
+        let output = '';
+        for (const [key, value] of Object.entries(stackshot.header)) {
+            if (value === undefined) continue;
+            output += `${(key + ':').padEnd(21, ' ')}${value}\n`;
+        }
+
+        if (processes.length !== stackshot.processes.length) {
+            output += `\nShowing ${processes.length} of ${stackshot.processes.length} processes\n`;
+        }
+
+        processes.forEach(proc => {
+            output += '\n';
+            output += `Process:             ${proc.name} [${proc.pid ?? '?'}]\n`;
+            output += `Samples:             ${proc.sampleCount}\n`;
+
+            // Main thread first, it's where hangs are usually found
+            const threads = [...proc.threads].sort((a, b) => b.isMain - a.isMain);
+            threads.forEach(thread => {
+                output += '\n';
+                output += this.formatSampledThread(thread);
+            });
+        });
+
+        return output;
+    }
+
+    formatSampledThread(thread) {
+        let output = `  Thread ${thread.id}`;
+        if (thread.isMain) {
+            output += ' (main thread)';
+        }
+        if (thread.name) {
+            output += `    Thread name "${thread.name}"`;
+        }
+        if (thread.queue) {
+            output += `    DispatchQueue "${thread.queue}"`;
+        }
+        output += `    ${thread.sampleCount} sample${thread.sampleCount === 1 ? '' : 's'}\n`;
+
+        const formatNode = (node, depth) => {
+            const count = String(node.count).padStart(6, ' ');
+            const percentage = samplePercentage(node.count, thread.sampleCount).padStart(6, ' ');
+            output += `${'  '.repeat(depth + 2)}${count} ${percentage}  ${describeFrame(node, symbol => this.symbolName(symbol))}`;
+            if (node.address !== undefined) {
+                output += ` [0x${node.address.toString(16)}]`;
+            }
+            output += '\n';
+            node.children.forEach(child => formatNode(child, depth + 1));
+        };
+        thread.root.children.forEach(child => formatNode(child, 0));
+
+        return output;
+    }
+
+    formatAnalyticsReport() {
+        // Analytics bodies are either one object or one object per line
+        const entries = Array.isArray(this.report) ? this.report : [this.report];
+        const events = entries.filter(entry => entry && entry._marker === undefined);
+
+        let output = this.formatMetadata();
+        output += '\n';
+        output += `Events (${events.length}):\n`;
+
+        events.forEach(event => {
+            const time = event.eventTime !== undefined ? `[${event.eventTime}] ` : '';
+            output += `${time}${event.name || 'Unnamed event'}\n`;
+            if (event.message !== undefined) {
+                output += `    ${stringifyJSON(event.message, 0)}\n`;
+            }
+        });
+
+        return output;
+    }
+
     formatHeader() {
+        const proc = this.model.process;
         const bundleInfo = this.report.bundleInfo || {};
         const buildInfo = this.report.buildInfo || {};
         const storeInfo = this.report.storeInfo || {};
-        const osVersion = this.report.osVersion || {};
 
         let header = '';
-        header += `Process:             ${this.report.procName || 'Unknown'} [${this.report.pid || 0}]\n`;
-        header += `Path:                ${this.report.procPath || 'Unknown'}\n`;
-        header += `Identifier:          ${bundleInfo.CFBundleIdentifier || this.report.procName || 'Unknown'}\n`;
+        header += `Process:             ${proc.name || 'Unknown'} [${proc.pid || 0}]\n`;
+        header += `Path:                ${proc.path || 'Unknown'}\n`;
+        header += `Identifier:          ${proc.identifier || 'Unknown'}\n`;
 
         // Version formatting
-        const hasVersion = bundleInfo.CFBundleShortVersionString || bundleInfo.CFBundleVersion;
-        if (hasVersion) {
-            header += `Version:             ${bundleInfo.CFBundleShortVersionString || '?'} (${bundleInfo.CFBundleVersion || '?'})\n`;
+        if (proc.version || proc.build) {
+            header += `Version:             ${proc.version || '?'} (${proc.build || '?'})\n`;
         } else {
             header += `Version:             ???\n`;
         }
@@ -151,58 +453,58 @@ export class IPSParser {
             header += `Build Info:          ${buildInfo.ProjectName}-${buildInfo.SourceVersion}~${buildInfo.BuildVersion}\n`;
         }
 
-        const translatedLabel = this.report.translated ? 'Translated' : 'Native';
-        header += `Code Type:           ${this.report.cpuType || '???'} (${translatedLabel})\n`;
+        const translatedLabel = proc.translated ? 'Translated' : 'Native';
+        header += `Code Type:           ${proc.cpuType || '???'} (${translatedLabel})\n`;
 
-        if (this.report.procRole) {
-            header += `Role:                ${this.report.procRole}\n`;
+        if (proc.role) {
+            header += `Role:                ${proc.role}\n`;
         }
 
-        header += `Parent Process:      ${this.report.parentProc || 'Unknown'}`;
-        if (this.report.parentPid !== undefined) {
-            header += ` [${this.report.parentPid}]`;
+        header += `Parent Process:      ${proc.parentName || 'Unknown'}`;
+        if (proc.parentPid !== null) {
+            header += ` [${proc.parentPid}]`;
         }
         header += '\n';
 
-        if (this.report.coalitionName) {
-            header += `Coalition:           ${this.report.coalitionName}`;
-            if (this.report.coalitionID !== undefined) {
-                header += ` [${this.report.coalitionID}]`;
+        if (proc.coalitionName) {
+            header += `Coalition:           ${proc.coalitionName}`;
+            if (proc.coalitionID !== null) {
+                header += ` [${proc.coalitionID}]`;
             }
             header += '\n';
         }
 
-        if (this.report.responsibleProc) {
-            header += `Responsible Process: ${this.report.responsibleProc}`;
-            if (this.report.responsiblePid !== undefined) {
-                header += ` [${this.report.responsiblePid}]`;
+        if (proc.responsibleName) {
+            header += `Responsible Process: ${proc.responsibleName}`;
+            if (proc.responsiblePid !== null) {
+                header += ` [${proc.responsiblePid}]`;
             }
             header += '\n';
         }
 
-        if (this.report.userID !== undefined) {
-            header += `User ID:             ${this.report.userID}\n`;
+        if (proc.userID !== null) {
+            header += `User ID:             ${proc.userID}\n`;
         }
 
         header += `\n`;
-        header += `Date/Time:           ${this.report.captureTime || 'Unknown'}\n`;
+        header += `Date/Time:           ${proc.captureTime || 'Unknown'}\n`;
 
-        if (this.report.procLaunch) {
-            header += `Launch Time:         ${this.report.procLaunch}\n`;
+        if (proc.launchTime) {
+            header += `Launch Time:         ${proc.launchTime}\n`;
         }
 
-        if (this.report.modelCode) {
-            header += `Hardware Model:      ${this.report.modelCode}\n`;
+        if (proc.hardwareModel) {
+            header += `Hardware Model:      ${proc.hardwareModel}\n`;
         }
 
-        if (this.report.codeName) {
-            header += `Device Model:        ${this.report.codeName}\n`;
+        if (proc.deviceModel) {
+            header += `Device Model:        ${proc.deviceModel}\n`;
         }
 
-        header += `OS Version:          ${osVersion.train || 'Unknown'} (${osVersion.build || 'Unknown'})\n`;
+        header += `OS Version:          ${proc.osTrain || 'Unknown'} (${proc.osBuild || 'Unknown'})\n`;
 
-        if (osVersion.releaseType) {
-            header += `Release Type:        ${osVersion.releaseType}\n`;
+        if (proc.osReleaseType) {
+            header += `Release Type:        ${proc.osReleaseType}\n`;
         }
 
         if (this.report.basebandVersion) {
@@ -223,7 +525,7 @@ export class IPSParser {
             header += `UDID:                ${this.report.systemID}\n`;
         }
 
-        header += `Incident Identifier: ${this.report.incident || this.metadata.incident_id || 'Unknown'}\n`;
+        header += `Incident Identifier: ${proc.incident || 'Unknown'}\n`;
         header += `\n`;
 
         if (this.report.sleepWakeUUID) {
@@ -249,12 +551,10 @@ export class IPSParser {
             header += `\n`;
         }
 
-        if (this.report.faultingThread !== undefined) {
-            const threads = this.report.threads || [];
-            const faultingThread = threads.find(t => t.triggered);
-            const dispatchQueue = faultingThread?.queue;
+        if (this.model.faultingThread !== null) {
+            const dispatchQueue = this.model.crashedThread?.queue;
 
-            header += `Triggered by Thread: ${this.report.faultingThread}`;
+            header += `Triggered by Thread: ${this.model.faultingThread}`;
             if (dispatchQueue) {
                 header += `, Dispatch Queue: ${dispatchQueue}`;
             }
@@ -265,8 +565,8 @@ export class IPSParser {
     }
 
     formatException() {
-        const ex = this.report.exception || {};
-        const term = this.report.termination;
+        const ex = this.model.exception || {};
+        const term = this.model.termination;
 
         let output = '';
         output += `Exception Type:    ${ex.type || 'Unknown'}`;
@@ -275,18 +575,24 @@ export class IPSParser {
         }
         output += '\n';
 
-        if (ex.subtype !== undefined) {
+        if (ex.subtype != null) {
             output += `Exception Subtype: ${ex.subtype}\n`;
         }
 
-        if (ex.message !== undefined) {
+        if (ex.message != null) {
             output += `Exception Message: ${ex.message}\n`;
         }
 
-        if (ex.codes !== undefined) {
+        if (ex.codes != null) {
             output += `Exception Codes:   ${ex.codes}\n`;
         }
 
+        if (this.options.annotate) {
+            explainException(this.model.exception, this.model.crashedThread?.threadState).forEach(line => {
+                output += `Exception Meaning: ${line}\n`;
+            });
+        }
+
         if (this.report.isSimulated) {
             output += `Exception Note:    SIMULATED (this is NOT a crash)\n`;
         }
@@ -294,8 +600,8 @@ export class IPSParser {
             output += `Exception Note:    EXC_CORPSE_NOTIFY\n`;
         }
 
-        if (this.report.exceptionReason && this.report.exceptionReason.composed_message) {
-            output += `Exception Reason:  ${this.report.exceptionReason.composed_message}\n`;
+        if (ex.reason) {
+            output += `Exception Reason:  ${ex.reason}\n`;
         }
 
         if (term) {
@@ -306,19 +612,20 @@ export class IPSParser {
             }
             output += '\n';
 
-            // Termination reasons (detailed error messages)
-            if (term.reasons && term.reasons.length > 0) {
-                term.reasons.forEach(reason => {
-                    output += `${reason}\n`;
-                });
+            const meaning = this.options.annotate ? explainTermination(term) : null;
+            if (meaning) {
+                output += `Termination Meaning: ${formatTerminationExplanation(meaning)}\n`;
             }
 
+            // Termination reasons (detailed error messages)
+            term.reasons.forEach(reason => {
+                output += `${reason}\n`;
+            });
+
             // Termination details (e.g., "terminated at launch; ignore backtrace")
-            if (term.details && term.details.length > 0) {
-                term.details.forEach(detail => {
-                    output += `${detail}\n`;
-                });
-            }
+            term.details.forEach(detail => {
+                output += `${detail}\n`;
+            });
 
             if (term.byProc) {
                 output += `Terminating Process: ${term.byProc} [${term.byPid || 0}]\n`;
@@ -351,17 +658,17 @@ export class IPSParser {
     }
 
     formatLastExceptionBacktrace() {
-        const backtrace = this.report.lastExceptionBacktrace;
+        const backtrace = this.model.lastExceptionBacktrace;
         if (!backtrace || backtrace.length === 0) return '';
 
         let output = 'Last Exception Backtrace:\n';
 
         backtrace.forEach((frame, index) => {
-            const imageInfo = this.report.usedImages[frame.imageIndex];
+            const imageInfo = this.model.imageForFrame(frame);
             const imageName = imageInfo ? imageInfo.name : 'Unknown';
-            const symbol = frame.symbol || `0x${(imageInfo?.base || 0).toString(16)} + ${frame.imageOffset}`;
+            const symbol = frame.symbol ? this.symbolName(frame.symbol) : `0x${(imageInfo?.base || 0).toString(16)} + ${frame.imageOffset}`;
 
-            const address = ((imageInfo?.base || 0n) + frame.imageOffset).toString(16);
+            const address = this.model.absoluteAddress(frame).toString(16);
             output += index.toString().padEnd(4, ' ');
             output += imageName.padEnd(30, ' ');
             output += '\t';
@@ -370,6 +677,7 @@ export class IPSParser {
             if (frame.symbolLocation !== undefined) {
                 output += ` + ${frame.symbolLocation}`;
             }
+            output += this.formatSourceLocation(frame);
 
             output += '\n';
         });
@@ -377,12 +685,24 @@ export class IPSParser {
         return output;
     }
 
+    // " (File.swift:42) [inlined]", as Xcode prints symbolicated frames
+    formatSourceLocation(frame) {
+        let output = '';
+        if (frame.sourceFile) {
+            output += frame.sourceLine !== undefined ? ` (${frame.sourceFile}:${frame.sourceLine})` : ` (${frame.sourceFile})`;
+        }
+        if (frame.inline) {
+            output += ' [inlined]';
+        }
+        return output;
+    }
+
     formatThreads() {
-        const threads = this.report.threads || [];
+        const threads = this.model.threads;
         let output = '';
 
         threads.forEach((thread, threadIndex) => {
-            const isCrashed = thread.triggered;
+            const isCrashed = thread.crashed;
 
             // Thread header - use array index, not thread.id
             output += `Thread ${threadIndex}`;
@@ -407,45 +727,61 @@ export class IPSParser {
             output += '\n';
 
             // Stack frames
-            if (thread.frames && thread.frames.length > 0) {
-                thread.frames.forEach((frame, index) => {
-                    const imageInfo = this.report.usedImages[frame.imageIndex];
-                    const imageName = imageInfo?.name || '???';
-                    const address = (imageInfo?.base || 0n) + frame.imageOffset;
-                    const symbol = frame.symbol || `0x${(imageInfo?.base || 0).toString(16)} + ${frame.imageOffset}`;
-
-                    // Frame number: no padding for single digits, just followed by spaces
-                    const frameNum = index.toString();
-                    output += `${frameNum}   `.slice(0, 4); // ensures 1-3 chars for number + spaces = 4 total
-                    output += imageName.padEnd(30, ' ');
-                    output += '\t';
-
-                    // Address: right-aligned with leading spaces (not zeros)
-                    const hexAddr = `0x${address.toString(16)}`;
-                    output += `${hexAddr.padStart(18, ' ')} ${symbol}`;
-
-                    if (frame.symbolLocation !== undefined) {
-                        output += ` + ${frame.symbolLocation}`;
-                    }
-
-                    output += '\n';
+            const frameMode = this.options.frameMode || FrameMode.PLAIN;
+            this.imageClassifier.frameRuns(thread.frames, frameMode === FrameMode.COLLAPSED).forEach(run => {
+                if (run.collapsed) {
+                    output += `    ... ${this.imageClassifier.describeCollapsedRun(run.frames)}\n`;
+                    return;
+                }
+                run.frames.forEach((frame, offset) => {
+                    output += this.formatFrame(frame, run.start + offset, frameMode !== FrameMode.PLAIN);
                 });
-            }
+            });
 
             output += '\n';
         });
 
         // Thread state for crashed thread
-        if (this.report.faultingThread !== undefined) {
-            const crashedThread = threads.find(t => t.triggered);
+        if (this.model.faultingThread !== null) {
+            const crashedThread = this.model.crashedThread;
             if (crashedThread && crashedThread.threadState) {
-                output += this.formatThreadState(crashedThread, this.report.faultingThread);
+                output += this.formatThreadState(crashedThread, this.model.faultingThread);
             }
         }
 
         return output;
     }
 
+    // marked: tag frames outside the system images with their class, e.g. " [app]"
+    formatFrame(frame, index, marked) {
+        const imageInfo = this.model.imageForFrame(frame);
+        const imageName = imageInfo?.name || '???';
+        const address = this.model.absoluteAddress(frame);
+        const symbol = frame.symbol ? this.symbolName(frame.symbol) : `0x${(imageInfo?.base || 0).toString(16)} + ${frame.imageOffset}`;
+
+        // Frame number: no padding for single digits, just followed by spaces
+        const frameNum = index.toString();
+        let output = `${frameNum}   `.slice(0, 4); // ensures 1-3 chars for number + spaces = 4 total
+        output += imageName.padEnd(30, ' ');
+        output += '\t';
+
+        // Address: right-aligned with leading spaces (not zeros)
+        const hexAddr = `0x${address.toString(16)}`;
+        output += `${hexAddr.padStart(18, ' ')} ${symbol}`;
+
+        if (frame.symbolLocation !== undefined) {
+            output += ` + ${frame.symbolLocation}`;
+        }
+        output += this.formatSourceLocation(frame);
+
+        const frameClass = this.imageClassifier.frameClass(frame);
+        if (marked && frameClass !== ImageClass.SYSTEM) {
+            output += ` [${frameClass}]`;
+        }
+
+        return output + '\n';
+    }
+
     formatThreadState(thread, threadNum) {
         const state = thread.threadState;
         if (!state) return '';
@@ -543,32 +879,51 @@ export class IPSParser {
         output += additionalInfo;
         output += '\n';
 
+        // Appendix with what the register values point at
+        if (this.options.annotate) {
+            const annotator = new RegisterAnnotator(this.model, state, this.options.symbolTables, symbol => this.symbolName(symbol));
+            const annotated = registers
+                .map(reg => ({ reg, annotation: annotator.annotate(reg.name, reg.object.value || 0) }))
+                .filter(({ annotation }) => annotation);
+            if (annotated.length > 0) {
+                output += 'Register Annotations:\n';
+                annotated.forEach(({ reg, annotation }) => {
+                    output += `  ${reg.name.padStart(4, ' ')}: 0x${(reg.object.value || 0).toString(16).padStart(16, '0')} ${annotation.text}\n`;
+                });
+                output += '\n';
+            }
+        }
+
+        // Appendix with the decoded ESR and FAR
+        const faultRegisters = this.options.annotate ? explainFaultRegisters(state, this.report.vmRegionInfo) : [];
+        if (faultRegisters.length > 0) {
+            output += 'Fault Registers:\n';
+            faultRegisters.forEach(explanation => {
+                output += `  ${explanation.register.padStart(4, ' ')}: 0x${explanation.value.toString(16).padStart(16, '0')} ${explanation.summary}\n`;
+                explanation.details.forEach(detail => {
+                    output += `        ${detail}\n`;
+                });
+            });
+            output += '\n';
+        }
+
         return output;
     }
 
     formatBinaryImages() {
-        const images = this.report.usedImages || [];
         let output = 'Binary Images:\n';
 
-        images.forEach((image) => {
-            const base = image.base || 0n;
-            let end = base + (image.size || 0n) - 1n;
-            // simulate underflow (matches Apple behavior)
-            if (end < 0n) {
-                const uint64Max = 18446744073709551616n;
-                end += uint64Max;
-            }
-
+        this.model.images.forEach((image) => {
             // Format address range (right-aligned with 0x prefix)
-            const baseHex = base.toString(16);
-            const endHex = end.toString(16);
+            const baseHex = image.base.toString(16);
+            const endHex = image.end.toString(16);
             output += ('0x' + baseHex).padStart(18, ' ');
             output += ' - ';
             output += ('0x' + endHex).padStart(18, ' ');
 
             // Name with optional bundle identifier and version
-            const bundleName = image.CFBundleIdentifier || image.name || '???';
-            const version = image.CFBundleShortVersionString || '*';
+            const bundleName = image.bundleIdentifier || image.name || '???';
+            const version = image.version || '*';
             output += ` ${bundleName} (${version})`;
 
             // UUID with dashes preserved
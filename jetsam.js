@@ -0,0 +1,100 @@
+// Jetsam Event Reports (bug_type 298)
+// Helpers to pull the per-process memory table out of a jetsam report body,
+// shared by the text and structured formatters.
+
+// Kill reasons reported by the kernel's memorystatus subsystem
+const jetsamReasons = {
+    'highwater': 'Exceeded its high-water memory limit while the system was under pressure',
+    'per-process-limit': 'Exceeded its per-process memory limit',
+    'vm-pageshortage': 'Killed to free pages during a system-wide page shortage',
+    'vm-thrashing': 'Killed because the system was thrashing on paging',
+    'proc-thrashing': 'Killed because the system was thrashing on paging',
+    'fc-thrashing': 'Killed because the file cache was thrashing',
+    'vnode-limit': 'Killed because the system ran out of vnodes',
+    'disk-space-shortage': 'Killed to recover disk space',
+    'idle-exit': 'Idle process exited to free memory',
+    'zone-map-exhaustion': 'Killed because the kernel zone map was exhausted',
+    'vm-compressor-thrashing': 'Killed because the memory compressor was thrashing',
+    'vm-compressor-space-shortage': 'Killed because the memory compressor ran out of space',
+    'lowswap': 'Killed because swap space was low',
+    'sustained-memory-pressure': 'Killed after sustained memory pressure',
+};
+
+export function describeJetsamReason(reason) {
+    return jetsamReasons[reason] || null;
+}
+
+// Normalize a jetsam report body into the fields the formatters need.
+// `ownProcesses` is a list of process names or bundle identifiers to highlight.
+export function summarizeJetsam(report, ownProcesses = []) {
+    const memoryStatus = report.memoryStatus || {};
+    const pageSize = memoryStatus.pageSize ?? report.pageSize ?? null;
+
+    const processes = (report.processes || []).map(proc => {
+        const rpages = proc.rpages ?? 0n;
+        return {
+            name: proc.name || '???',
+            pid: proc.pid,
+            rpages: rpages,
+            footprint: pageSize !== null ? BigInt(rpages) * BigInt(pageSize) : null,
+            states: proc.states || [],
+            reason: proc.reason,
+            coalition: proc.coalition,
+            uuid: proc.uuid,
+            bundleID: proc.bundleID,
+            killed: proc.reason !== undefined,
+            own: false,
+        };
+    });
+    markOwnProcesses(processes, ownProcesses);
+
+    return {
+        pageSize: pageSize,
+        largestProcess: report.largestProcess,
+        memoryStatus: memoryStatus,
+        processes: sortJetsamProcesses(processes, 'footprint'),
+    };
+}
+
+// Set `own` on every summarized process matching a name or bundle identifier
+export function markOwnProcesses(processes, ownProcesses) {
+    const own = new Set(ownProcesses.map(name => name.toLowerCase()));
+    processes.forEach(proc => {
+        proc.own = own.has(proc.name.toLowerCase()) || own.has((proc.bundleID || '').toLowerCase());
+    });
+}
+
+// Sort by one of the summarized process fields; numbers sort largest first
+export function sortJetsamProcesses(processes, key, descending = true) {
+    const direction = descending ? -1 : 1;
+    const value = proc => {
+        switch (key) {
+            case 'footprint':
+            case 'rpages':
+                return BigInt(proc.rpages);
+            case 'states':
+                return proc.states.join(', ');
+            default:
+                return proc[key] ?? '';
+        }
+    };
+
+    return [...processes].sort((a, b) => {
+        const lhs = value(a);
+        const rhs = value(b);
+        if (lhs < rhs) return -direction;
+        if (lhs > rhs) return direction;
+        return 0;
+    });
+}
+
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = Number(bytes);
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
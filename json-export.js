@@ -0,0 +1,112 @@
+// JSON Export
+// A normalized JSON document for scripts, built from the parsed report so they don't have to
+// redo the imageIndex / imageOffset arithmetic. Crash reports become:
+//
+//   { format, bugType, title, process, exception, termination, signature, crashedThread,
+//     threads: [{ index, id, name, queue, crashed, frames }], lastExceptionBacktrace, images }
+//
+// where every frame carries its image name and absolute address, and the termination carries an
+// explanation ({ name, explanation }, or null for unknown namespaces). Addresses are "0x..." strings,
+// and other integers are numbers unless they don't fit in a double, in which case they are strings.
+// Other bug types are exported as their metadata and report JSON.
+
+import { stringifyJSON } from './ips-parser-core.js';
+import { demangle, isMangled } from './demangler.js';
+import { crashSignature } from './signature.js';
+import { explainTermination } from './termination-codes.js';
+
+export const jsonFormatVersion = 1;
+
+function hexAddress(value) {
+    return `0x${BigInt(value).toString(16)}`;
+}
+
+function integer(value) {
+    if (typeof value !== 'bigint') return value ?? null;
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+}
+
+// Copy of a flat model object (process, exception, termination) with its BigInt values (and arrays of them) converted
+function plainObject(object) {
+    if (!object) return null;
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, Array.isArray(value) ? value.map(integer) : integer(value)]));
+}
+
+function exportFrame(model, frame) {
+    const image = model.imageForFrame(frame);
+    const exported = {
+        index: frame.index,
+        image: image?.name ?? null,
+        imageIndex: frame.imageIndex,
+        imageOffset: integer(frame.imageOffset),
+        address: hexAddress(model.absoluteAddress(frame)),
+        symbol: frame.symbol,
+    };
+    if (frame.symbol && isMangled(frame.symbol)) {
+        exported.demangledSymbol = demangle(frame.symbol);
+    }
+    if (frame.symbolLocation !== undefined) {
+        exported.symbolLocation = integer(frame.symbolLocation);
+    }
+    if (frame.sourceFile) {
+        exported.sourceFile = frame.sourceFile;
+        exported.sourceLine = integer(frame.sourceLine);
+    }
+    if (frame.inline) {
+        exported.inline = true;
+    }
+    return exported;
+}
+
+function exportCrashReport(parser) {
+    const model = parser.model;
+    const crashedThread = model.crashedThread;
+
+    return {
+        format: jsonFormatVersion,
+        bugType: parser.bugType.bugType ?? null,
+        title: parser.bugType.title,
+        process: plainObject(model.process),
+        exception: plainObject(model.exception),
+        termination: model.termination && { ...plainObject(model.termination), explanation: explainTermination(model.termination) },
+        signature: crashSignature(model),
+        crashedThread: crashedThread ? crashedThread.index : null,
+        threads: model.threads.map(thread => ({
+            index: thread.index,
+            id: integer(thread.id),
+            name: thread.name,
+            queue: thread.queue,
+            crashed: thread.crashed,
+            frames: thread.frames.map(frame => exportFrame(model, frame)),
+        })),
+        lastExceptionBacktrace: model.lastExceptionBacktrace && model.lastExceptionBacktrace.map(frame => exportFrame(model, frame)),
+        images: model.images.map(image => ({
+            index: image.index,
+            name: image.name,
+            path: image.path,
+            uuid: image.uuid,
+            arch: image.arch,
+            base: hexAddress(image.base),
+            end: hexAddress(image.end),
+            size: integer(image.size),
+            bundleIdentifier: image.bundleIdentifier,
+            version: image.version,
+        })),
+    };
+}
+
+// Serialize a parsed report (IPSParser or StructuredIPSParser after parse())
+export function formatReportJSON(parser) {
+    if (parser.model) {
+        return JSON.stringify(exportCrashReport(parser), null, 2);
+    }
+
+    // Without a model, keep the full precision of the original numbers
+    return stringifyJSON({
+        format: jsonFormatVersion,
+        bugType: parser.bugType.bugType ?? null,
+        title: parser.bugType.title,
+        metadata: parser.metadata,
+        report: parser.report,
+    });
+}
@@ -0,0 +1,448 @@
+// Legacy Crash Report Parser
+// Reads the pre-JSON plain text .crash format (older devices, Xcode Organizer, bug_type 109)
+// into the same { metadata, report } shape that the JSON .ips parser produces,
+// so every formatter and export works on legacy reports unchanged.
+
+export function isLegacyCrashText(content) {
+    const text = content.trimStart();
+    if (text.startsWith('{')) return false;
+    return /^Incident Identifier:/m.test(text) || (/^Process:\s/m.test(text) && /^Exception Type:/m.test(text));
+}
+
+const frameLine = /^(\d+)\s+(.+?)\s+(0x[0-9a-fA-F]+)\s+(.*)$/;
+const imageLine = /^\s*(0x[0-9a-fA-F]+)\s*-\s*(0x[0-9a-fA-F]+)\s+\+?(.+?)\s+<([0-9a-fA-F-]+)>\s*(.*)$/;
+const architectures = new Set(['arm64', 'arm64e', 'arm64_32', 'armv7', 'armv7s', 'armv7k', 'x86_64', 'x86_64h', 'i386']);
+
+function hex(value) {
+    return BigInt(value);
+}
+
+// "MyApp [1234]" -> ['MyApp', 1234n]
+function nameAndId(value) {
+    const match = value.match(/^(.*?)\s*\[(\d+)\]\s*$/);
+    if (!match) return [value.trim(), undefined];
+    return [match[1], BigInt(match[2])];
+}
+
+function normalizeUUID(uuid) {
+    const digits = uuid.replace(/-/g, '').toLowerCase();
+    if (digits.length !== 32) return uuid.toLowerCase();
+    return `${digits.slice(0, 8)}-${digits.slice(8, 12)}-${digits.slice(12, 16)}-${digits.slice(16, 20)}-${digits.slice(20)}`;
+}
+
+function parseImage(line) {
+    const match = line.match(imageLine);
+    if (!match) return null;
+
+    const [, base, end, description, uuid, path] = match;
+    const image = {
+        base: hex(base),
+        size: hex(end) - hex(base) + 1n,
+        uuid: normalizeUUID(uuid),
+        path: path.trim() || undefined,
+    };
+
+    // Either "Name arch" (iOS) or "bundle.identifier (version)" (macOS)
+    let label = description.trim();
+    const version = label.match(/^(.*?)\s+\((.*)\)$/);
+    if (version) {
+        label = version[1];
+        image.CFBundleShortVersionString = version[2].split(' - ')[0];
+    } else {
+        const parts = label.split(/\s+/);
+        if (parts.length > 1 && architectures.has(parts[parts.length - 1])) {
+            image.arch = parts.pop();
+            label = parts.join(' ');
+        }
+    }
+
+    const fileName = image.path ? image.path.split('/').pop() : label;
+    image.name = fileName || label;
+    if (label !== image.name && /^[\w-]+(\.[\w-]+)+$/.test(label)) {
+        image.CFBundleIdentifier = label;
+    }
+
+    return image;
+}
+
+// "symbol + 84 (File.swift:42) [inlined]", "0x100000000 + 16448"
+function parseFrameDetails(details) {
+    const frame = {};
+    let rest = details.trim();
+
+    if (rest.endsWith('[inlined]')) {
+        frame.inline = true;
+        rest = rest.slice(0, -'[inlined]'.length).trim();
+    }
+
+    const source = rest.match(/^(.*?)\s+\(([^()]+):(\d+)\)$/);
+    if (source) {
+        rest = source[1];
+        frame.sourceFile = source[2];
+        frame.sourceLine = BigInt(source[3]);
+    }
+
+    const offset = rest.match(/^(.*?)\s+\+\s+(\d+)$/);
+    if (offset && /^0x[0-9a-fA-F]+$/.test(offset[1])) {
+        // Unsymbolicated: "<image base> + <offset>"
+        frame.unsymbolicated = true;
+    } else if (offset) {
+        frame.symbol = offset[1];
+        frame.symbolLocation = BigInt(offset[2]);
+    } else if (rest) {
+        frame.symbol = rest;
+    }
+
+    return frame;
+}
+
+function parseThreadState(title, lines) {
+    const state = {};
+    if (/^ARM Thread State \(64-bit\)/.test(title)) {
+        state.flavor = 'ARM_THREAD_STATE64';
+        state.x = [];
+    } else if (/^X86 Thread State/.test(title)) {
+        state.flavor = 'x86_THREAD_STATE';
+    } else {
+        return null;
+    }
+
+    lines.forEach(line => {
+        const registers = [...line.matchAll(/(\w+):\s+(0x[0-9a-fA-F]+)/g)];
+        registers.forEach((register, index) => {
+            const object = { value: hex(register[2]) };
+
+            // Trailing text describes the last register on the line, e.g. "far: 0x... esr: 0x... Address size fault"
+            if (index === registers.length - 1) {
+                const description = line.slice(register.index + register[0].length).trim();
+                if (description) {
+                    object.description = description;
+                }
+            }
+
+            const name = register[1];
+            const xRegister = name.match(/^x(\d+)$/);
+            if (xRegister && state.x) {
+                state.x[Number(xRegister[1])] = object;
+            } else {
+                state[name === 'rfl' ? 'rflags' : name] = object;
+            }
+        });
+    });
+
+    return state;
+}
+
+export function parseLegacyCrash(text, metadata = {}) {
+    const lines = text.split(/\r?\n/);
+    const report = {};
+    const fields = {};
+    const threads = [];
+    const rawFrames = [];
+    const usedImages = [];
+    let section = null;
+    let thread = null;
+    let threadState = null;
+    let asi = [];
+    let lastExceptionBacktrace = null;
+    let termination = null;
+
+    const startSection = (name) => {
+        section = name;
+        thread = null;
+    };
+
+    lines.forEach(rawLine => {
+        const line = rawLine.replace(/\s+$/, '');
+
+        if (line === '' || line === 'EOF') {
+            // Binary Images and the trailing summaries run to the end of the report
+            if (section !== 'binaryImages' && section !== 'ignored') {
+                section = null;
+                thread = null;
+            }
+            return;
+        }
+
+        let match;
+        if ((match = line.match(/^Thread (\d+) name:\s+(.*)$/))) {
+            const index = Number(match[1]);
+            threads[index] = threads[index] || { id: BigInt(index), frames: [] };
+            if (match[2].startsWith('Dispatch queue: ')) {
+                threads[index].queue = match[2].slice('Dispatch queue: '.length);
+            } else {
+                threads[index].name = match[2];
+            }
+            return;
+        }
+
+        if ((match = line.match(/^Thread (\d+)( Crashed)?:(:?)\s*(.*)$/))) {
+            const index = Number(match[1]);
+            startSection('thread');
+            thread = threads[index] = threads[index] || { id: BigInt(index), frames: [] };
+            if (match[2]) {
+                thread.triggered = true;
+            }
+            if (match[4].startsWith('Dispatch queue: ')) {
+                thread.queue = match[4].slice('Dispatch queue: '.length);
+            } else if (match[4]) {
+                thread.name = match[4];
+            }
+            return;
+        }
+
+        if ((match = line.match(/^Thread (\d+) crashed with (.*):$/))) {
+            startSection('threadState');
+            threadState = { thread: Number(match[1]), title: match[2], lines: [] };
+            return;
+        }
+
+        if (line === 'Binary Images:') {
+            startSection('binaryImages');
+            return;
+        }
+
+        if (line === 'Last Exception Backtrace:') {
+            startSection('lastExceptionBacktrace');
+            lastExceptionBacktrace = [];
+            return;
+        }
+
+        if (line === 'Application Specific Information:') {
+            startSection('asi');
+            return;
+        }
+
+        if (/^(External Modification Summary|VM Region Summary|Filtered syslog|Filtered log messages):/.test(line)) {
+            startSection('ignored');
+            return;
+        }
+
+        switch (section) {
+            case 'thread':
+            case 'lastExceptionBacktrace': {
+                const frameMatch = line.match(frameLine);
+                if (frameMatch) {
+                    const frame = parseFrameDetails(frameMatch[4]);
+                    const target = section === 'thread' ? thread.frames : lastExceptionBacktrace;
+                    target.push(frame);
+                    rawFrames.push({ frame, imageName: frameMatch[2].trim(), address: hex(frameMatch[3]) });
+                } else if (section === 'lastExceptionBacktrace' && /^\(0x/.test(line)) {
+                    // Older reports list only addresses: "(0x1a 0x2b ...)"
+                    (line.match(/0x[0-9a-fA-F]+/g) || []).forEach(address => {
+                        const frame = { unsymbolicated: true };
+                        lastExceptionBacktrace.push(frame);
+                        rawFrames.push({ frame, imageName: null, address: hex(address) });
+                    });
+                }
+                return;
+            }
+            case 'threadState':
+                threadState.lines.push(line);
+                return;
+            case 'binaryImages': {
+                const image = parseImage(line);
+                if (image) {
+                    usedImages.push(image);
+                }
+                return;
+            }
+            case 'asi':
+                asi.push(line.trim());
+                return;
+            case 'ignored':
+                return;
+        }
+
+        const field = line.match(/^([A-Za-z][A-Za-z /&-]*?):\s*(.*)$/);
+        if (field) {
+            const [, key, value] = field;
+            if (key === 'Termination Reason' || key === 'Termination Description' || key === 'Termination Signal') {
+                termination = termination || {};
+            }
+            if (fields[key] === undefined) {
+                fields[key] = value.trim();
+            }
+        }
+    });
+
+    // Header
+    if (fields['Process']) {
+        [report.procName, report.pid] = nameAndId(fields['Process']);
+    }
+    if (fields['Path']) report.procPath = fields['Path'];
+    if (fields['Hardware Model']) report.modelCode = fields['Hardware Model'];
+    if (fields['Device Model']) report.codeName = fields['Device Model'];
+    if (fields['Role']) report.procRole = fields['Role'];
+    if (fields['Date/Time']) report.captureTime = fields['Date/Time'];
+    if (fields['Launch Time']) report.procLaunch = fields['Launch Time'];
+    if (fields['Baseband Version']) report.basebandVersion = fields['Baseband Version'];
+    if (fields['UDID']) report.systemID = fields['UDID'];
+    if (fields['Sleep/Wake UUID']) report.sleepWakeUUID = fields['Sleep/Wake UUID'];
+    if (fields['System Integrity Protection']) report.sip = fields['System Integrity Protection'];
+    if (fields['Beta']) report.isBeta = fields['Beta'] === 'YES';
+
+    const incident = fields['Incident Identifier'];
+    if (incident) report.incident = incident;
+
+    const crashReporterKey = fields['CrashReporter Key'] || fields['Crash Reporter Key'];
+    if (crashReporterKey) report.crashReporterKey = crashReporterKey;
+
+    if (fields['Parent Process']) {
+        [report.parentProc, report.parentPid] = nameAndId(fields['Parent Process']);
+    }
+    if (fields['Coalition']) {
+        [report.coalitionName, report.coalitionID] = nameAndId(fields['Coalition']);
+    }
+    const responsible = fields['Responsible Process'] || fields['Responsible'];
+    if (responsible) {
+        [report.responsibleProc, report.responsiblePid] = nameAndId(responsible);
+    }
+    if (fields['User ID'] && /^\d+$/.test(fields['User ID'])) {
+        report.userID = BigInt(fields['User ID']);
+    }
+
+    const uptime = (fields['Time Awake Since Boot'] || '').match(/^(\d+)/);
+    if (uptime) report.uptime = BigInt(uptime[1]);
+
+    const codeType = (fields['Code Type'] || '').match(/^(.*?)(?:\s+\((.*)\))?$/);
+    if (codeType && codeType[1]) {
+        report.cpuType = codeType[1];
+        report.translated = codeType[2] === 'Translated';
+    }
+
+    const osVersion = (fields['OS Version'] || '').match(/^(.*?)\s*\((?:Build )?(.*)\)$/);
+    if (osVersion) {
+        report.osVersion = { train: osVersion[1], build: osVersion[2] };
+    } else if (fields['OS Version']) {
+        report.osVersion = { train: fields['OS Version'] };
+    }
+    if (fields['Release Type']) {
+        report.osVersion = report.osVersion || {};
+        report.osVersion.releaseType = fields['Release Type'];
+    }
+
+    // iOS report versions 104/105 print "Version: build (short)", later ones "short (build)"
+    const bundleInfo = {};
+    if (fields['Identifier']) bundleInfo.CFBundleIdentifier = fields['Identifier'];
+    if (fields['AppStoreTools']) bundleInfo.DTAppStoreToolsBuild = fields['AppStoreTools'];
+    const version = (fields['Version'] || '').match(/^(.*?)\s*\((.*)\)$/);
+    if (version && version[1] !== '???') {
+        const legacyOrder = /^10[45]$/.test(fields['Report Version'] || '');
+        bundleInfo.CFBundleShortVersionString = legacyOrder ? version[2] : version[1];
+        bundleInfo.CFBundleVersion = legacyOrder ? version[1] : version[2];
+    }
+    if (Object.keys(bundleInfo).length > 0) report.bundleInfo = bundleInfo;
+
+    if (fields['AppVariant']) {
+        report.storeInfo = { applicationVariant: fields['AppVariant'] };
+    }
+
+    // Exception
+    const exception = {};
+    const exceptionType = (fields['Exception Type'] || '').match(/^(\S+)(?:\s+\((.*)\))?$/);
+    if (exceptionType) {
+        exception.type = exceptionType[1];
+        if (exceptionType[2]) exception.signal = exceptionType[2];
+    }
+    if (fields['Exception Subtype']) exception.subtype = fields['Exception Subtype'];
+    if (fields['Exception Message']) exception.message = fields['Exception Message'];
+    if (fields['Exception Codes']) exception.codes = fields['Exception Codes'];
+    if (Object.keys(exception).length > 0) report.exception = exception;
+
+    const exceptionNote = fields['Exception Note'] || '';
+    if (exceptionNote.includes('SIMULATED')) report.isSimulated = true;
+    if (exceptionNote.includes('EXC_CORPSE_NOTIFY')) report.isCorpse = true;
+
+    if (fields['Exception Reason']) {
+        report.exceptionReason = { composed_message: fields['Exception Reason'] };
+    }
+
+    if (termination) {
+        const reason = (fields['Termination Reason'] || '').match(/^Namespace (\S+?),\s*Code (\S+?)(?:,\s*(.*))?$/);
+        if (reason) {
+            termination.namespace = reason[1];
+            termination.code = /^0x/i.test(reason[2]) ? hex(reason[2]) : BigInt(reason[2]);
+            if (reason[3]) termination.indicator = reason[3];
+        } else if (fields['Termination Reason']) {
+            termination.reasons = [fields['Termination Reason']];
+        }
+        if (fields['Termination Signal'] && !termination.indicator) {
+            termination.indicator = fields['Termination Signal'];
+        }
+        if (fields['Termination Description']) {
+            termination.details = [fields['Termination Description']];
+        }
+        if (fields['Terminating Process']) {
+            [termination.byProc, termination.byPid] = nameAndId(fields['Terminating Process']);
+        }
+        report.termination = termination;
+    }
+
+    if (fields['VM Region Info']) report.vmRegionInfo = fields['VM Region Info'];
+
+    const triggered = (fields['Triggered by Thread'] || '').match(/^(\d+)/);
+    if (triggered) {
+        report.faultingThread = BigInt(triggered[1]);
+    } else {
+        const crashedIndex = threads.findIndex(t => t && t.triggered);
+        if (crashedIndex !== -1) report.faultingThread = BigInt(crashedIndex);
+    }
+    if (report.faultingThread !== undefined) {
+        const crashed = threads[Number(report.faultingThread)];
+        if (crashed) crashed.triggered = true;
+    }
+
+    if (asi.length > 0) {
+        report.asi = { 'Application Specific Information': asi };
+    }
+
+    // Resolve frames against Binary Images now that they are all known
+    rawFrames.forEach(({ frame, imageName, address }) => {
+        let imageIndex = usedImages.findIndex(image => address >= image.base && address < image.base + image.size);
+        if (imageIndex === -1 && imageName) {
+            imageIndex = usedImages.findIndex(image => image.name === imageName);
+        }
+        if (imageIndex === -1) {
+            // Keep the frame renderable even without a matching image
+            usedImages.push({ base: 0n, size: 0n, name: imageName || '???' });
+            imageIndex = usedImages.length - 1;
+        }
+        frame.imageIndex = BigInt(imageIndex);
+        frame.imageOffset = address - usedImages[imageIndex].base;
+        delete frame.unsymbolicated;
+    });
+
+    if (threadState) {
+        const state = parseThreadState(threadState.title, threadState.lines);
+        const crashed = threads[threadState.thread];
+        if (state && crashed) crashed.threadState = state;
+    }
+
+    if (lastExceptionBacktrace) report.lastExceptionBacktrace = lastExceptionBacktrace;
+    // Gaps in the thread numbering close up, so the crashed thread's number follows it to its new position
+    report.threads = threads.filter(Boolean);
+    if (report.faultingThread !== undefined) {
+        const crashedIndex = report.threads.findIndex(thread => thread.triggered);
+        if (crashedIndex !== -1) {
+            report.faultingThread = BigInt(crashedIndex);
+        }
+    }
+    report.usedImages = usedImages;
+
+    return {
+        metadata: {
+            app_name: report.procName,
+            app_version: bundleInfo.CFBundleShortVersionString,
+            build_version: bundleInfo.CFBundleVersion,
+            bundleID: bundleInfo.CFBundleIdentifier,
+            os_version: fields['OS Version'],
+            timestamp: report.captureTime,
+            incident_id: report.incident,
+            name: report.procName,
+            ...metadata,
+            bug_type: '309',
+        },
+        report: report,
+    };
+}
@@ -1,14 +1,71 @@
 import { IPSParser } from './ips-parser-core.js';
+import { loadSymbolFile } from './symbol-tables.js';
+import { DemangleMode } from './demangler.js';
+import { FrameMode, parseImagePatterns } from './image-classes.js';
+import { formatReportJSON } from './json-export.js';
+import { TicketFormat, formatReportTicket } from './ticket-export.js';
+import { decodeReportBytes, splitReports, isReportFile, reportLabel } from './report-files.js';
+import { encodeShareFragment, decodeShareFragment } from './share.js';
+import { setUpHistorySidebar } from './history-sidebar.js';
+import { redactReport } from './redact.js';
+
+// Set from the structured view's jetsam process table
+const ownProcessesKey = 'ips-page:own-processes';
+const demangleModeKey = 'ips-page:demangle-mode';
+const redactModeKey = 'ips-page:redact-mode';
+// Per page: the text view defaults to plain frames, like Console.app
+const frameModeKey = 'ips-page:text-frame-mode';
+const appImagesKey = 'ips-page:app-images';
+const annotateKey = 'ips-page:annotate';
 
 // UI Controller
 document.addEventListener('DOMContentLoaded', () => {
     const ipsInput = document.getElementById('ipsInput');
+    const inputSection = document.querySelector('.input-section');
     const parseBtn = document.getElementById('parseBtn');
     const clearBtn = document.getElementById('clearBtn');
+    const reportsInput = document.getElementById('reportsInput');
+    const reportTabs = document.getElementById('reportTabs');
     const copyBtn = document.getElementById('copyBtn');
+    const downloadJsonBtn = document.getElementById('downloadJsonBtn');
+    const copyMarkdownBtn = document.getElementById('copyMarkdownBtn');
+    const copyJiraBtn = document.getElementById('copyJiraBtn');
+    const shareLinkBtn = document.getElementById('shareLinkBtn');
     const errorMessage = document.getElementById('errorMessage');
     const outputSection = document.getElementById('output');
     const reportOutput = document.getElementById('reportOutput');
+    const reportTitle = document.getElementById('reportTitle');
+    const symbolsInput = document.getElementById('symbolsInput');
+    const symbolsStatus = document.getElementById('symbolsStatus');
+    const demangleSelect = document.getElementById('demangleMode');
+    const redactSelect = document.getElementById('redactMode');
+    const frameModeSelect = document.getElementById('frameMode');
+    const appImagesInput = document.getElementById('appImages');
+    const annotateToggle = document.getElementById('annotateToggle');
+    const redactionSummary = document.getElementById('redactionSummary');
+    const downloadIpsBtn = document.getElementById('downloadIpsBtn');
+
+    // Imported symbol tables stay loaded across parses
+    let symbolTables = [];
+    let currentParser = null;
+    // The active report as shown, shared and downloaded: the original or its redacted copy
+    let currentContent = null;
+    // One salt per page load, so pseudonyms stay put while switching tabs and symbol modes
+    const redactionSalt = crypto.randomUUID();
+
+    // Open reports ({ name, content }), one tab each
+    let tabs = [];
+    let activeTab = null;
+
+    const historySidebar = setUpHistorySidebar({
+        onOpen: (entry) => openReports([{ name: entry.name, content: entry.content }]),
+    });
+
+    demangleSelect.value = localStorage.getItem(demangleModeKey) || DemangleMode.FULL;
+    redactSelect.value = localStorage.getItem(redactModeKey) || '';
+    frameModeSelect.value = localStorage.getItem(frameModeKey) || FrameMode.PLAIN;
+    appImagesInput.value = localStorage.getItem(appImagesKey) || '';
+    annotateToggle.checked = localStorage.getItem(annotateKey) === 'true';
 
     parseBtn.addEventListener('click', () => {
         const content = ipsInput.value.trim();
@@ -18,49 +75,368 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        const reports = splitReports(content);
+        openReports(reports.map((report, index) => ({
+            name: reportLabel(report) || (reports.length > 1 ? `Pasted report ${index + 1}` : 'Pasted report'),
+            content: report,
+        })));
+    });
+
+    // Add reports as tabs, showing the first; a report that is already open just gets selected
+    function openReports(reports) {
+        let first = null;
+        for (const report of reports) {
+            const tab = tabs.find(existing => existing.content === report.content) || report;
+            if (!tabs.includes(tab)) {
+                tabs.push(tab);
+            }
+            first = first || tab;
+        }
+        if (first) {
+            showReport(first);
+        }
+    }
+
+    function renderTabs() {
+        reportTabs.textContent = '';
+        tabs.forEach(tab => {
+            const tabDiv = document.createElement('div');
+            tabDiv.className = tab === activeTab ? 'report-tab active' : 'report-tab';
+
+            const label = document.createElement('button');
+            label.className = 'report-tab-label';
+            label.textContent = tab.name;
+            label.title = tab.name;
+            label.addEventListener('click', () => showReport(tab));
+
+            const close = document.createElement('button');
+            close.className = 'report-tab-close';
+            close.textContent = '×';
+            close.title = 'Close';
+            close.addEventListener('click', () => closeReport(tab));
+
+            tabDiv.append(label, close);
+            reportTabs.appendChild(tabDiv);
+        });
+        reportTabs.style.display = tabs.length > 0 ? 'flex' : 'none';
+    }
+
+    function closeReport(tab) {
+        const index = tabs.indexOf(tab);
+        tabs.splice(index, 1);
+        if (tab !== activeTab) {
+            renderTabs();
+        } else if (tabs.length > 0) {
+            showReport(tabs[Math.min(index, tabs.length - 1)]);
+        } else {
+            activeTab = null;
+            currentParser = null;
+            currentContent = null;
+            renderTabs();
+            outputSection.style.display = 'none';
+            errorMessage.style.display = 'none';
+        }
+    }
+
+    function showReport(tab) {
+        activeTab = tab;
+        renderTabs();
+
         try {
-            const parser = new IPSParser(content);
+            const { content, changes } = redactSelect.value
+                ? redactReport(tab.content, { mode: redactSelect.value, salt: redactionSalt })
+                : { content: tab.content, changes: null };
+            const parser = new IPSParser(content, {
+                ownProcesses: loadOwnProcesses(),
+                symbolTables,
+                demangle: demangleSelect.value,
+                frameMode: frameModeSelect.value,
+                appImagePatterns: parseImagePatterns(appImagesInput.value),
+                annotate: annotateToggle.checked,
+            });
             parser.parse();
+            showSymbolsStatus(parser.symbolication);
             const formatted = parser.formatReport();
 
+            currentParser = parser;
+            currentContent = content;
+            showRedactionSummary(changes);
+            reportTitle.textContent = parser.bugType.title;
             reportOutput.textContent = formatted;
             outputSection.style.display = 'block';
             errorMessage.style.display = 'none';
+            historySidebar.save(tab.name, tab.content, parser);
         } catch (error) {
-            showError(error.message);
+            currentParser = null;
+            currentContent = null;
+            showError(`${tab.name}: ${error.message}`);
             outputSection.style.display = 'none';
         }
-    });
+    }
 
     clearBtn.addEventListener('click', () => {
         ipsInput.value = '';
+        tabs = [];
+        activeTab = null;
+        currentParser = null;
+        currentContent = null;
+        renderTabs();
         outputSection.style.display = 'none';
         errorMessage.style.display = 'none';
         ipsInput.focus();
     });
 
+    // Files are read as bytes: reports are decoded and opened in tabs (one per report, for
+    // files holding several), while dSYM DWARF binaries and symbol tables are loaded as symbols
+    async function loadFiles(files) {
+        try {
+            const reports = [];
+            let symbolsChanged = false;
+            for (const file of files) {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                if (isReportFile(file.name, bytes)) {
+                    const contents = splitReports(decodeReportBytes(bytes));
+                    contents.forEach((content, index) => {
+                        reports.push({ name: contents.length > 1 ? `${file.name} (${index + 1})` : file.name, content });
+                    });
+                } else {
+                    const tables = loadSymbolFile(bytes, file.name);
+                    const uuids = new Set(tables.map(table => table.uuid));
+                    symbolTables = symbolTables.filter(table => !uuids.has(table.uuid)).concat(tables);
+                    symbolsChanged = true;
+                }
+            }
+            if (symbolsChanged) {
+                showSymbolsStatus(null);
+            }
+            if (reports.length > 0) {
+                openReports(reports);
+            } else if (symbolsChanged && activeTab) {
+                showReport(activeTab);
+            }
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    reportsInput.addEventListener('change', async () => {
+        await loadFiles(reportsInput.files);
+        reportsInput.value = '';
+    });
+
+    symbolsInput.addEventListener('change', async () => {
+        await loadFiles(symbolsInput.files);
+        symbolsInput.value = '';
+    });
+
+    // Reports, dSYM DWARF files (Contents/Resources/DWARF/<name>) and symbol tables can be dropped anywhere
+    document.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        inputSection.classList.add('drop-target');
+    });
+    document.addEventListener('dragleave', (event) => {
+        if (!event.relatedTarget) {
+            inputSection.classList.remove('drop-target');
+        }
+    });
+    document.addEventListener('drop', (event) => {
+        event.preventDefault();
+        inputSection.classList.remove('drop-target');
+        if (event.dataTransfer.files.length > 0) {
+            loadFiles(event.dataTransfer.files);
+        }
+    });
+
+    function showSymbolsStatus(symbolication) {
+        if (symbolTables.length === 0) {
+            symbolsStatus.style.display = 'none';
+            return;
+        }
+        const symbolCount = symbolTables.reduce((total, table) => total + table.count, 0);
+        let status = `Loaded ${symbolTables.length} symbol table${symbolTables.length === 1 ? '' : 's'} (${symbolCount} symbols).`;
+        if (symbolication) {
+            status += ` ${symbolication.matchedTables.length} matched this report, resolving ${symbolication.resolvedCount} frames.`;
+        }
+        symbolsStatus.textContent = status;
+        symbolsStatus.style.display = 'block';
+    }
+
+    demangleSelect.addEventListener('change', () => {
+        localStorage.setItem(demangleModeKey, demangleSelect.value);
+        if (activeTab) {
+            showReport(activeTab);
+        }
+    });
+
+    frameModeSelect.addEventListener('change', () => {
+        localStorage.setItem(frameModeKey, frameModeSelect.value);
+        if (activeTab) {
+            showReport(activeTab);
+        }
+    });
+
+    // On change rather than input, so the report isn't re-rendered on every keystroke
+    appImagesInput.addEventListener('change', () => {
+        localStorage.setItem(appImagesKey, appImagesInput.value);
+        if (activeTab) {
+            showReport(activeTab);
+        }
+    });
+
+    annotateToggle.addEventListener('change', () => {
+        localStorage.setItem(annotateKey, String(annotateToggle.checked));
+        if (activeTab) {
+            showReport(activeTab);
+        }
+    });
+
+    redactSelect.addEventListener('change', () => {
+        localStorage.setItem(redactModeKey, redactSelect.value);
+        if (activeTab) {
+            showReport(activeTab);
+        }
+    });
+
+    // Everything redaction replaced, to check before sharing
+    function showRedactionSummary(changes) {
+        redactionSummary.textContent = '';
+        redactionSummary.hidden = !changes;
+        if (!changes) return;
+
+        const summary = document.createElement('summary');
+        summary.textContent = changes.length === 0
+            ? 'Nothing to redact'
+            : `Redacted ${changes.length} value${changes.length === 1 ? '' : 's'}`;
+        const list = document.createElement('ul');
+        changes.forEach(change => {
+            const item = document.createElement('li');
+            item.textContent = `${change.field}: ${change.original} → ${change.replacement}`;
+            list.appendChild(item);
+        });
+        redactionSummary.append(summary, list);
+    }
+
     copyBtn.addEventListener('click', () => {
-        const text = reportOutput.textContent;
+        copyToClipboard(copyBtn, reportOutput.textContent);
+    });
+
+    // The link holds the whole report, so nothing is uploaded anywhere
+    shareLinkBtn.addEventListener('click', async () => {
+        if (!currentContent) return;
+        try {
+            const fragment = await encodeShareFragment(currentContent, viewState());
+            copyToClipboard(shareLinkBtn, `${location.origin}${location.pathname}#${fragment}`);
+        } catch (error) {
+            showError('Failed to create share link: ' + error.message);
+        }
+    });
+
+    // The line of the text selection, e.g. a frame to point out
+    function viewState() {
+        const selection = window.getSelection();
+        if (selection.rangeCount === 0 || !reportOutput.contains(selection.anchorNode)) {
+            return {};
+        }
+        const range = document.createRange();
+        range.setStart(reportOutput, 0);
+        range.setEnd(selection.anchorNode, selection.anchorOffset);
+        return { line: range.toString().split('\n').length - 1 };
+    }
+
+    function restoreViewState(view) {
+        const line = Number(view.line);
+        const textNode = reportOutput.firstChild;
+        if (view.line === undefined || !Number.isInteger(line) || !textNode) return;
+
+        const text = textNode.textContent;
+        let start = 0;
+        for (let i = 0; i < line; i++) {
+            start = text.indexOf('\n', start) + 1;
+            if (start === 0) return;
+        }
+        const end = text.indexOf('\n', start);
+
+        const range = document.createRange();
+        range.setStart(textNode, start);
+        range.setEnd(textNode, end < 0 ? text.length : end);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        window.scrollTo(0, window.scrollY + range.getBoundingClientRect().top - window.innerHeight / 2);
+    }
+
+    // Condensed reports for GitHub issues and Jira tickets
+    copyMarkdownBtn.addEventListener('click', () => {
+        if (!currentParser) return;
+        copyToClipboard(copyMarkdownBtn, formatReportTicket(currentParser, TicketFormat.MARKDOWN));
+    });
+
+    copyJiraBtn.addEventListener('click', () => {
+        if (!currentParser) return;
+        copyToClipboard(copyJiraBtn, formatReportTicket(currentParser, TicketFormat.JIRA));
+    });
+
+    function copyToClipboard(button, text) {
         navigator.clipboard.writeText(text).then(() => {
-            const originalText = copyBtn.textContent;
-            copyBtn.textContent = 'Copied!';
+            const originalText = button.textContent;
+            button.textContent = 'Copied!';
             setTimeout(() => {
-                copyBtn.textContent = originalText;
+                button.textContent = originalText;
             }, 2000);
         }).catch(err => {
             showError('Failed to copy to clipboard: ' + err.message);
         });
+    }
+
+    // Save the last parsed report as normalized JSON
+    downloadJsonBtn.addEventListener('click', () => {
+        if (!currentParser) return;
+        const name = currentParser.model?.process.name || 'report';
+        downloadFile(`${name}.json`, formatReportJSON(currentParser), 'application/json');
+    });
+
+    // Save the report itself, e.g. a redacted copy that still opens as a report
+    downloadIpsBtn.addEventListener('click', () => {
+        if (!currentContent) return;
+        const name = currentParser.model?.process.name || 'report';
+        downloadFile(`${name}${redactSelect.value ? '-redacted' : ''}.ips`, currentContent, 'text/plain');
     });
 
+    function downloadFile(name, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     function showError(message) {
         errorMessage.textContent = message;
         errorMessage.style.display = 'block';
     }
 
+    function loadOwnProcesses() {
+        try {
+            return JSON.parse(localStorage.getItem(ownProcessesKey)) || [];
+        } catch {
+            return [];
+        }
+    }
+
     // Allow parsing with Enter key (Ctrl/Cmd + Enter)
     ipsInput.addEventListener('keydown', (e) => {
         if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
             parseBtn.click();
         }
     });
+
+    // Open a report shared with "Copy Share Link"
+    if (location.hash) {
+        decodeShareFragment(location.hash).then(shared => {
+            if (!shared) return;
+            openReports([{ name: reportLabel(shared.content) || 'Shared report', content: shared.content }]);
+            restoreViewState(shared.view);
+        }).catch(error => showError(error.message));
+    }
 });
@@ -0,0 +1,223 @@
+// Redaction
+// Scrubs or pseudonymizes identifying data in a report before it is shared, and re-emits it in its
+// original format (an .ips file stays a valid .ips file):
+//
+//   const { content, changes } = redactReport(ipsContent, { mode: RedactionMode.REMOVE });
+//   changes;  // [{ field: 'crashReporterKey', original: 'abcdef01...', replacement: '00000000...' }]
+//
+// What is redacted:
+// - identifiers: device and installation IDs, by field path (or by label in legacy text reports)
+// - user names in home directory paths (/Users/<name>/...), anywhere in the report
+// - email and IPv4 addresses in free-text fields such as the Application Specific Information
+// - matches of any extra regular expressions, anywhere in the report
+//
+// Pseudonyms are consistent within a report (the same value always gets the same replacement)
+// and keep the shape of identifiers, so UUIDs still look like UUIDs.
+
+import { parseJSON, stringifyJSON } from './ips-parser-core.js';
+import { isLegacyCrashText } from './legacy-crash.js';
+import { isSpindumpText } from './stackshot.js';
+import { fnv1a64 } from './signature.js';
+
+export const RedactionMode = Object.freeze({
+    // Consistent stand-ins: user1, matching-shape hex IDs, email1@example.com
+    PSEUDONYMIZE: 'pseudonymize',
+    // Fixed placeholders: USER, all-zero IDs, <email>
+    REMOVE: 'remove',
+});
+
+// Rules can be overridden one by one, e.g. from a JSON file given to --redact-rules
+export const defaultRedactionRules = Object.freeze({
+    mode: RedactionMode.PSEUDONYMIZE,
+    identifiers: [
+        'systemID',
+        'crashReporterKey',
+        'sleepWakeUUID',
+        'storeInfo.deviceIdentifierForVendor',
+        'storeInfo.deviceIdentifierForSystem',
+    ],
+    userNames: true,
+    freeTextFields: ['asi', 'filteredLog'],
+    emails: true,
+    ipAddresses: true,
+    // Extra regular expressions (as strings), redacted wherever they match
+    patterns: [],
+    // Pseudonyms are derived from the values and this salt; a random one keeps them unlinkable across reports
+    salt: null,
+});
+
+// Header labels of identifier fields in legacy text reports
+const identifierLabels = {
+    systemID: ['UDID'],
+    crashReporterKey: ['CrashReporter Key', 'Crash Reporter Key'],
+    sleepWakeUUID: ['Sleep/Wake UUID'],
+    'storeInfo.deviceIdentifierForVendor': ['Beta Identifier'],
+};
+
+// "/Users/Shared" is not a person
+const userPathPattern = /(\/Users\/)(?!Shared\/)([^/\s"'<>:]+)/g;
+const emailPattern = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const ipv4Pattern = /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g;
+
+function randomSalt() {
+    const bytes = new Uint8Array(8);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+class Redactor {
+    constructor(rules) {
+        this.rules = rules;
+        this.salt = rules.salt ?? randomSalt();
+        this.patterns = rules.patterns.map(pattern => new RegExp(pattern, 'g'));
+        // kind -> Map(original -> replacement)
+        this.replacements = new Map();
+        this.changes = [];
+        this.recorded = new Set();
+    }
+
+    replacement(kind, original, create) {
+        if (!this.replacements.has(kind)) {
+            this.replacements.set(kind, new Map());
+        }
+        const known = this.replacements.get(kind);
+        if (!known.has(original)) {
+            known.set(original, create(known.size + 1));
+        }
+        return known.get(original);
+    }
+
+    record(field, original, replacement) {
+        const key = `${field}\n${original}`;
+        if (original !== replacement && !this.recorded.has(key)) {
+            this.recorded.add(key);
+            this.changes.push({ field, original, replacement });
+        }
+    }
+
+    // Same length and separators as the original, hex digits in the same case
+    identifier(field, value) {
+        const replacement = this.replacement('identifier', value, () => {
+            if (this.rules.mode === RedactionMode.REMOVE) {
+                return value.replace(/[0-9a-zA-Z]/g, '0');
+            }
+            let digits = '';
+            for (let round = 0; digits.length < value.length; round++) {
+                digits += fnv1a64(`${this.salt}:${value}:${round}`);
+            }
+            if (!/[a-z]/.test(value)) {
+                digits = digits.toUpperCase();
+            }
+            let index = 0;
+            return value.replace(/[0-9a-zA-Z]/g, () => digits[index++]);
+        });
+        this.record(field, value, replacement);
+        return replacement;
+    }
+
+    // freeText: also look for email and IP addresses
+    text(field, value, freeText) {
+        const pseudonymize = this.rules.mode === RedactionMode.PSEUDONYMIZE;
+        const substitute = (pattern, kind, pseudonym, placeholder) => {
+            value = value.replace(pattern, match => {
+                const replacement = this.replacement(kind, match, n => (pseudonymize ? pseudonym(n) : placeholder));
+                this.record(field, match, replacement);
+                return replacement;
+            });
+        };
+
+        if (this.rules.userNames) {
+            value = value.replace(userPathPattern, (match, prefix, name) => {
+                const replacement = this.replacement('user', name, n => (pseudonymize ? `user${n}` : 'USER'));
+                this.record(field, name, replacement);
+                return prefix + replacement;
+            });
+        }
+        if (freeText && this.rules.emails) {
+            substitute(emailPattern, 'email', n => `email${n}@example.com`, '<email>');
+        }
+        if (freeText && this.rules.ipAddresses) {
+            // 192.0.2.0/24 is reserved for documentation
+            substitute(ipv4Pattern, 'ip', n => `192.0.2.${n % 256}`, '<ip>');
+        }
+        this.patterns.forEach(pattern => {
+            substitute(pattern, 'pattern', n => `redacted${n}`, '<redacted>');
+        });
+        return value;
+    }
+
+    // Walk parsed JSON, redacting strings by their path ("usedImages[].path")
+    json(value, path = '') {
+        if (typeof value === 'string') {
+            if (this.rules.identifiers.includes(path)) {
+                return this.identifier(path, value);
+            }
+            const topLevel = path.split(/[.[]/, 1)[0];
+            return this.text(path, value, this.rules.freeTextFields.includes(topLevel));
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.json(item, `${path}[]`));
+        }
+        if (value !== null && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.json(item, path ? `${path}.${key}` : key)]));
+        }
+        return value;
+    }
+
+    // Legacy text reports and spindumps: identifiers by header label, free text in the
+    // Application Specific Information section
+    plainText(content) {
+        const labels = new Map();
+        this.rules.identifiers.forEach(field => {
+            (identifierLabels[field] || []).forEach(label => labels.set(label, field));
+        });
+
+        let inFreeText = false;
+        return content.split('\n').map(line => {
+            const header = /^([^:]+):(\s+)(\S.*?)\s*$/.exec(line);
+            if (header && labels.has(header[1])) {
+                return `${header[1]}:${header[2]}${this.identifier(labels.get(header[1]), header[3])}`;
+            }
+            if (/^Application Specific Information:/.test(line)) {
+                inFreeText = this.rules.freeTextFields.includes('asi');
+                return line;
+            }
+            if (!line.trim()) {
+                inFreeText = false;
+            }
+            return this.text(header ? header[1] : 'text', line, inFreeText);
+        }).join('\n');
+    }
+}
+
+// Redact a report in any supported format; rules are merged over defaultRedactionRules
+export function redactReport(content, rules = {}) {
+    const redactor = new Redactor({ ...defaultRedactionRules, ...rules });
+    const trimmed = content.trim();
+
+    if (isSpindumpText(trimmed) || isLegacyCrashText(trimmed)) {
+        return { content: redactor.plainText(trimmed), changes: redactor.changes };
+    }
+
+    const lines = trimmed.split('\n');
+    const metadata = redactor.json(parseJSON(lines[0]));
+    const body = lines.slice(1).join('\n');
+
+    let redactedBody;
+    try {
+        redactedBody = stringifyJSON(redactor.json(parseJSON(body)));
+    } catch {
+        if (isLegacyCrashText(body)) {
+            // Xcode's legacy text reports behind an .ips metadata line
+            redactedBody = redactor.plainText(body);
+        } else {
+            // One JSON object per line (analytics)
+            redactedBody = lines.slice(1)
+                .filter(line => line.trim())
+                .map(line => stringifyJSON(redactor.json(parseJSON(line)), 0))
+                .join('\n');
+        }
+    }
+
+    return { content: `${stringifyJSON(metadata, 0)}\n${redactedBody}`, changes: redactor.changes };
+}
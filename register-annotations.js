@@ -0,0 +1,118 @@
+// Register Annotations
+// Says what the crashed thread's register values point at, so a bare 0x0000000100008040 reads as a place in the code:
+//
+//   const annotator = new RegisterAnnotator(model, thread.threadState, symbolTables, symbol => demangle(symbol));
+//   annotator.annotate('pc', 0x100008040n);   // { kind: 'image', text: 'ViewController.viewDidLoad() + 64 (MyApp + 32832)' }
+//   annotator.annotate('x1', 0x10n);          // { kind: 'null', text: 'near NULL' }
+//   annotator.annotate('fp', 0x16b6d9f40n);   // { kind: 'stack', text: 'stack (sp + 0x30)' }
+//
+// arm64e pointers are checked with their pointer authentication bits stripped. Symbols come from the
+// imported symbol tables, or from a frame in the report at the same address. Stack and heap labels are
+// guesses from the value alone: the report doesn't record the thread's stack bounds or the malloc zones.
+
+import { addressMask, nullPointerRange, stackGuardRange } from './fault-registers.js';
+import { normalizeUUID } from './symbol-tables.js';
+
+export const RegisterKind = Object.freeze({
+    NULL: 'null',
+    IMAGE: 'image',
+    SHARED_CACHE: 'shared-cache',
+    STACK: 'stack',
+    HEAP: 'heap',
+});
+
+// Status registers and exception syndromes hold flags, not addresses
+const flagRegisters = new Set(['cpsr', 'esr', 'rfl']);
+// Zero is everywhere in general purpose registers, so it is only called out where a pointer is expected
+const pointerRegisters = new Set(['fp', 'lr', 'sp', 'pc', 'rbp', 'rsp', 'rip']);
+// The largest thread stack (the main thread's on macOS)
+const maximumStackSize = 0x800000n;
+// __PAGEZERO covers the low 4 GB of 64-bit processes, so nothing above NULL is mapped below it
+const pageZeroEnd = 0x100000000n;
+
+function hex(value) {
+    return `0x${value.toString(16)}`;
+}
+
+export class RegisterAnnotator {
+    // symbolTables: imported SymbolTable list; symbolName: how a symbol is shown (e.g. demangled)
+    constructor(model, threadState, symbolTables = [], symbolName = symbol => symbol) {
+        this.model = model;
+        this.arm = threadState?.flavor === 'ARM_THREAD_STATE64';
+        const sp = this.arm ? threadState.sp?.value : threadState?.rsp?.value;
+        this.sp = sp !== undefined ? BigInt(sp) : null;
+        this.symbolTables = new Map(symbolTables.map(table => [table.uuid, table]));
+        this.symbolName = symbolName;
+        this.frameSymbols = null;
+
+        const sharedCache = model.report.sharedCache;
+        this.sharedCache = sharedCache?.base !== undefined && sharedCache.size
+            ? { base: BigInt(sharedCache.base), size: BigInt(sharedCache.size) }
+            : null;
+    }
+
+    // "symbol + location" of report frames by absolute address
+    frameSymbol(address) {
+        if (!this.frameSymbols) {
+            this.frameSymbols = new Map();
+            const frames = [...this.model.threads.flatMap(thread => thread.frames), ...(this.model.lastExceptionBacktrace || [])];
+            frames.forEach(frame => {
+                const key = this.model.absoluteAddress(frame).toString();
+                if (frame.symbol && !frame.inline && !this.frameSymbols.has(key)) {
+                    this.frameSymbols.set(key, { symbol: frame.symbol, symbolLocation: frame.symbolLocation });
+                }
+            });
+        }
+        return this.frameSymbols.get(address.toString()) || null;
+    }
+
+    describeImageAddress(image, address, signed) {
+        const offset = address - image.base;
+        const table = image.uuid ? this.symbolTables.get(normalizeUUID(image.uuid)) : null;
+        const resolved = table?.lookup(offset) || this.frameSymbol(address);
+        let text = `${image.name || '???'} + ${offset}`;
+        if (resolved) {
+            const location = resolved.symbolLocation !== undefined ? ` + ${resolved.symbolLocation}` : '';
+            text = `${this.symbolName(resolved.symbol)}${location} (${text})`;
+        }
+        return signed ? `${text}, signed pointer` : text;
+    }
+
+    // { kind, text } for a register value, or null when there is nothing to say about it
+    annotate(name, value) {
+        if (flagRegisters.has(name)) return null;
+        const raw = BigInt(value);
+
+        if (raw < nullPointerRange) {
+            if (raw === 0n) {
+                return pointerRegisters.has(name) ? { kind: RegisterKind.NULL, text: 'NULL' } : null;
+            }
+            return { kind: RegisterKind.NULL, text: 'small integer or near-NULL pointer' };
+        }
+
+        // Pointer authentication codes live in the bits above the address
+        const signed = this.arm && (raw & ~addressMask) !== 0n;
+        const address = signed ? raw & addressMask : raw;
+
+        const image = this.model.imageForAddress(address);
+        if (image) {
+            return { kind: RegisterKind.IMAGE, text: this.describeImageAddress(image, address, signed) };
+        }
+        if (this.sharedCache && address >= this.sharedCache.base && address < this.sharedCache.base + this.sharedCache.size) {
+            return { kind: RegisterKind.SHARED_CACHE, text: `dyld shared cache + ${hex(address - this.sharedCache.base)}` };
+        }
+        if (signed || address < pageZeroEnd || address > addressMask) {
+            return null;
+        }
+
+        if (this.sp !== null && name !== 'sp' && name !== 'rsp'
+            && address >= this.sp - stackGuardRange && address < this.sp + maximumStackSize) {
+            const position = address >= this.sp ? `sp + ${hex(address - this.sp)}` : `sp - ${hex(this.sp - address)}`;
+            return { kind: RegisterKind.STACK, text: `stack (${position})` };
+        }
+        if (name !== 'sp' && name !== 'rsp' && address % 8n === 0n) {
+            return { kind: RegisterKind.HEAP, text: 'possibly a heap pointer' };
+        }
+        return null;
+    }
+}
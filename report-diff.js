@@ -0,0 +1,140 @@
+// Report Diff
+// Section-by-section comparison of two crash reports, e.g. the same crash in build N and build N+1:
+//
+//   { header: [row], exception: [row], frames: [pair], images: [imageChange] }
+//
+// where a row is { label, left, right, changed } and a frame pair is { left, right, status } with status
+// 'same', 'changed', 'removed' (left only) or 'added' (right only). Crashed-thread frames are aligned on
+// image and symbol, so a frame that moved or whose offset changed still lines up with its counterpart.
+// Images are matched by name and listed when their UUID or version changed, or they only appear on one side.
+
+function row(label, left, right) {
+    const format = value => (value === null || value === undefined || value === '' ? '' : String(value));
+    return { label, left: format(left), right: format(right), changed: format(left) !== format(right) };
+}
+
+function headerRows(left, right) {
+    const fields = [
+        ['Process', proc => proc.name],
+        ['Identifier', proc => proc.identifier],
+        ['Version', proc => proc.version],
+        ['Build', proc => proc.build],
+        ['Code Type', proc => proc.cpuType],
+        ['Role', proc => proc.role],
+        ['Parent Process', proc => proc.parentName],
+        ['Date/Time', proc => proc.captureTime],
+        ['Launch Time', proc => proc.launchTime],
+        ['Hardware Model', proc => proc.hardwareModel],
+        ['OS Version', proc => (proc.osTrain || proc.osBuild ? `${proc.osTrain || 'Unknown'} (${proc.osBuild || 'Unknown'})` : null)],
+        ['Release Type', proc => proc.osReleaseType],
+        ['Incident', proc => proc.incident],
+    ];
+    return fields.map(([label, value]) => row(label, value(left.process), value(right.process)));
+}
+
+function exceptionRows(left, right) {
+    const ex = model => model.exception || {};
+    const term = model => model.termination || {};
+    const code = model => (model.termination ? `0x${BigInt(model.termination.code ?? 0).toString(16)}` : null);
+
+    return [
+        row('Exception Type', ex(left).type, ex(right).type),
+        row('Signal', ex(left).signal, ex(right).signal),
+        row('Exception Subtype', ex(left).subtype, ex(right).subtype),
+        row('Exception Message', ex(left).message, ex(right).message),
+        row('Exception Codes', ex(left).codes, ex(right).codes),
+        row('Exception Reason', ex(left).reason, ex(right).reason),
+        row('Termination Namespace', term(left).namespace, term(right).namespace),
+        row('Termination Code', code(left), code(right)),
+        row('Termination Indicator', term(left).indicator, term(right).indicator),
+        row('Termination Reasons', term(left).reasons?.join('\n'), term(right).reasons?.join('\n')),
+        row('Terminating Process', term(left).byProc, term(right).byProc),
+    ].filter(diffRow => diffRow.left || diffRow.right);
+}
+
+// Addresses and offsets differ between builds, so frames are compared on image and symbol only
+function frameKey(model, frame) {
+    return `${model.imageForFrame(frame)?.name || '???'}\n${frame.symbol || '???'}`;
+}
+
+// Longest common subsequence of frame keys; the frames between two matches are paired up in order
+function alignFrames(left, right) {
+    const leftFrames = left.crashedThread?.frames || [];
+    const rightFrames = right.crashedThread?.frames || [];
+    const leftKeys = leftFrames.map(frame => frameKey(left, frame));
+    const rightKeys = rightFrames.map(frame => frameKey(right, frame));
+
+    // lengths[i][j]: LCS length of leftKeys[i...] and rightKeys[j...]
+    const lengths = Array.from({ length: leftKeys.length + 1 }, () => new Array(rightKeys.length + 1).fill(0));
+    for (let i = leftKeys.length - 1; i >= 0; i--) {
+        for (let j = rightKeys.length - 1; j >= 0; j--) {
+            lengths[i][j] = leftKeys[i] === rightKeys[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const pairs = [];
+    let unmatchedLeft = [];
+    let unmatchedRight = [];
+    const flushUnmatched = () => {
+        for (let k = 0; k < Math.max(unmatchedLeft.length, unmatchedRight.length); k++) {
+            const leftFrame = unmatchedLeft[k] || null;
+            const rightFrame = unmatchedRight[k] || null;
+            pairs.push({ left: leftFrame, right: rightFrame, status: leftFrame && rightFrame ? 'changed' : leftFrame ? 'removed' : 'added' });
+        }
+        unmatchedLeft = [];
+        unmatchedRight = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < leftKeys.length || j < rightKeys.length) {
+        if (i < leftKeys.length && j < rightKeys.length && leftKeys[i] === rightKeys[j]) {
+            flushUnmatched();
+            pairs.push({ left: leftFrames[i++], right: rightFrames[j++], status: 'same' });
+        } else if (j >= rightKeys.length || (i < leftKeys.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            unmatchedLeft.push(leftFrames[i++]);
+        } else {
+            unmatchedRight.push(rightFrames[j++]);
+        }
+    }
+    flushUnmatched();
+
+    return pairs;
+}
+
+function imageChanges(left, right) {
+    const byName = model => new Map(model.images.filter(image => image.name).map(image => [image.name, image]));
+    const leftImages = byName(left);
+    const rightImages = byName(right);
+    const changes = [];
+
+    for (const [name, leftImage] of leftImages) {
+        const rightImage = rightImages.get(name);
+        if (!rightImage) {
+            changes.push({ name, left: leftImage, right: null, uuidChanged: false, versionChanged: false });
+            continue;
+        }
+        const uuidChanged = (leftImage.uuid || '').toLowerCase() !== (rightImage.uuid || '').toLowerCase();
+        const versionChanged = (leftImage.version || '') !== (rightImage.version || '');
+        if (uuidChanged || versionChanged) {
+            changes.push({ name, left: leftImage, right: rightImage, uuidChanged, versionChanged });
+        }
+    }
+    for (const [name, rightImage] of rightImages) {
+        if (!leftImages.has(name)) {
+            changes.push({ name, left: null, right: rightImage, uuidChanged: false, versionChanged: false });
+        }
+    }
+
+    return changes;
+}
+
+// Compare two CrashReportModels
+export function diffReports(left, right) {
+    return {
+        header: headerRows(left, right),
+        exception: exceptionRows(left, right),
+        frames: alignFrames(left, right),
+        images: imageChanges(left, right),
+    };
+}
@@ -0,0 +1,137 @@
+// Report Files
+// Reading reports from dropped or picked files and from pastes: decoding their bytes, telling reports
+// apart from symbol files, and splitting several concatenated reports into one string each.
+
+import { isMachO } from './dsym.js';
+import { isLegacyCrashText } from './legacy-crash.js';
+import { isSpindumpText } from './stackshot.js';
+import { bugTypeInfo, spindumpReportInfo } from './bug-types.js';
+
+const reportExtensions = ['.ips', '.crash', '.spin'];
+
+// UTF-8 (with or without a byte order mark) or UTF-16 as saved by some editors and mail clients;
+// anything that isn't valid UTF-8 is read as Windows-1252
+export function decodeReportBytes(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+        return new TextDecoder('utf-16le').decode(bytes);
+    }
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+        return new TextDecoder('utf-16be').decode(bytes);
+    }
+    // Reports start with ASCII, so a leading NUL byte gives away UTF-16 without a byte order mark
+    if (bytes.length >= 2 && bytes[0] !== 0 && bytes[1] === 0) {
+        return new TextDecoder('utf-16le').decode(bytes);
+    }
+    if (bytes.length >= 2 && bytes[0] === 0 && bytes[1] !== 0) {
+        return new TextDecoder('utf-16be').decode(bytes);
+    }
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+}
+
+// The one-line JSON object that starts every .ips file
+function isMetadataLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) return false;
+    try {
+        const metadata = JSON.parse(trimmed);
+        return metadata !== null && typeof metadata === 'object' && 'bug_type' in metadata;
+    } catch {
+        return false;
+    }
+}
+
+// Brace depth after line, starting from depth; braces inside strings don't count
+function braceDepth(line, depth) {
+    let inString = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+        }
+    }
+    return depth;
+}
+
+// Split text holding one or more reports, back to back. A report starts at an .ips metadata line, or at
+// "Incident Identifier:" in legacy text reports, as long as it isn't inside the previous report's JSON body.
+export function splitReports(text) {
+    const reports = [];
+    let current = [];
+    let afterMetadata = false;
+    let jsonBody = false;
+    let depth = 0;
+
+    const startReport = (line) => {
+        if (current.length > 0) {
+            reports.push(current.join('\n'));
+        }
+        current = [line];
+        afterMetadata = isMetadataLine(line);
+        jsonBody = line.trimStart().startsWith('{') && !afterMetadata;
+        depth = jsonBody ? braceDepth(line, 0) : 0;
+    };
+
+    for (const line of text.split('\n')) {
+        if (!line.trim()) {
+            if (current.length > 0) current.push(line);
+        } else if (current.length === 0) {
+            startReport(line);
+        } else if (afterMetadata) {
+            // The body right after a metadata line always belongs to it
+            current.push(line);
+            afterMetadata = false;
+            jsonBody = line.trimStart().startsWith('{');
+            depth = jsonBody ? braceDepth(line, 0) : 0;
+        } else if (depth <= 0 && (isMetadataLine(line) || /^Incident Identifier:/.test(line))) {
+            startReport(line);
+        } else {
+            current.push(line);
+            if (jsonBody) {
+                depth = braceDepth(line, depth);
+            }
+        }
+    }
+    if (current.length > 0) {
+        reports.push(current.join('\n'));
+    }
+
+    return reports.map(report => report.trim()).filter(Boolean);
+}
+
+// Whether a dropped file is a report (as opposed to a symbol table or dSYM)
+export function isReportFile(name, bytes) {
+    if (isMachO(bytes)) return false;
+    if (reportExtensions.some(extension => name.toLowerCase().endsWith(extension))) return true;
+
+    const text = decodeReportBytes(bytes);
+    const firstLine = text.trimStart().split('\n', 1)[0];
+    return isMetadataLine(firstLine) || isLegacyCrashText(text) || isSpindumpText(text);
+}
+
+// A tab title for a pasted report: the app or process name, or else the kind of report
+export function reportLabel(content) {
+    const firstLine = content.trimStart().split('\n', 1)[0];
+    if (isMetadataLine(firstLine)) {
+        const metadata = JSON.parse(firstLine);
+        return metadata.app_name || metadata.name || bugTypeInfo(metadata.bug_type).title;
+    }
+    if (isSpindumpText(content)) {
+        return spindumpReportInfo.title;
+    }
+    return /^Process:\s+(.+?)(?:\s+\[\d+\])?\s*$/m.exec(content)?.[1] ?? null;
+}
@@ -0,0 +1,90 @@
+// Report History
+// Parsed reports saved in the browser's IndexedDB, only when the user turns history on.
+// Entries are keyed by a hash of the content, so opening the same report again just moves it to the top:
+//
+//   { id, name, process, version, exceptionType, captureTime, savedAt, pinned, content }
+//
+// Only the newest unpinned entries are kept; pinned entries stay until deleted.
+
+import { fnv1a64 } from './signature.js';
+
+const databaseName = 'ips-page';
+const storeName = 'reports';
+const maxUnpinnedEntries = 100;
+
+// Whether history is on is a per-browser setting, like the demangle mode
+export const historyEnabledKey = 'ips-page:history-enabled';
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// The summary fields for a parsed report (IPSParser or StructuredIPSParser after parse())
+export function historyEntry(name, content, parser) {
+    const model = parser.model;
+    const ex = model?.exception;
+    return {
+        id: fnv1a64(content),
+        name,
+        process: model?.process.name || parser.bugType.title,
+        version: model?.process.version || null,
+        exceptionType: ex ? [ex.type, ex.signal && `(${ex.signal})`].filter(Boolean).join(' ') : null,
+        captureTime: model?.process.captureTime || parser.metadata?.timestamp || null,
+        content,
+    };
+}
+
+export class ReportHistory {
+    constructor(database) {
+        this.database = database;
+    }
+
+    static async open() {
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(storeName, { keyPath: 'id' });
+        };
+        return new ReportHistory(await promisify(request));
+    }
+
+    store(mode = 'readonly') {
+        return this.database.transaction(storeName, mode).objectStore(storeName);
+    }
+
+    // Save or refresh an entry from historyEntry(), keeping its pin
+    async add(entry) {
+        const existing = await promisify(this.store().get(entry.id));
+        await promisify(this.store('readwrite').put({ ...entry, pinned: existing?.pinned || false, savedAt: Date.now() }));
+        await this.prune();
+    }
+
+    async prune() {
+        const unpinned = (await this.list()).filter(entry => !entry.pinned);
+        const store = this.store('readwrite');
+        await Promise.all(unpinned.slice(maxUnpinnedEntries).map(entry => promisify(store.delete(entry.id))));
+    }
+
+    // Pinned entries first, then newest first
+    async list() {
+        const entries = await promisify(this.store().getAll());
+        return entries.sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.savedAt - a.savedAt);
+    }
+
+    async setPinned(id, pinned) {
+        const entry = await promisify(this.store().get(id));
+        if (entry) {
+            await promisify(this.store('readwrite').put({ ...entry, pinned }));
+        }
+    }
+
+    delete(id) {
+        return promisify(this.store('readwrite').delete(id));
+    }
+
+    clear() {
+        return promisify(this.store('readwrite').clear());
+    }
+}
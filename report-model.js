@@ -0,0 +1,163 @@
+// Crash Report Model
+// A normalized, read-only view of a parsed crash report (bug_type 309, or a legacy .crash read into
+// the same shape), shared by the text formatter, the structured view and the CLI:
+//
+//   const parser = new IPSParser(content, options);
+//   parser.parse();
+//   const model = parser.model;                // CrashReportModel, or null for other bug types
+//   const frame = model.crashedThread?.frames[0];
+//   model.imageForFrame(frame)?.name;          // 'MyApp'
+//   model.absoluteAddress(frame);              // 0x100004040n
+//   model.imageForAddress(0x100004040n)?.name; // 'MyApp'
+//
+// Addresses, offsets and sizes are BigInt, as read by the IPS parser. Frames are taken after
+// symbolication, so imported symbols and inlined frames are already in place.
+// Fields that only one view shows are left on `report`, the raw report JSON.
+
+// Image: { index, name, path, uuid, arch, base, size, end, bundleIdentifier, version }
+// Frame: { index, imageIndex, imageOffset, symbol, symbolLocation, sourceFile, sourceLine, inline }
+// Thread: { index, id, name, queue, crashed, frames, threadState }
+export class CrashReportModel {
+    constructor(metadata, report) {
+        this.metadata = metadata;
+        this.report = report;
+
+        this.process = readProcess(metadata, report);
+        this.exception = readException(report);
+        this.termination = readTermination(report);
+        this.images = (report.usedImages || []).map(readImage);
+        this.threads = (report.threads || []).map(readThread);
+        this.lastExceptionBacktrace = report.lastExceptionBacktrace ? report.lastExceptionBacktrace.map(readFrame) : null;
+
+        // Index of the crashed thread in `threads`; older reports only flag the thread itself
+        this.faultingThread = report.faultingThread !== undefined ? Number(report.faultingThread) : null;
+    }
+
+    get crashedThread() {
+        return this.threads.find(thread => thread.crashed) || null;
+    }
+
+    imageForFrame(frame) {
+        return this.images[frame.imageIndex] || null;
+    }
+
+    // The image whose load range holds an absolute address, if any
+    imageForAddress(address) {
+        return this.images.find(image => image.size > 0n && address >= image.base && address <= image.end) || null;
+    }
+
+    // Load address of the frame's image plus its offset; frames in unknown images are just the offset
+    absoluteAddress(frame) {
+        return (this.imageForFrame(frame)?.base || 0n) + (frame.imageOffset || 0n);
+    }
+}
+
+function readProcess(metadata, report) {
+    const bundleInfo = report.bundleInfo || {};
+    const osVersion = report.osVersion || {};
+
+    return {
+        name: report.procName || null,
+        pid: report.pid ?? null,
+        path: report.procPath || null,
+        identifier: bundleInfo.CFBundleIdentifier || report.procName || null,
+        version: bundleInfo.CFBundleShortVersionString || null,
+        build: bundleInfo.CFBundleVersion || null,
+        cpuType: report.cpuType || null,
+        translated: Boolean(report.translated),
+        role: report.procRole || null,
+        parentName: report.parentProc || null,
+        parentPid: report.parentPid ?? null,
+        responsibleName: report.responsibleProc || null,
+        responsiblePid: report.responsiblePid ?? null,
+        coalitionName: report.coalitionName || null,
+        coalitionID: report.coalitionID ?? null,
+        userID: report.userID ?? null,
+        captureTime: report.captureTime || null,
+        launchTime: report.procLaunch || null,
+        hardwareModel: report.modelCode || null,
+        deviceModel: report.codeName || null,
+        osTrain: osVersion.train || null,
+        osBuild: osVersion.build || null,
+        osReleaseType: osVersion.releaseType || null,
+        incident: report.incident || metadata.incident_id || null,
+    };
+}
+
+function readException(report) {
+    const ex = report.exception;
+    if (!ex) return null;
+
+    return {
+        type: ex.type || null,
+        signal: ex.signal || null,
+        subtype: ex.subtype ?? null,
+        message: ex.message ?? null,
+        codes: ex.codes ?? null,
+        rawCodes: ex.rawCodes ?? null,
+        reason: report.exceptionReason?.composed_message || null,
+    };
+}
+
+function readTermination(report) {
+    const term = report.termination;
+    if (!term) return null;
+
+    return {
+        namespace: term.namespace || null,
+        code: term.code ?? null,
+        indicator: term.indicator || null,
+        reasons: term.reasons || [],
+        details: term.details || [],
+        byProc: term.byProc || null,
+        byPid: term.byPid ?? null,
+    };
+}
+
+function readImage(image, index) {
+    const base = image.base || 0n;
+    let end = base + (image.size || 0n) - 1n;
+    // simulate underflow (matches Apple behavior)
+    if (end < 0n) {
+        const uint64Max = 18446744073709551616n;
+        end += uint64Max;
+    }
+
+    return {
+        index,
+        name: image.name || null,
+        path: image.path || null,
+        uuid: image.uuid || null,
+        arch: image.arch || null,
+        base,
+        size: image.size || 0n,
+        end,
+        bundleIdentifier: image.CFBundleIdentifier || null,
+        version: image.CFBundleShortVersionString || null,
+    };
+}
+
+function readThread(thread, index) {
+    return {
+        index,
+        id: thread.id ?? null,
+        name: thread.name || null,
+        queue: thread.queue || null,
+        crashed: Boolean(thread.triggered),
+        frames: (thread.frames || []).map(readFrame),
+        threadState: thread.threadState || null,
+    };
+}
+
+function readFrame(frame, index) {
+    return {
+        index,
+        imageIndex: frame.imageIndex !== undefined ? Number(frame.imageIndex) : null,
+        imageOffset: frame.imageOffset ?? 0n,
+        symbol: frame.symbol || null,
+        symbolLocation: frame.symbolLocation,
+        sourceFile: frame.sourceFile || null,
+        sourceLine: frame.sourceLine,
+        inline: Boolean(frame.inline),
+    };
+}
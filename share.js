@@ -0,0 +1,51 @@
+// Share Links
+// A report packed into the URL fragment, which browsers never send to the server:
+//
+//   text.html#report=<deflate-raw, base64url>&line=42
+//   structured.html#report=<...>&sections=Threads%0AThreads%2Fthread-0&frame=Threads%2Fthread-0%2Fframe-3
+//
+// Besides `report`, the parameters are each page's view state (see its controller), kept as plain strings.
+
+async function transform(bytes, stream) {
+    const compressed = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(compressed).arrayBuffer());
+}
+
+function toBase64URL(bytes) {
+    let binary = '';
+    // String.fromCharCode takes its arguments on the stack, so convert in chunks
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64URL(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// view: { name: value } of extra parameters
+export async function encodeShareFragment(content, view = {}) {
+    const compressed = await transform(new TextEncoder().encode(content), new CompressionStream('deflate-raw'));
+    const viewParams = new URLSearchParams(view).toString();
+    return `report=${toBase64URL(compressed)}${viewParams ? `&${viewParams}` : ''}`;
+}
+
+// { content, view } from a location.hash, or null when it has no report
+export async function decodeShareFragment(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get('report');
+    if (!encoded) return null;
+
+    let content;
+    try {
+        const bytes = await transform(fromBase64URL(encoded), new DecompressionStream('deflate-raw'));
+        content = new TextDecoder().decode(bytes);
+    } catch {
+        throw new Error('The shared link is incomplete or damaged.');
+    }
+
+    params.delete('report');
+    return { content, view: Object.fromEntries(params) };
+}
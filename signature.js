@@ -0,0 +1,75 @@
+// Crash Signatures
+// Reports of "the same crash" share a signature: the exception type and signal, the termination
+// namespace and code, and the top frames of the Last Exception Backtrace (for uncaught exceptions, whose
+// crashed thread is the same abort everywhere) or else the crashed thread. Frames in the app's own images
+// are preferred over system frames, and addresses and offsets of symbolicated frames are left out so
+// rebuilds still match; frames without a symbol are told apart by their offset in the image (and its UUID).
+//
+//   { hash: 'a1b2c3d4e5f60718', line: 'EXC_BAD_ACCESS (SIGSEGV) | SIGNAL 0xb | MyApp: foo() > MyApp: bar()', frames }
+//
+// The hash is FNV-1a (64-bit) over the raw components, so it doesn't change with the demangle mode.
+
+import { demangle, DemangleMode } from './demangler.js';
+
+export const defaultSignatureFrameCount = 5;
+
+const fnvOffsetBasis = 0xcbf29ce484222325n;
+const fnvPrime = 0x100000001b3n;
+const uint64Mask = 0xffffffffffffffffn;
+
+// FNV-1a over the UTF-16 code units of text, as 16 hex digits
+export function fnv1a64(text) {
+    let hash = fnvOffsetBasis;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= BigInt(text.charCodeAt(i));
+        hash = (hash * fnvPrime) & uint64Mask;
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+// Images inside the app bundle (or the executable itself, outside of a bundle)
+export function isOwnImage(model, image) {
+    const procPath = model.process.path;
+    if (!image?.path || !procPath) return false;
+
+    const bundleEnd = procPath.indexOf('.app/');
+    const bundleRoot = bundleEnd >= 0 ? procPath.slice(0, bundleEnd + '.app/'.length) : procPath;
+    return image.path === procPath || image.path.startsWith(bundleRoot);
+}
+
+// "MyApp: foo()", or "MyApp + 0x4040" without a symbol; withUUID adds the image UUID to the latter,
+// since the same offset in another build is another place in the code
+function frameComponent(model, frame, symbolName, withUUID) {
+    const image = model.imageForFrame(frame);
+    const imageName = image?.name || '???';
+    if (frame.symbol) {
+        return `${imageName}: ${symbolName(frame.symbol)}`;
+    }
+    const uuid = withUUID && image?.uuid ? ` ${image.uuid}` : '';
+    return `${imageName}${uuid} + 0x${BigInt(frame.imageOffset ?? 0).toString(16)}`;
+}
+
+// options.frameCount: how many frames to include (default 5)
+export function crashSignature(model, { frameCount = defaultSignatureFrameCount } = {}) {
+    const ex = model.exception;
+    const term = model.termination;
+
+    const exception = ex ? [ex.type || 'Unknown', ex.signal && `(${ex.signal})`].filter(Boolean).join(' ') : 'No exception';
+    const termination = term ? `${term.namespace || 'Unknown'} 0x${BigInt(term.code ?? 0).toString(16)}` : 'No termination';
+
+    const frames = model.lastExceptionBacktrace?.length ? model.lastExceptionBacktrace : model.crashedThread?.frames || [];
+    const ownFrames = frames.filter(frame => isOwnImage(model, model.imageForFrame(frame)));
+    const chosen = (ownFrames.length > 0 ? ownFrames : frames).slice(0, frameCount);
+
+    const rawSymbol = symbol => symbol;
+    const readableSymbol = symbol => demangle(symbol, DemangleMode.SIMPLIFIED);
+
+    const rawFrames = chosen.map(frame => frameComponent(model, frame, rawSymbol, true));
+    const readableFrames = chosen.map(frame => frameComponent(model, frame, readableSymbol, false));
+
+    return {
+        hash: fnv1a64([exception, termination, ...rawFrames].join('\n')),
+        line: [exception, termination, readableFrames.join(' > ') || 'No frames'].join(' | '),
+        frames: readableFrames,
+    };
+}
@@ -0,0 +1,251 @@
+// Stackshot (bug_type 288) and Spindump (.spin) Reports
+// Both are normalized to the same sampled call tree model:
+//   { header, totalSamples, processes: [{ pid, name, threads: [{ id, name, queue, isMain, sampleCount, root }] }] }
+// where every call tree node is { symbol, symbolLocation, imageName, imageOffset, address, count, children }.
+
+const mainQueue = 'com.apple.main-thread';
+
+function createNode(frame) {
+    return { ...frame, count: 0, children: [] };
+}
+
+function sameFrame(node, frame) {
+    if (node.address !== undefined && frame.address !== undefined) {
+        return node.address === frame.address;
+    }
+    return node.imageName === frame.imageName && node.imageOffset === frame.imageOffset && node.symbol === frame.symbol;
+}
+
+// Merge a root-first list of frames into the call tree, adding `count` samples to every node on the path
+function addSample(root, frames, count) {
+    root.count += count;
+    let node = root;
+    frames.forEach(frame => {
+        let child = node.children.find(existing => sameFrame(existing, frame));
+        if (!child) {
+            child = createNode(frame);
+            node.children.push(child);
+        }
+        child.count += count;
+        node = child;
+    });
+}
+
+function markMainThread(threads) {
+    const main = threads.find(thread => thread.queue === mainQueue) || threads[0];
+    if (main) {
+        main.isMain = true;
+    }
+}
+
+// binaryImages entries are [uuid, loadAddress, kind] and carry no names, so images are named by their kind
+// (S: the dyld shared cache, K or T: the kernel), or else by UUID
+const imageKinds = { S: 'dyld shared cache', K: 'kernel', T: 'kernel' };
+
+function stackshotImageName([uuid, , kind]) {
+    return imageKinds[kind] || (uuid ? `<${uuid}>` : '???');
+}
+
+// bug_type 288: one stack per thread, frames are [binaryImageIndex, offset] pairs listed leaf first
+export function stackshotFromReport(report) {
+    const images = report.binaryImages || [];
+
+    const toFrame = ([imageIndex, offset]) => {
+        const image = images[Number(imageIndex)] || [];
+        const base = image[1] !== undefined ? BigInt(image[1]) : null;
+        return {
+            imageName: stackshotImageName(image),
+            imageOffset: BigInt(offset),
+            address: base !== null ? base + BigInt(offset) : undefined,
+        };
+    };
+
+    const processes = Object.values(report.processByPid || {}).map(proc => {
+        const threads = Object.entries(proc.threadById || {}).map(([id, thread]) => {
+            const root = createNode({});
+            // Both lists are leaf first, and the kernel frames sit on top of the user leaf (the thread is in a system call)
+            const frames = [...(thread.kernelFrames || []), ...(thread.userFrames || [])]
+                .map(toFrame)
+                .reverse();
+            if (frames.length > 0) {
+                addSample(root, frames, 1);
+            }
+            return {
+                id: thread.id ?? id,
+                name: thread.name,
+                queue: thread.dispatch_queue_label,
+                state: thread.state,
+                isMain: false,
+                sampleCount: 1,
+                root: root,
+            };
+        });
+        markMainThread(threads);
+
+        return {
+            pid: proc.pid,
+            name: proc.procname || '???',
+            sampleCount: 1,
+            threads: threads,
+        };
+    });
+
+    return {
+        header: {
+            'Date/Time': report.date,
+            'Hardware Model': report.product,
+            'OS Version': report.build,
+            'Reason': report.reason,
+        },
+        totalSamples: 1,
+        processes: processes,
+    };
+}
+
+export function isSpindumpText(content) {
+    return /^Duration:\s/m.test(content) && /^Steps:\s/m.test(content) && /^\s*Thread 0x[0-9a-fA-F]+/m.test(content);
+}
+
+// Frame line: "  1000  symbol + 8 (Image + 1234) [0x1234abcd] 1-1000"
+const frameLine = /^(\s*)\*?(\d+)\s+(.*?)\s*\[(0x[0-9a-fA-F]+)\]/;
+const threadLine = /^\s*Thread (0x[0-9a-fA-F]+)(.*?)\s(\d+) samples?/;
+
+function parseSpindumpFrame(description, address) {
+    const frame = { address: BigInt(address) };
+
+    let symbolPart = description;
+    const imageMatch = description.match(/^(.*?)\s*\((.+?) \+ (\d+)\)$/);
+    if (imageMatch) {
+        symbolPart = imageMatch[1];
+        frame.imageName = imageMatch[2];
+        frame.imageOffset = BigInt(imageMatch[3]);
+    }
+
+    const symbolMatch = symbolPart.match(/^(.*) \+ (\d+)$/);
+    if (symbolMatch) {
+        frame.symbol = symbolMatch[1];
+        frame.symbolLocation = BigInt(symbolMatch[2]);
+    } else if (symbolPart && symbolPart !== '???') {
+        frame.symbol = symbolPart;
+    }
+
+    return frame;
+}
+
+// Spindump text (.spin files and hang reports): indented call trees with sample counts
+export function parseSpindump(text) {
+    const header = {};
+    const processes = [];
+    let process = null;
+    let thread = null;
+    let stack = [];
+    let inBinaryImages = false;
+
+    text.split(/\r?\n/).forEach(line => {
+        if (line.trim() === '') {
+            inBinaryImages = false;
+            return;
+        }
+
+        const processMatch = line.match(/^Process:\s+(.*?)\s*\[(\d+)\]/);
+        if (processMatch) {
+            process = { name: processMatch[1], pid: BigInt(processMatch[2]), sampleCount: 0, threads: [], info: {} };
+            processes.push(process);
+            thread = null;
+            inBinaryImages = false;
+            return;
+        }
+
+        if (/^\s*Binary Images:/.test(line)) {
+            inBinaryImages = true;
+            return;
+        }
+        if (inBinaryImages) return;
+
+        const threadMatch = line.match(threadLine);
+        if (threadMatch && process) {
+            const details = threadMatch[2];
+            const queue = details.match(/DispatchQueue "([^"]*)"/);
+            const name = details.match(/Thread name "([^"]*)"/);
+            thread = {
+                id: threadMatch[1],
+                name: name ? name[1] : undefined,
+                queue: queue ? queue[1] : undefined,
+                isMain: false,
+                sampleCount: Number(threadMatch[3]),
+                root: createNode({}),
+            };
+            thread.root.count = thread.sampleCount;
+            process.threads.push(thread);
+            stack = [];
+            return;
+        }
+
+        const frameMatch = line.match(frameLine);
+        if (frameMatch && thread) {
+            const indent = frameMatch[1].length;
+            const node = createNode(parseSpindumpFrame(frameMatch[3], frameMatch[4]));
+            node.count = Number(frameMatch[2]);
+
+            while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+                stack.pop();
+            }
+            const parent = stack.length > 0 ? stack[stack.length - 1].node : thread.root;
+            parent.children.push(node);
+            stack.push({ indent, node });
+            return;
+        }
+
+        const fieldMatch = line.match(/^([A-Za-z][A-Za-z /()]*?):\s+(.*)$/);
+        if (fieldMatch) {
+            if (process) {
+                process.info[fieldMatch[1]] = fieldMatch[2];
+                if (fieldMatch[1] === 'Num samples') {
+                    process.sampleCount = Number.parseInt(fieldMatch[2], 10);
+                }
+            } else {
+                header[fieldMatch[1]] = fieldMatch[2];
+            }
+        }
+    });
+
+    processes.forEach(proc => {
+        markMainThread(proc.threads);
+        if (!proc.sampleCount) {
+            proc.sampleCount = Math.max(0, ...proc.threads.map(t => t.sampleCount));
+        }
+    });
+
+    const steps = Number.parseInt(header['Steps'], 10);
+    return {
+        header: header,
+        totalSamples: Number.isNaN(steps) ? Math.max(0, ...processes.map(p => p.sampleCount)) : steps,
+        processes: processes,
+    };
+}
+
+// Processes matching any of `ownProcesses` (names or pids), or every process when none match
+export function focusProcesses(stackshot, ownProcesses = []) {
+    const own = new Set(ownProcesses.map(name => String(name).toLowerCase()));
+    const focused = stackshot.processes.filter(proc => {
+        return own.has(proc.name.toLowerCase()) || own.has(String(proc.pid));
+    });
+    return focused.length > 0 ? focused : stackshot.processes;
+}
+
+export function samplePercentage(count, total) {
+    if (!total) return '100.0%';
+    return `${(count / total * 100).toFixed(1)}%`;
+}
+
+// symbolName maps a symbol to its displayed form (e.g. demangled)
+export function describeFrame(node, symbolName = symbol => symbol) {
+    let description = node.symbol ? symbolName(node.symbol) : '???';
+    if (node.symbol && node.symbolLocation !== undefined) {
+        description += ` + ${node.symbolLocation}`;
+    }
+    if (node.imageName) {
+        description += ` (${node.imageName} + ${node.imageOffset ?? 0})`;
+    }
+    return description;
+}
@@ -1,50 +1,37 @@
-"use strict";
-
 // IPS Crash Report Structured Parser
-class StructuredIPSParser {
-    constructor(ipsContent) {
-        this.ipsContent = ipsContent;
-        this.metadata = null;
-        this.report = null;
-    }
-
-    parse() {
-        try {
-            const lines = this.ipsContent.trim().split('\n');
-
-            if (lines.length < 2) {
-                throw new Error('Invalid IPS file format. Expected at least 2 lines (metadata + report).');
-            }
-
-            // thanks to example in
-            // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse#the_reviver_parameter
-            const bigIntJsonReviver = (key, value, context) => {
-                // convert all numbers for consistency
-                if (typeof value === 'number') {
-                    // Ignore the value because it has already lost precision
-                    return BigInt(context.source);
-                }
-                return value;
-            }
-
-            // Parse metadata (first line)
-            this.metadata = JSON.parse(lines[0], bigIntJsonReviver);
-
-            // Parse crash report (remaining lines)
-            const reportLines = lines.slice(1).join('\n');
-            this.report = JSON.parse(reportLines, bigIntJsonReviver);
-
-            // Verify it's a crash report
-            if (this.metadata.bug_type !== "309") {
-                throw new Error(`Not a crash report (bug_type: ${this.metadata.bug_type}). Expected bug_type "309".`);
-            }
-
-            return true;
-        } catch (error) {
-            throw new Error(`Failed to parse IPS file: ${error.message}`);
-        }
-    }
 
+import { spindumpReportInfo } from './bug-types.js';
+import { ReportParser, stringifyJSON } from './ips-parser-core.js';
+import { loadSymbolFile } from './symbol-tables.js';
+import { stackshotFromReport, focusProcesses, samplePercentage, describeFrame } from './stackshot.js';
+import { summarizeJetsam, sortJetsamProcesses, markOwnProcesses, describeJetsamReason, formatBytes } from './jetsam.js';
+import { DemangleMode } from './demangler.js';
+import { FrameMode, parseImagePatterns } from './image-classes.js';
+import { crashSignature } from './signature.js';
+import { explainException } from './exception-codes.js';
+import { explainTermination, formatTerminationExplanation } from './termination-codes.js';
+import { explainFaultRegisters } from './fault-registers.js';
+import { RegisterAnnotator } from './register-annotations.js';
+import { formatReportJSON } from './json-export.js';
+import { TicketFormat, formatReportTicket } from './ticket-export.js';
+import { decodeReportBytes, splitReports, isReportFile, reportLabel } from './report-files.js';
+import { encodeShareFragment, decodeShareFragment } from './share.js';
+import { setUpHistorySidebar } from './history-sidebar.js';
+import { redactReport } from './redact.js';
+import { setUpFrameSearch } from './frame-search.js';
+
+const ownProcessesKey = 'ips-page:own-processes';
+const demangleModeKey = 'ips-page:demangle-mode';
+const redactModeKey = 'ips-page:redact-mode';
+// Per page: the structured view defaults to marked frames
+const frameModeKey = 'ips-page:structured-frame-mode';
+const appImagesKey = 'ips-page:app-images';
+// Set by groups.html to open one of its reports here, suffixed with the ?open=<id> of the tab
+const openReportKey = 'ips-page:open-report';
+
+// Renders reports as DOM. Takes the ReportParser options, plus
+// options.onOwnProcessesChange: called when the highlight list is edited in the page
+class StructuredIPSParser extends ReportParser {
     // Helper methods for creating DOM elements
     createElement(tag, className, textContent) {
         const el = document.createElement(tag);
@@ -69,15 +56,16 @@ class StructuredIPSParser {
         return this.createSpan('number', String(num));
     }
 
+    // Mangled symbols are shown demangled, with the raw name as a tooltip
     createSymbol(sym) {
-        return this.createSpan('symbol', sym);
-    }
-
-    formatReport() {
-        if (!this.metadata || !this.report) {
-            throw new Error('Report not parsed. Call parse() first.');
+        const span = this.createSpan('symbol', this.symbolName(sym));
+        if (span.textContent !== sym) {
+            span.title = sym;
         }
+        return span;
+    }
 
+    formatCrashReport() {
         const container = document.createDocumentFragment();
 
         // Process Information
@@ -128,11 +116,476 @@ class StructuredIPSParser {
         return container;
     }
 
+    formatMetadata() {
+        const section = this.createDiv('crash-section');
+        const details = this.createElement('details');
+        details.open = true;
+
+        const summary = this.createElement('summary', null, 'Report Metadata');
+        details.appendChild(summary);
+
+        const grid = this.createDiv('info-grid');
+
+        grid.appendChild(this.createDiv('info-label', 'Report Type:'));
+        grid.appendChild(this.createDiv('info-value', `${this.bugType.title} (bug_type ${this.bugType.bugType ?? 'Unknown'})`));
+
+        for (const [key, value] of Object.entries(this.metadata)) {
+            if (key === 'bug_type' || (value !== null && typeof value === 'object')) continue;
+            grid.appendChild(this.createDiv('info-label', key + ':'));
+            grid.appendChild(this.createDiv('info-value', String(value)));
+        }
+
+        details.appendChild(grid);
+        section.appendChild(details);
+        return section;
+    }
+
+    formatRawJSON(title, value) {
+        const section = this.createDiv('crash-section');
+        const details = this.createElement('details');
+        details.open = true;
+
+        const summary = this.createElement('summary', null, title);
+        details.appendChild(summary);
+
+        details.appendChild(this.createDiv('raw-json', stringifyJSON(value)));
+        section.appendChild(details);
+        return section;
+    }
+
+    formatGenericReport() {
+        const container = document.createDocumentFragment();
+        container.appendChild(this.formatMetadata());
+        container.appendChild(this.formatRawJSON('Report Contents', this.report));
+        return container;
+    }
+
+    formatPanicReport() {
+        const panic = this.report;
+        const container = document.createDocumentFragment();
+
+        const section = this.createDiv('crash-section');
+        const details = this.createElement('details');
+        details.open = true;
+
+        const summary = this.createElement('summary', null, 'Panic Information');
+        details.appendChild(summary);
+
+        const grid = this.createDiv('info-grid');
+
+        const addRow = (label, value) => {
+            grid.appendChild(this.createDiv('info-label', label + ':'));
+            grid.appendChild(this.createDiv('info-value', value));
+        };
+
+        addRow('Incident ID', panic.incident || this.metadata.incident_id || 'Unknown');
+        addRow('Date/Time', panic.date || this.metadata.timestamp || 'Unknown');
+
+        if (panic.product) {
+            addRow('Hardware Model', panic.product);
+        }
+
+        addRow('OS Version', panic.build || this.metadata.os_version || 'Unknown');
+
+        if (panic.kernel) {
+            addRow('Kernel Version', panic.kernel);
+        }
+
+        if (panic.crashReporterKey) {
+            addRow('Crash Reporter Key', panic.crashReporterKey);
+        }
+
+        if (panic.panicFlags !== undefined) {
+            addRow('Panic Flags', `0x${BigInt(panic.panicFlags).toString(16)}`);
+        }
+
+        details.appendChild(grid);
+
+        const exceptionInfo = this.createDiv('exception-info');
+        const panicString = this.createDiv('exception-detail', panic.panicString || panic.macOSPanicString || '(no panic string)');
+        panicString.style.whiteSpace = 'pre-wrap';
+        exceptionInfo.appendChild(panicString);
+        details.appendChild(exceptionInfo);
+
+        section.appendChild(details);
+        container.appendChild(section);
+
+        if (panic.otherString) {
+            const otherSection = this.createDiv('crash-section');
+            const otherDetails = this.createElement('details');
+            otherDetails.appendChild(this.createElement('summary', null, 'Additional Panic Information'));
+            otherDetails.appendChild(this.createDiv('vm-summary', panic.otherString));
+            otherSection.appendChild(otherDetails);
+            container.appendChild(otherSection);
+        }
+
+        return container;
+    }
+
+    formatJetsamReport() {
+        const jetsam = summarizeJetsam(this.report, this.options.ownProcesses || []);
+        const container = document.createDocumentFragment();
+
+        // Event Information
+        const section = this.createDiv('crash-section');
+        const details = this.createElement('details');
+        details.open = true;
+        details.appendChild(this.createElement('summary', null, 'Jetsam Event'));
+
+        const grid = this.createDiv('info-grid');
+        const addRow = (target, label, value) => {
+            target.appendChild(this.createDiv('info-label', label + ':'));
+            const valueDiv = this.createDiv('info-value');
+            if (typeof value === 'string') {
+                valueDiv.textContent = value;
+            } else {
+                valueDiv.appendChild(value);
+            }
+            target.appendChild(valueDiv);
+        };
+
+        addRow(grid, 'Incident ID', this.report.incident || this.metadata.incident_id || 'Unknown');
+        addRow(grid, 'Date/Time', this.report.date || this.metadata.timestamp || 'Unknown');
+        if (this.report.product) {
+            addRow(grid, 'Hardware Model', this.report.product);
+        }
+        addRow(grid, 'OS Version', this.report.build || this.metadata.os_version || 'Unknown');
+        if (jetsam.pageSize !== null) {
+            const pageValue = document.createDocumentFragment();
+            pageValue.append(this.createNumber(jetsam.pageSize), ' bytes');
+            addRow(grid, 'Page Size', pageValue);
+        } else {
+            addRow(grid, 'Page Size', 'Unknown');
+        }
+        if (jetsam.largestProcess) {
+            addRow(grid, 'Largest Process', jetsam.largestProcess);
+        }
+        details.appendChild(grid);
+
+        // Killed processes and why
+        const killed = jetsam.processes.filter(proc => proc.killed);
+        if (killed.length > 0) {
+            const exceptionInfo = this.createDiv('exception-info');
+            exceptionInfo.appendChild(this.createDiv('exception-type', killed.length === 1 ? 'Killed Process' : `Killed Processes (${killed.length})`));
+            killed.forEach(proc => {
+                const killedDetail = this.createDiv('exception-detail');
+                killedDetail.append(proc.name, ' [', this.createNumber(proc.pid ?? '?'), ']: ', proc.reason);
+                const description = describeJetsamReason(proc.reason);
+                if (description) {
+                    killedDetail.append(` (${description})`);
+                }
+                exceptionInfo.appendChild(killedDetail);
+            });
+            details.appendChild(exceptionInfo);
+        }
+
+        section.appendChild(details);
+        container.appendChild(section);
+
+        // Memory Status
+        const memoryStatus = jetsam.memoryStatus;
+        if (Object.keys(memoryStatus).length > 0) {
+            const memorySection = this.createDiv('crash-section');
+            const memoryDetails = this.createElement('details');
+            memoryDetails.appendChild(this.createElement('summary', null, 'Memory Status'));
+
+            const memoryGrid = this.createDiv('info-grid');
+            for (const [key, value] of Object.entries(memoryStatus)) {
+                if (value !== null && typeof value === 'object') continue;
+                addRow(memoryGrid, key, typeof value === 'bigint' ? this.createNumber(value) : String(value));
+            }
+            for (const [key, value] of Object.entries(memoryStatus.memoryPages || {})) {
+                addRow(memoryGrid, `memoryPages.${key}`, this.createNumber(value));
+            }
+
+            memoryDetails.appendChild(memoryGrid);
+            memorySection.appendChild(memoryDetails);
+            container.appendChild(memorySection);
+        }
+
+        container.appendChild(this.formatJetsamProcesses(jetsam));
+        return container;
+    }
+
+    formatJetsamProcesses(jetsam) {
+        const section = this.createDiv('crash-section');
+        const details = this.createElement('details');
+        details.open = true;
+        details.appendChild(this.createElement('summary', null, `Processes (${jetsam.processes.length})`));
+
+        // Highlight list, shared with future reports through options.onOwnProcessesChange
+        const highlight = this.createElement('label', 'jetsam-highlight', 'Highlight processes: ');
+        const highlightInput = this.createElement('input');
+        highlightInput.type = 'text';
+        highlightInput.placeholder = 'MyApp, com.example.MyApp';
+        highlightInput.value = (this.options.ownProcesses || []).join(', ');
+        highlight.appendChild(highlightInput);
+        details.appendChild(highlight);
+
+        const columns = [
+            { key: 'name', label: 'Name', numeric: false },
+            { key: 'pid', label: 'PID', numeric: true },
+            { key: 'rpages', label: 'RPages', numeric: true },
+            { key: 'footprint', label: 'Footprint', numeric: true },
+            { key: 'states', label: 'States', numeric: false },
+            { key: 'reason', label: 'Reason', numeric: false },
+            { key: 'coalition', label: 'Coalition', numeric: true },
+        ];
+
+        const table = this.createElement('table', 'jetsam-table');
+        const headRow = this.createElement('tr');
+        const tbody = this.createElement('tbody');
+        let processes = jetsam.processes;
+        let sortKey = 'footprint';
+        let descending = true;
+
+        const renderRows = () => {
+            tbody.textContent = '';
+            processes.forEach(proc => {
+                const classes = [proc.killed ? 'killed' : null, proc.own ? 'own' : null].filter(Boolean);
+                const row = this.createElement('tr', classes.join(' ') || null);
+                const cell = (content, className) => {
+                    const td = this.createElement('td', className);
+                    td.append(content);
+                    row.appendChild(td);
+                };
+                cell(proc.name, 'jetsam-name');
+                cell(this.createNumber(proc.pid ?? '?'));
+                cell(this.createNumber(proc.rpages));
+                cell(proc.footprint !== null ? formatBytes(proc.footprint) : '?');
+                cell(proc.states.join(', '));
+                cell(proc.reason || '');
+                cell(proc.coalition !== undefined ? this.createNumber(proc.coalition) : '');
+                tbody.appendChild(row);
+            });
+
+            headRow.querySelectorAll('th').forEach(th => {
+                th.classList.toggle('sorted', th.dataset.key === sortKey);
+                th.classList.toggle('ascending', th.dataset.key === sortKey && !descending);
+            });
+        };
+
+        columns.forEach(column => {
+            const th = this.createElement('th', null, column.label);
+            th.dataset.key = column.key;
+            th.addEventListener('click', () => {
+                // Numbers start largest first, text starts alphabetical
+                descending = sortKey === column.key ? !descending : column.numeric;
+                sortKey = column.key;
+                processes = sortJetsamProcesses(processes, sortKey, descending);
+                renderRows();
+            });
+            headRow.appendChild(th);
+        });
+
+        highlightInput.addEventListener('change', () => {
+            const ownProcesses = highlightInput.value.split(',').map(name => name.trim()).filter(Boolean);
+            markOwnProcesses(processes, ownProcesses);
+            renderRows();
+            this.options.onOwnProcessesChange?.(ownProcesses);
+        });
+
+        const thead = this.createElement('thead');
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        renderRows();
+
+        const tableContainer = this.createDiv('section-container jetsam-table-container');
+        tableContainer.appendChild(table);
+        details.appendChild(tableContainer);
+        section.appendChild(details);
+        return section;
+    }
+
+    formatStackshotReport() {
+        const stackshot = this.bugType === spindumpReportInfo ? this.report : stackshotFromReport(this.report);
+        const focused = focusProcesses(stackshot, this.options.ownProcesses || []);
+        const container = document.createDocumentFragment();
+
+        const section = this.createDiv('crash-section');
+        const details = this.createElement('details');
+        details.open = true;
+        details.appendChild(this.createElement('summary', null, 'Report Information'));
+
+        const grid = this.createDiv('info-grid');
+        for (const [key, value] of Object.entries(stackshot.header)) {
+            if (value === undefined) continue;
+            grid.appendChild(this.createDiv('info-label', key + ':'));
+            grid.appendChild(this.createDiv('info-value', String(value)));
+        }
+        details.appendChild(grid);
+        section.appendChild(details);
+        container.appendChild(section);
+
+        // Process picker, defaulting to the highlighted processes
+        const processSection = this.createDiv('crash-section');
+        const processDetails = this.createElement('details');
+        processDetails.open = true;
+        processDetails.appendChild(this.createElement('summary', null, 'Sampled Threads'));
+
+        const picker = this.createElement('label', 'process-picker', 'Process: ');
+        const select = this.createElement('select');
+        const allOption = this.createElement('option', null, `All processes (${stackshot.processes.length})`);
+        allOption.value = 'all';
+        select.appendChild(allOption);
+        stackshot.processes.forEach((proc, index) => {
+            const option = this.createElement('option', null, `${proc.name} [${proc.pid ?? '?'}]`);
+            option.value = String(index);
+            select.appendChild(option);
+        });
+        if (focused.length === 1) {
+            select.value = String(stackshot.processes.indexOf(focused[0]));
+        }
+        picker.appendChild(select);
+        processDetails.appendChild(picker);
+
+        const processList = this.createDiv('thread-list');
+        const renderProcesses = () => {
+            processList.textContent = '';
+            const processes = select.value === 'all' ? stackshot.processes : [stackshot.processes[Number(select.value)]];
+            processes.forEach(proc => {
+                processList.appendChild(this.formatSampledProcess(proc, processes.length === 1));
+            });
+        };
+        select.addEventListener('change', renderProcesses);
+        renderProcesses();
+
+        processDetails.appendChild(processList);
+        processSection.appendChild(processDetails);
+        container.appendChild(processSection);
+        return container;
+    }
+
+    formatSampledProcess(proc, open) {
+        const processItem = this.createDiv('thread-item');
+        const processDetails = this.createElement('details');
+        processDetails.open = open;
+        processDetails.dataset.viewKey = `process-${proc.pid ?? proc.name}`;
+
+        const processSummary = this.createElement('summary', 'thread-header');
+        processSummary.append(proc.name, ' [', this.createNumber(proc.pid ?? '?'), '] ', this.createNumber(proc.sampleCount), ' samples');
+        processDetails.appendChild(processSummary);
+
+        // Main thread first, it's where hangs are usually found
+        const threads = [...proc.threads].sort((a, b) => b.isMain - a.isMain);
+        const threadList = this.createDiv('thread-list');
+        threads.forEach(thread => {
+            threadList.appendChild(this.formatSampledThread(thread));
+        });
+        processDetails.appendChild(threadList);
+
+        processItem.appendChild(processDetails);
+        return processItem;
+    }
+
+    formatSampledThread(thread) {
+        const threadItem = this.createDiv(thread.isMain ? 'thread-item main-thread' : 'thread-item');
+        const threadDetails = this.createElement('details');
+        threadDetails.open = thread.isMain;
+        threadDetails.dataset.viewKey = `thread-${thread.id}`;
+
+        const threadSummary = this.createElement('summary', 'thread-header');
+        threadSummary.append('Thread ', thread.id);
+        if (thread.name) {
+            threadSummary.append(' - ', thread.name);
+        }
+        if (thread.queue) {
+            threadSummary.append(' (', thread.queue, ')');
+        }
+        threadSummary.append(' ', this.createNumber(thread.sampleCount), thread.sampleCount === 1 ? ' sample' : ' samples');
+        if (thread.isMain) {
+            threadSummary.appendChild(this.createSpan('main-thread-badge', 'MAIN THREAD'));
+        }
+        threadDetails.appendChild(threadSummary);
+
+        // path: child indices from the root, naming the node in share links
+        const formatNode = (node, path) => {
+            const item = this.createElement('li');
+            const row = this.createDiv('call-tree-row');
+
+            const bar = this.createSpan('sample-bar');
+            bar.style.setProperty('--sample-fraction', String(thread.sampleCount ? node.count / thread.sampleCount : 1));
+            row.appendChild(bar);
+            row.appendChild(this.createSpan('sample-count', String(node.count)));
+            row.appendChild(this.createSpan('sample-percent', samplePercentage(node.count, thread.sampleCount)));
+            row.appendChild(this.createSpan('symbol', describeFrame(node, symbol => this.symbolName(symbol))));
+            if (node.address !== undefined) {
+                row.append(' ', this.createAddress(node.address));
+            }
+
+            if (node.children.length > 0) {
+                const nodeDetails = this.createElement('details');
+                nodeDetails.open = true;
+                nodeDetails.dataset.viewKey = `node-${path}`;
+                const nodeSummary = this.createElement('summary');
+                nodeSummary.appendChild(row);
+                nodeDetails.appendChild(nodeSummary);
+                const children = this.createElement('ul', 'call-tree');
+                node.children.forEach((child, index) => children.appendChild(formatNode(child, `${path}.${index}`)));
+                nodeDetails.appendChild(children);
+                item.appendChild(nodeDetails);
+            } else {
+                item.appendChild(row);
+            }
+            return item;
+        };
+
+        const tree = this.createElement('ul', 'call-tree');
+        thread.root.children.forEach((child, index) => tree.appendChild(formatNode(child, String(index))));
+        threadDetails.appendChild(tree);
+
+        threadItem.appendChild(threadDetails);
+        return threadItem;
+    }
+
+    formatAnalyticsReport() {
+        // Analytics bodies are either one object or one object per line
+        const entries = Array.isArray(this.report) ? this.report : [this.report];
+        const events = entries.filter(entry => entry && entry._marker === undefined);
+
+        const container = document.createDocumentFragment();
+        container.appendChild(this.formatMetadata());
+
+        const section = this.createDiv('crash-section');
+        const details = this.createElement('details');
+        details.open = true;
+
+        const summary = this.createElement('summary', null, `Events (${events.length})`);
+        details.appendChild(summary);
+
+        const list = this.createDiv('thread-list');
+
+        events.forEach(event => {
+            const eventItem = this.createDiv('thread-item');
+            const eventDetails = this.createElement('details');
+
+            const eventSummary = this.createElement('summary', 'thread-header');
+            if (event.eventTime !== undefined) {
+                eventSummary.append(this.createNumber(event.eventTime), ' ');
+            }
+            eventSummary.append(event.name || 'Unnamed event');
+            eventDetails.appendChild(eventSummary);
+
+            if (event.message !== undefined) {
+                eventDetails.appendChild(this.createDiv('raw-json', stringifyJSON(event.message)));
+            }
+
+            eventItem.appendChild(eventDetails);
+            list.appendChild(eventItem);
+        });
+
+        details.appendChild(list);
+        section.appendChild(details);
+        container.appendChild(section);
+        return container;
+    }
+
     formatProcessInfo() {
+        const proc = this.model.process;
         const bundleInfo = this.report.bundleInfo || {};
         const buildInfo = this.report.buildInfo || {};
         const storeInfo = this.report.storeInfo || {};
-        const osVersion = this.report.osVersion || {};
 
         const section = this.createDiv('crash-section');
         const details = this.createElement('details');
@@ -155,16 +608,15 @@ class StructuredIPSParser {
         };
 
         const procValue = document.createDocumentFragment();
-        procValue.append(this.report.procName || 'Unknown', ' [', this.createNumber(this.report.pid || 0), ']');
+        procValue.append(proc.name || 'Unknown', ' [', this.createNumber(proc.pid || 0), ']');
         addRow('Process', procValue);
 
-        addRow('Path', this.report.procPath || 'Unknown');
-        addRow('Identifier', bundleInfo.CFBundleIdentifier || this.report.procName || 'Unknown');
+        addRow('Path', proc.path || 'Unknown');
+        addRow('Identifier', proc.identifier || 'Unknown');
 
         // Version formatting
-        const hasVersion = bundleInfo.CFBundleShortVersionString || bundleInfo.CFBundleVersion;
-        if (hasVersion) {
-            addRow('Version', `${bundleInfo.CFBundleShortVersionString || '?'} (${bundleInfo.CFBundleVersion || '?'})`);
+        if (proc.version || proc.build) {
+            addRow('Version', `${proc.version || '?'} (${proc.build || '?'})`);
         } else {
             addRow('Version', '???');
         }
@@ -186,46 +638,46 @@ class StructuredIPSParser {
             addRow('Build Info', `${buildInfo.ProjectName}-${buildInfo.SourceVersion}~${buildInfo.BuildVersion}`);
         }
 
-        const translatedLabel = this.report.translated ? 'Translated' : 'Native';
-        addRow('Code Type', `${this.report.cpuType || 'Unknown'} (${translatedLabel})`);
+        const translatedLabel = proc.translated ? 'Translated' : 'Native';
+        addRow('Code Type', `${proc.cpuType || 'Unknown'} (${translatedLabel})`);
 
-        if (this.report.procRole) {
-            addRow('Role', this.report.procRole);
+        if (proc.role) {
+            addRow('Role', proc.role);
         }
 
         const parentValue = document.createDocumentFragment();
-        parentValue.append(this.report.parentProc || 'Unknown');
-        if (this.report.parentPid !== undefined) {
-            parentValue.append(' [', this.createNumber(this.report.parentPid), ']');
+        parentValue.append(proc.parentName || 'Unknown');
+        if (proc.parentPid !== null) {
+            parentValue.append(' [', this.createNumber(proc.parentPid), ']');
         }
         addRow('Parent Process', parentValue);
 
-        if (this.report.coalitionName) {
+        if (proc.coalitionName) {
             const coalValue = document.createDocumentFragment();
-            coalValue.append(this.report.coalitionName);
-            if (this.report.coalitionID !== undefined) {
-                coalValue.append(' [', this.createNumber(this.report.coalitionID), ']');
+            coalValue.append(proc.coalitionName);
+            if (proc.coalitionID !== null) {
+                coalValue.append(' [', this.createNumber(proc.coalitionID), ']');
             }
             addRow('Coalition', coalValue);
         }
 
-        if (this.report.responsibleProc) {
+        if (proc.responsibleName) {
             const respValue = document.createDocumentFragment();
-            respValue.append(this.report.responsibleProc);
-            if (this.report.responsiblePid !== undefined) {
-                respValue.append(' [', this.createNumber(this.report.responsiblePid), ']');
+            respValue.append(proc.responsibleName);
+            if (proc.responsiblePid !== null) {
+                respValue.append(' [', this.createNumber(proc.responsiblePid), ']');
             }
             addRow('Responsible Process', respValue);
         }
 
-        if (this.report.userID !== undefined) {
-            addRow('User ID', String(this.report.userID));
+        if (proc.userID !== null) {
+            addRow('User ID', String(proc.userID));
         }
 
-        addRow('Date/Time', this.report.captureTime || 'Unknown');
+        addRow('Date/Time', proc.captureTime || 'Unknown');
 
-        if (this.report.procLaunch) {
-            addRow('Launch Time', this.report.procLaunch);
+        if (proc.launchTime) {
+            addRow('Launch Time', proc.launchTime);
         }
 
         if (this.report.procStartAbsTime !== undefined) {
@@ -236,18 +688,18 @@ class StructuredIPSParser {
             addRow('Process Exit (Absolute)', String(this.report.procExitAbsTime));
         }
 
-        if (this.report.modelCode) {
-            addRow('Hardware Model', this.report.modelCode);
+        if (proc.hardwareModel) {
+            addRow('Hardware Model', proc.hardwareModel);
         }
 
-        if (this.report.codeName) {
-            addRow('Device Model', this.report.codeName);
+        if (proc.deviceModel) {
+            addRow('Device Model', proc.deviceModel);
         }
 
-        addRow('OS Version', `${osVersion.train || 'Unknown'} (${osVersion.build || 'Unknown'})`);
+        addRow('OS Version', `${proc.osTrain || 'Unknown'} (${proc.osBuild || 'Unknown'})`);
 
-        if (osVersion.releaseType) {
-            addRow('Release Type', osVersion.releaseType);
+        if (proc.osReleaseType) {
+            addRow('Release Type', proc.osReleaseType);
         }
 
         if (this.report.basebandVersion) {
@@ -358,8 +810,8 @@ class StructuredIPSParser {
     }
 
     formatException() {
-        const ex = this.report.exception || {};
-        const term = this.report.termination;
+        const ex = this.model.exception || {};
+        const term = this.model.termination;
 
         const section = this.createDiv('crash-section');
         const details = this.createElement('details');
@@ -377,14 +829,18 @@ class StructuredIPSParser {
         }
         exceptionInfo.appendChild(exType);
 
-        if (ex.subtype !== undefined) {
+        if (ex.subtype != null) {
             exceptionInfo.appendChild(this.createDiv('exception-detail', `Subtype: ${ex.subtype}`));
         }
 
-        if (ex.codes !== undefined) {
+        if (ex.codes != null) {
             exceptionInfo.appendChild(this.createDiv('exception-detail', `Codes: ${ex.codes}`));
         }
 
+        explainException(this.model.exception, this.model.crashedThread?.threadState).forEach(line => {
+            exceptionInfo.appendChild(this.createDiv('exception-detail exception-meaning', `Meaning: ${line}`));
+        });
+
         if (ex.message) {
             exceptionInfo.appendChild(this.createDiv('exception-detail', `Message: ${ex.message}`));
         }
@@ -397,8 +853,8 @@ class StructuredIPSParser {
             exceptionInfo.appendChild(this.createDiv('exception-detail', `Note: EXC_CORPSE_NOTIFY`));
         }
 
-        if (this.report.exceptionReason && this.report.exceptionReason.composed_message) {
-            exceptionInfo.appendChild(this.createDiv('exception-detail', `Reason: ${this.report.exceptionReason.composed_message}`));
+        if (ex.reason) {
+            exceptionInfo.appendChild(this.createDiv('exception-detail', `Reason: ${ex.reason}`));
         }
 
         if (term) {
@@ -416,19 +872,20 @@ class StructuredIPSParser {
             termDetail.appendChild(termFrag);
             exceptionInfo.appendChild(termDetail);
 
-            // Termination reasons (detailed error messages)
-            if (term.reasons && term.reasons.length > 0) {
-                term.reasons.forEach(reason => {
-                    exceptionInfo.appendChild(this.createDiv('exception-detail', reason));
-                });
+            const meaning = explainTermination(term);
+            if (meaning) {
+                exceptionInfo.appendChild(this.createDiv('exception-detail exception-meaning', `Meaning: ${formatTerminationExplanation(meaning)}`));
             }
 
+            // Termination reasons (detailed error messages)
+            term.reasons.forEach(reason => {
+                exceptionInfo.appendChild(this.createDiv('exception-detail', reason));
+            });
+
             // Termination details (e.g., "terminated at launch; ignore backtrace")
-            if (term.details && term.details.length > 0) {
-                term.details.forEach(detail => {
-                    exceptionInfo.appendChild(this.createDiv('exception-detail', detail));
-                });
-            }
+            term.details.forEach(detail => {
+                exceptionInfo.appendChild(this.createDiv('exception-detail', detail));
+            });
 
             if (term.byProc) {
                 const procFrag = document.createDocumentFragment();
@@ -461,14 +918,12 @@ class StructuredIPSParser {
             exceptionInfo.appendChild(instDetail);
         }
 
-        if (this.report.faultingThread !== undefined) {
-            const threads = this.report.threads || [];
-            const faultingThread = threads.find(t => t.triggered);
-            const dispatchQueue = faultingThread?.queue;
+        if (this.model.faultingThread !== null) {
+            const dispatchQueue = this.model.crashedThread?.queue;
 
             const faultDetail = this.createDiv('exception-detail spaced');
             const faultFrag = document.createDocumentFragment();
-            faultFrag.append('Faulting Thread: ', this.createNumber(this.report.faultingThread));
+            faultFrag.append('Faulting Thread: ', this.createNumber(this.model.faultingThread));
             if (dispatchQueue) {
                 faultFrag.append(', Dispatch Queue: ', dispatchQueue);
             }
@@ -476,6 +931,13 @@ class StructuredIPSParser {
             exceptionInfo.appendChild(faultDetail);
         }
 
+        // Same hash means the same crash, across reports and builds
+        const signature = crashSignature(this.model);
+        const signatureDetail = this.createDiv('exception-detail spaced');
+        signatureDetail.append('Signature: ', this.createSpan('signature-hash', signature.hash));
+        exceptionInfo.appendChild(signatureDetail);
+        exceptionInfo.appendChild(this.createDiv('exception-detail signature-line', signature.line));
+
         details.appendChild(exceptionInfo);
         section.appendChild(details);
         return section;
@@ -523,8 +985,18 @@ class StructuredIPSParser {
         return section;
     }
 
+    appendSourceLocation(frameDetails, frame) {
+        if (frame.sourceFile) {
+            const location = frame.sourceLine !== undefined ? `${frame.sourceFile}:${frame.sourceLine}` : frame.sourceFile;
+            frameDetails.append(' ', this.createSpan('source-location', location));
+        }
+        if (frame.inline) {
+            frameDetails.append(' ', this.createSpan('inlined-badge', 'inlined'));
+        }
+    }
+
     formatLastExceptionBacktrace() {
-        const backtrace = this.report.lastExceptionBacktrace;
+        const backtrace = this.model.lastExceptionBacktrace;
         if (!backtrace || backtrace.length === 0) return null;
 
         const section = this.createDiv('crash-section');
@@ -536,11 +1008,12 @@ class StructuredIPSParser {
         const container = this.createDiv('section-container');
 
         backtrace.forEach((frame, index) => {
-            const imageInfo = this.report.usedImages[frame.imageIndex];
+            const imageInfo = this.model.imageForFrame(frame);
             const imageName = imageInfo ? imageInfo.name : 'Unknown';
-            const address = (imageInfo?.base || 0n) + frame.imageOffset;
+            const address = this.model.absoluteAddress(frame);
 
             const stackFrame = this.createDiv('stack-frame');
+            stackFrame.dataset.frameIndex = String(index);
             stackFrame.appendChild(this.createDiv('frame-index', String(index)));
             stackFrame.appendChild(this.createDiv('frame-image', imageName));
 
@@ -555,6 +1028,7 @@ class StructuredIPSParser {
                     frameDetails.append(' ', offset);
                 }
             }
+            this.appendSourceLocation(frameDetails, frame);
 
             stackFrame.appendChild(frameDetails);
             container.appendChild(stackFrame);
@@ -566,7 +1040,7 @@ class StructuredIPSParser {
     }
 
     formatThreads() {
-        const threads = this.report.threads || [];
+        const threads = this.model.threads;
 
         const section = this.createDiv('crash-section');
         const details = this.createElement('details');
@@ -578,10 +1052,11 @@ class StructuredIPSParser {
         const threadList = this.createDiv('thread-list');
 
         threads.forEach((thread) => {
-            const isCrashed = thread.triggered;
+            const isCrashed = thread.crashed;
 
             const threadItem = this.createDiv(isCrashed ? 'thread-item crashed' : 'thread-item');
             const threadDetails = this.createElement('details');
+            threadDetails.dataset.viewKey = `thread-${thread.index}`;
             if (isCrashed) {
                 threadDetails.open = true;
             }
@@ -602,32 +1077,20 @@ class StructuredIPSParser {
             threadDetails.appendChild(threadSummary);
 
             // Stack frames
-            if (thread.frames && thread.frames.length > 0) {
+            if (thread.frames.length > 0) {
                 const framesContainer = this.createDiv('frames-container');
-
-                thread.frames.forEach((frame, index) => {
-                    const imageInfo = this.report.usedImages[frame.imageIndex];
-                    const imageName = imageInfo ? imageInfo.name : 'Unknown';
-                    const address = (imageInfo?.base || 0n) + frame.imageOffset;
-
-                    const stackFrame = this.createDiv('stack-frame');
-                    stackFrame.appendChild(this.createDiv('frame-index', String(index)));
-                    stackFrame.appendChild(this.createDiv('frame-image', imageName));
-
-                    const frameDetails = this.createDiv('frame-details');
-                    frameDetails.appendChild(this.createAddress(address));
-
-                    if (frame.symbol) {
-                        frameDetails.append(' ', this.createSymbol(frame.symbol));
-                        if (frame.symbolLocation !== undefined) {
-                            const offset = this.createSpan('offset');
-                            offset.append('+ ', this.createNumber(frame.symbolLocation));
-                            frameDetails.append(' ', offset);
-                        }
+                const frameMode = this.options.frameMode || FrameMode.PLAIN;
+
+                this.imageClassifier.frameRuns(thread.frames, frameMode === FrameMode.COLLAPSED).forEach(run => {
+                    const frames = run.frames.map((frame, offset) => this.createThreadFrame(frame, run.start + offset, frameMode !== FrameMode.PLAIN));
+                    if (run.collapsed) {
+                        const systemFrames = this.createElement('details', 'system-frames');
+                        systemFrames.appendChild(this.createElement('summary', null, this.imageClassifier.describeCollapsedRun(run.frames)));
+                        systemFrames.append(...frames);
+                        framesContainer.appendChild(systemFrames);
+                    } else {
+                        framesContainer.append(...frames);
                     }
-
-                    stackFrame.appendChild(frameDetails);
-                    framesContainer.appendChild(stackFrame);
                 });
 
                 threadDetails.appendChild(framesContainer);
@@ -647,6 +1110,37 @@ class StructuredIPSParser {
         return section;
     }
 
+    // styled: add a frame-<class> class (frame-main, frame-app, frame-system or frame-other)
+    createThreadFrame(frame, index, styled) {
+        const imageInfo = this.model.imageForFrame(frame);
+        const imageName = imageInfo ? imageInfo.name : 'Unknown';
+        const address = this.model.absoluteAddress(frame);
+
+        const stackFrame = this.createDiv('stack-frame');
+        stackFrame.dataset.frameIndex = String(index);
+        if (styled) {
+            stackFrame.classList.add(`frame-${this.imageClassifier.frameClass(frame)}`);
+        }
+        stackFrame.appendChild(this.createDiv('frame-index', String(index)));
+        stackFrame.appendChild(this.createDiv('frame-image', imageName));
+
+        const frameDetails = this.createDiv('frame-details');
+        frameDetails.appendChild(this.createAddress(address));
+
+        if (frame.symbol) {
+            frameDetails.append(' ', this.createSymbol(frame.symbol));
+            if (frame.symbolLocation !== undefined) {
+                const offset = this.createSpan('offset');
+                offset.append('+ ', this.createNumber(frame.symbolLocation));
+                frameDetails.append(' ', offset);
+            }
+        }
+        this.appendSourceLocation(frameDetails, frame);
+
+        stackFrame.appendChild(frameDetails);
+        return stackFrame;
+    }
+
     formatThreadState(state) {
         if (!state) return null;
 
@@ -709,6 +1203,7 @@ class StructuredIPSParser {
         container.appendChild(header);
 
         const registersGrid = this.createDiv('registers');
+        const annotator = new RegisterAnnotator(this.model, state, this.options.symbolTables, symbol => this.symbolName(symbol));
 
         registers.forEach(reg => {
             const value = reg.object.value || 0;
@@ -721,15 +1216,35 @@ class StructuredIPSParser {
                 registerDiv.appendChild(this.createDiv('register-desc', reg.object.description));
             }
 
+            const annotation = annotator.annotate(reg.name, value);
+            if (annotation) {
+                const annotationDiv = this.createDiv(`register-annotation register-${annotation.kind}`, annotation.text);
+                annotationDiv.title = annotation.text;
+                registerDiv.appendChild(annotationDiv);
+            }
+
             registersGrid.appendChild(registerDiv);
         });
 
         container.appendChild(registersGrid);
+
+        // Decoded ESR and FAR, one expandable explanation each
+        explainFaultRegisters(state, this.report.vmRegionInfo).forEach(explanation => {
+            const fault = this.createElement('details', 'fault-register');
+            const summary = this.createElement('summary');
+            summary.append(this.createSpan('register-name', `${explanation.register}:`), ' ', explanation.summary);
+            fault.appendChild(summary);
+            explanation.details.forEach(detail => {
+                fault.appendChild(this.createDiv('fault-register-detail', detail));
+            });
+            container.appendChild(fault);
+        });
+
         return container;
     }
 
     formatBinaryImages() {
-        const images = this.report.usedImages || [];
+        const images = this.model.images;
 
         const section = this.createDiv('crash-section');
         const details = this.createElement('details');
@@ -740,20 +1255,12 @@ class StructuredIPSParser {
         const container = this.createDiv('section-container');
 
         images.forEach((image) => {
-            const base = image.base || 0n;
-            let end = base + (image.size || 0n) - 1n;
-            // simulate underflow (matches Apple behavior)
-            if (end < 0n) {
-                const uint64Max = 18446744073709551616n;
-                end += uint64Max;
-            }
-
             const binaryImage = this.createDiv('binary-image');
 
             const rangeDiv = this.createDiv('image-range');
-            rangeDiv.appendChild(this.createAddress(base));
+            rangeDiv.appendChild(this.createAddress(image.base));
             rangeDiv.append(' - ');
-            rangeDiv.appendChild(this.createAddress(end));
+            rangeDiv.appendChild(this.createAddress(image.end));
             binaryImage.appendChild(rangeDiv);
 
             binaryImage.appendChild(this.createDiv('image-name', image.name || '???'));
@@ -883,13 +1390,52 @@ class StructuredIPSParser {
 // UI Controller
 document.addEventListener('DOMContentLoaded', () => {
     const ipsInput = document.getElementById('ipsInput');
+    const inputSection = document.querySelector('.input-section');
     const parseBtn = document.getElementById('parseBtn');
     const clearBtn = document.getElementById('clearBtn');
+    const reportsInput = document.getElementById('reportsInput');
+    const reportTabs = document.getElementById('reportTabs');
     const expandAllBtn = document.getElementById('expandAllBtn');
     const collapseAllBtn = document.getElementById('collapseAllBtn');
+    const downloadJsonBtn = document.getElementById('downloadJsonBtn');
+    const copyMarkdownBtn = document.getElementById('copyMarkdownBtn');
+    const copyJiraBtn = document.getElementById('copyJiraBtn');
+    const shareLinkBtn = document.getElementById('shareLinkBtn');
     const errorMessage = document.getElementById('errorMessage');
     const outputSection = document.getElementById('output');
     const reportOutput = document.getElementById('reportOutput');
+    const reportTitle = document.getElementById('reportTitle');
+    const symbolsInput = document.getElementById('symbolsInput');
+    const symbolsStatus = document.getElementById('symbolsStatus');
+    const demangleSelect = document.getElementById('demangleMode');
+    const redactSelect = document.getElementById('redactMode');
+    const frameModeSelect = document.getElementById('frameMode');
+    const appImagesInput = document.getElementById('appImages');
+    const redactionSummary = document.getElementById('redactionSummary');
+    const downloadIpsBtn = document.getElementById('downloadIpsBtn');
+
+    // Imported symbol tables stay loaded across parses
+    let symbolTables = [];
+    let currentParser = null;
+    // The active report as shown, shared and downloaded: the original or its redacted copy
+    let currentContent = null;
+    // One salt per page load, so pseudonyms stay put while switching tabs and symbol modes
+    const redactionSalt = crypto.randomUUID();
+
+    // Open reports ({ name, content }), one tab each
+    let tabs = [];
+    let activeTab = null;
+
+    const historySidebar = setUpHistorySidebar({
+        onOpen: (entry) => openReports([{ name: entry.name, content: entry.content }]),
+    });
+
+    const frameSearch = setUpFrameSearch(reportOutput);
+
+    demangleSelect.value = localStorage.getItem(demangleModeKey) || DemangleMode.FULL;
+    redactSelect.value = localStorage.getItem(redactModeKey) || '';
+    frameModeSelect.value = localStorage.getItem(frameModeKey) || FrameMode.MARKED;
+    appImagesInput.value = localStorage.getItem(appImagesKey) || '';
 
     parseBtn.addEventListener('click', () => {
         const content = ipsInput.value.trim();
@@ -899,28 +1445,244 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        const reports = splitReports(content);
+        openReports(reports.map((report, index) => ({
+            name: reportLabel(report) || (reports.length > 1 ? `Pasted report ${index + 1}` : 'Pasted report'),
+            content: report,
+        })));
+    });
+
+    // Add reports as tabs, showing the first; a report that is already open just gets selected
+    function openReports(reports) {
+        let first = null;
+        for (const report of reports) {
+            const tab = tabs.find(existing => existing.content === report.content) || report;
+            if (!tabs.includes(tab)) {
+                tabs.push(tab);
+            }
+            first = first || tab;
+        }
+        if (first) {
+            showReport(first);
+        }
+    }
+
+    function renderTabs() {
+        reportTabs.textContent = '';
+        tabs.forEach(tab => {
+            const tabDiv = document.createElement('div');
+            tabDiv.className = tab === activeTab ? 'report-tab active' : 'report-tab';
+
+            const label = document.createElement('button');
+            label.className = 'report-tab-label';
+            label.textContent = tab.name;
+            label.title = tab.name;
+            label.addEventListener('click', () => showReport(tab));
+
+            const close = document.createElement('button');
+            close.className = 'report-tab-close';
+            close.textContent = '×';
+            close.title = 'Close';
+            close.addEventListener('click', () => closeReport(tab));
+
+            tabDiv.append(label, close);
+            reportTabs.appendChild(tabDiv);
+        });
+        reportTabs.style.display = tabs.length > 0 ? 'flex' : 'none';
+    }
+
+    function closeReport(tab) {
+        const index = tabs.indexOf(tab);
+        tabs.splice(index, 1);
+        if (tab !== activeTab) {
+            renderTabs();
+        } else if (tabs.length > 0) {
+            showReport(tabs[Math.min(index, tabs.length - 1)]);
+        } else {
+            activeTab = null;
+            currentParser = null;
+            currentContent = null;
+            renderTabs();
+            outputSection.style.display = 'none';
+            errorMessage.style.display = 'none';
+        }
+    }
+
+    function showReport(tab) {
+        activeTab = tab;
+        renderTabs();
+
         try {
-            const parser = new StructuredIPSParser(content);
+            const { content, changes } = redactSelect.value
+                ? redactReport(tab.content, { mode: redactSelect.value, salt: redactionSalt })
+                : { content: tab.content, changes: null };
+            const parser = new StructuredIPSParser(content, {
+                ownProcesses: loadOwnProcesses(),
+                symbolTables,
+                demangle: demangleSelect.value,
+                frameMode: frameModeSelect.value,
+                appImagePatterns: parseImagePatterns(appImagesInput.value),
+                onOwnProcessesChange: (ownProcesses) => {
+                    localStorage.setItem(ownProcessesKey, JSON.stringify(ownProcesses));
+                },
+            });
             parser.parse();
+            showSymbolsStatus(parser.symbolication);
             const formatted = parser.formatReport();
 
+            currentParser = parser;
+            currentContent = content;
+            showRedactionSummary(changes);
+            reportTitle.textContent = parser.bugType.title;
             reportOutput.textContent = '';
             reportOutput.appendChild(formatted);
+            frameSearch.refresh();
             outputSection.style.display = 'block';
             errorMessage.style.display = 'none';
+            historySidebar.save(tab.name, tab.content, parser);
         } catch (error) {
-            showError(error.message);
+            currentParser = null;
+            currentContent = null;
+            showError(`${tab.name}: ${error.message}`);
             outputSection.style.display = 'none';
         }
-    });
+    }
 
     clearBtn.addEventListener('click', () => {
         ipsInput.value = '';
+        tabs = [];
+        activeTab = null;
+        currentParser = null;
+        currentContent = null;
+        renderTabs();
         outputSection.style.display = 'none';
         errorMessage.style.display = 'none';
         ipsInput.focus();
     });
 
+    // Files are read as bytes: reports are decoded and opened in tabs (one per report, for
+    // files holding several), while dSYM DWARF binaries and symbol tables are loaded as symbols
+    async function loadFiles(files) {
+        try {
+            const reports = [];
+            let symbolsChanged = false;
+            for (const file of files) {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                if (isReportFile(file.name, bytes)) {
+                    const contents = splitReports(decodeReportBytes(bytes));
+                    contents.forEach((content, index) => {
+                        reports.push({ name: contents.length > 1 ? `${file.name} (${index + 1})` : file.name, content });
+                    });
+                } else {
+                    const tables = loadSymbolFile(bytes, file.name);
+                    const uuids = new Set(tables.map(table => table.uuid));
+                    symbolTables = symbolTables.filter(table => !uuids.has(table.uuid)).concat(tables);
+                    symbolsChanged = true;
+                }
+            }
+            if (symbolsChanged) {
+                showSymbolsStatus(null);
+            }
+            if (reports.length > 0) {
+                openReports(reports);
+            } else if (symbolsChanged && activeTab) {
+                showReport(activeTab);
+            }
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    reportsInput.addEventListener('change', async () => {
+        await loadFiles(reportsInput.files);
+        reportsInput.value = '';
+    });
+
+    symbolsInput.addEventListener('change', async () => {
+        await loadFiles(symbolsInput.files);
+        symbolsInput.value = '';
+    });
+
+    // Reports, dSYM DWARF files (Contents/Resources/DWARF/<name>) and symbol tables can be dropped anywhere
+    document.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        inputSection.classList.add('drop-target');
+    });
+    document.addEventListener('dragleave', (event) => {
+        if (!event.relatedTarget) {
+            inputSection.classList.remove('drop-target');
+        }
+    });
+    document.addEventListener('drop', (event) => {
+        event.preventDefault();
+        inputSection.classList.remove('drop-target');
+        if (event.dataTransfer.files.length > 0) {
+            loadFiles(event.dataTransfer.files);
+        }
+    });
+
+    function showSymbolsStatus(symbolication) {
+        if (symbolTables.length === 0) {
+            symbolsStatus.style.display = 'none';
+            return;
+        }
+        const symbolCount = symbolTables.reduce((total, table) => total + table.count, 0);
+        let status = `Loaded ${symbolTables.length} symbol table${symbolTables.length === 1 ? '' : 's'} (${symbolCount} symbols).`;
+        if (symbolication) {
+            status += ` ${symbolication.matchedTables.length} matched this report, resolving ${symbolication.resolvedCount} frames.`;
+        }
+        symbolsStatus.textContent = status;
+        symbolsStatus.style.display = 'block';
+    }
+
+    demangleSelect.addEventListener('change', () => {
+        localStorage.setItem(demangleModeKey, demangleSelect.value);
+        if (activeTab) {
+            showReport(activeTab);
+        }
+    });
+
+    frameModeSelect.addEventListener('change', () => {
+        localStorage.setItem(frameModeKey, frameModeSelect.value);
+        if (activeTab) {
+            showReport(activeTab);
+        }
+    });
+
+    // On change rather than input, so the report isn't re-rendered on every keystroke
+    appImagesInput.addEventListener('change', () => {
+        localStorage.setItem(appImagesKey, appImagesInput.value);
+        if (activeTab) {
+            showReport(activeTab);
+        }
+    });
+
+    redactSelect.addEventListener('change', () => {
+        localStorage.setItem(redactModeKey, redactSelect.value);
+        if (activeTab) {
+            showReport(activeTab);
+        }
+    });
+
+    // Everything redaction replaced, to check before sharing
+    function showRedactionSummary(changes) {
+        redactionSummary.textContent = '';
+        redactionSummary.hidden = !changes;
+        if (!changes) return;
+
+        const summary = document.createElement('summary');
+        summary.textContent = changes.length === 0
+            ? 'Nothing to redact'
+            : `Redacted ${changes.length} value${changes.length === 1 ? '' : 's'}`;
+        const list = document.createElement('ul');
+        changes.forEach(change => {
+            const item = document.createElement('li');
+            item.textContent = `${change.field}: ${change.original} → ${change.replacement}`;
+            list.appendChild(item);
+        });
+        redactionSummary.append(summary, list);
+    }
+
     expandAllBtn.addEventListener('click', () => {
         reportOutput.querySelectorAll('details').forEach(detail => {
             detail.open = true;
@@ -933,15 +1695,166 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // Save the last parsed report as normalized JSON
+    downloadJsonBtn.addEventListener('click', () => {
+        if (!currentParser) return;
+        const name = currentParser.model?.process.name || 'report';
+        downloadFile(`${name}.json`, formatReportJSON(currentParser), 'application/json');
+    });
+
+    // Save the report itself, e.g. a redacted copy that still opens as a report
+    downloadIpsBtn.addEventListener('click', () => {
+        if (!currentContent) return;
+        const name = currentParser.model?.process.name || 'report';
+        downloadFile(`${name}${redactSelect.value ? '-redacted' : ''}.ips`, currentContent, 'text/plain');
+    });
+
+    function downloadFile(name, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // The link holds the whole report, so nothing is uploaded anywhere
+    shareLinkBtn.addEventListener('click', async () => {
+        if (!currentContent) return;
+        try {
+            const fragment = await encodeShareFragment(currentContent, viewState());
+            copyToClipboard(shareLinkBtn, `${location.origin}${location.pathname}#${fragment}`);
+        } catch (error) {
+            showError('Failed to create share link: ' + error.message);
+        }
+    });
+
+    // Clicking a frame selects it, e.g. to point it out in a share link
+    reportOutput.addEventListener('click', (event) => {
+        const frame = event.target.closest('.stack-frame');
+        if (!frame) return;
+        const selected = reportOutput.querySelector('.stack-frame.selected');
+        selected?.classList.remove('selected');
+        if (selected !== frame) {
+            frame.classList.add('selected');
+        }
+    });
+
+    // Open sections and threads, and the selected frame, named by what they are (section title, thread, frame number,
+    // call tree path) rather than by position, which changes with local settings such as the frame mode.
+    // Collapsed system frame runs only exist in one frame mode, so they are left out.
+    function viewKey(detail) {
+        const own = detail.dataset.viewKey ?? detail.querySelector(':scope > summary')?.textContent.trim() ?? '';
+        const parent = detail.parentElement?.closest('details:not(.system-frames)');
+        return parent ? `${viewKey(parent)}/${own}` : own;
+    }
+
+    // null for rows outside any section, or without a frame number, which can't be told apart
+    function frameKey(frame) {
+        const detail = frame.closest('details:not(.system-frames)');
+        if (!detail || frame.dataset.frameIndex === undefined) return null;
+        return `${viewKey(detail)}/frame-${frame.dataset.frameIndex}`;
+    }
+
+    // Keys are joined with newlines, which summaries never contain
+    function viewState() {
+        const view = {};
+        const sections = [...reportOutput.querySelectorAll('details:not(.system-frames)')]
+            .filter(detail => detail.open)
+            .map(viewKey);
+        if (sections.length > 0) {
+            view.sections = sections.join('\n');
+        }
+        const selected = reportOutput.querySelector('.stack-frame.selected');
+        const frame = selected ? frameKey(selected) : null;
+        if (frame) {
+            view.frame = frame;
+        }
+        return view;
+    }
+
+    function restoreViewState(view) {
+        const sections = new Set((view.sections || '').split('\n').filter(Boolean));
+        if (sections.size > 0) {
+            reportOutput.querySelectorAll('details:not(.system-frames)').forEach(detail => {
+                detail.open = sections.has(viewKey(detail));
+            });
+        }
+
+        const frame = view.frame !== undefined
+            ? [...reportOutput.querySelectorAll('.stack-frame')].find(candidate => frameKey(candidate) === view.frame)
+            : null;
+        if (frame) {
+            frame.classList.add('selected');
+            for (let detail = frame.closest('details'); detail; detail = detail.parentElement.closest('details')) {
+                detail.open = true;
+            }
+            frame.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    // Condensed reports for GitHub issues and Jira tickets
+    copyMarkdownBtn.addEventListener('click', () => {
+        if (!currentParser) return;
+        copyToClipboard(copyMarkdownBtn, formatReportTicket(currentParser, TicketFormat.MARKDOWN));
+    });
+
+    copyJiraBtn.addEventListener('click', () => {
+        if (!currentParser) return;
+        copyToClipboard(copyJiraBtn, formatReportTicket(currentParser, TicketFormat.JIRA));
+    });
+
+    function copyToClipboard(button, text) {
+        navigator.clipboard.writeText(text).then(() => {
+            const originalText = button.textContent;
+            button.textContent = 'Copied!';
+            setTimeout(() => {
+                button.textContent = originalText;
+            }, 2000);
+        }).catch(err => {
+            showError('Failed to copy to clipboard: ' + err.message);
+        });
+    }
+
     function showError(message) {
         errorMessage.textContent = message;
         errorMessage.style.display = 'block';
     }
 
+    function loadOwnProcesses() {
+        try {
+            return JSON.parse(localStorage.getItem(ownProcessesKey)) || [];
+        } catch {
+            return [];
+        }
+    }
+
     // Allow parsing with Enter key (Ctrl/Cmd + Enter)
     ipsInput.addEventListener('keydown', (e) => {
         if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
             parseBtn.click();
         }
     });
+
+    // A report opened from the groups page; the unsuffixed key is left over from older versions
+    localStorage.removeItem(openReportKey);
+    const openId = new URLSearchParams(location.search).get('open');
+    const openReport = openId ? localStorage.getItem(`${openReportKey}:${openId}`) : null;
+    if (openReport) {
+        localStorage.removeItem(`${openReportKey}:${openId}`);
+        try {
+            openReports([JSON.parse(openReport)]);
+        } catch (error) {
+            showError(`Cannot open the report: ${error.message}`);
+        }
+    }
+
+    // Open a report shared with "Copy Share Link"
+    if (location.hash) {
+        decodeShareFragment(location.hash).then(shared => {
+            if (!shared) return;
+            openReports([{ name: reportLabel(shared.content) || 'Shared report', content: shared.content }]);
+            restoreViewState(shared.view);
+        }).catch(error => showError(error.message));
+    }
 });
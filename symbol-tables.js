@@ -0,0 +1,259 @@
+// Symbol Tables
+// Imported symbol tables keyed by image UUID, used to resymbolicate frames that the
+// report left as "0xBASE + offset". Supported inputs:
+//   - `nm -n` output, preceded by a `dwarfdump --uuid` line ("UUID: <uuid> (arm64) <path>")
+//   - "0x<address> <symbol>" lines (e.g. trimmed atos output), also preceded by a UUID line
+//   - JSON: { "<uuid>": { "<address>": "<symbol>" } } or { "<uuid>": { textAddress, symbols } }
+// Addresses are unslid (as linked), relative to the image's __TEXT address.
+// dSYM DWARF files are read by dsym.js and additionally resolve inlined frames and file:line.
+
+import { isMachO, parseDSYM } from './dsym.js';
+
+export function normalizeUUID(uuid) {
+    const digits = String(uuid).replace(/-/g, '').toLowerCase();
+    if (!/^[0-9a-f]{32}$/.test(digits)) return null;
+    return `${digits.slice(0, 8)}-${digits.slice(8, 12)}-${digits.slice(12, 16)}-${digits.slice(16, 20)}-${digits.slice(20)}`;
+}
+
+export class SymbolTable {
+    // symbols: [{ address: BigInt, name: string }]
+    constructor(uuid, symbols, textAddress = 0n, source = null) {
+        this.uuid = normalizeUUID(uuid);
+        this.textAddress = textAddress;
+        this.source = source;
+        this.symbols = [...symbols].sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+    }
+
+    get count() {
+        return this.symbols.length;
+    }
+
+    // Resolve an offset from the image load address to { symbol, symbolLocation }. Caller frames hold
+    // return addresses, so they are looked up one byte earlier, in case the call ends the function.
+    lookup(imageOffset, isReturnAddress = false) {
+        const pc = this.textAddress + BigInt(imageOffset);
+        const address = isReturnAddress ? pc - 1n : pc;
+
+        let low = 0;
+        let high = this.symbols.length - 1;
+        let found = null;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.symbols[mid].address <= address) {
+                found = this.symbols[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        if (!found) return null;
+        return { symbol: found.name, symbolLocation: pc - found.address };
+    }
+}
+
+// Mach-O header symbols mark the __TEXT address that nm addresses are relative to
+const headerSymbols = new Set(['__mh_execute_header', '__mh_dylib_header', '__mh_bundle_header']);
+
+function parseSymbolText(text, source) {
+    const tables = [];
+    let current = null;
+
+    const finish = () => {
+        if (current && current.symbols.length > 0) {
+            tables.push(new SymbolTable(current.uuid, current.symbols, current.textAddress, source));
+        }
+    };
+
+    text.split(/\r?\n/).forEach(line => {
+        const uuidMatch = line.match(/UUID:\s*([0-9A-Fa-f-]{32,36})/);
+        if (uuidMatch) {
+            finish();
+            current = { uuid: uuidMatch[1], symbols: [], textAddress: 0n };
+            return;
+        }
+
+        // nm: "0000000100003f50 T _main"; plain: "0x100003f50 main"
+        const nmMatch = line.match(/^\s*(?:0x)?([0-9A-Fa-f]{1,16})\s+([A-Za-z])\s+(\S.*)$/);
+        const plainMatch = nmMatch ? null : line.match(/^\s*0x([0-9A-Fa-f]{1,16})\s+(\S.*)$/);
+        if (!nmMatch && !plainMatch) return;
+
+        if (!current) {
+            throw new Error(`No UUID found before symbols in ${source || 'symbol file'}. Add the line printed by \`dwarfdump --uuid\`.`);
+        }
+
+        const address = BigInt('0x' + (nmMatch ? nmMatch[1] : plainMatch[1]));
+        let name = nmMatch ? nmMatch[3] : plainMatch[2];
+
+        if (headerSymbols.has(name)) {
+            current.textAddress = address;
+            return;
+        }
+
+        // Only code symbols are useful for frames
+        if (nmMatch && !/^[Tt]$/.test(nmMatch[2])) return;
+
+        // Strip atos decorations: "main (in MyApp) (main.m:12)"
+        name = name.replace(/\s+\(in [^)]+\).*$/, '');
+        // Mach-O symbol names carry a leading underscore in nm output
+        if (nmMatch && name.startsWith('_')) {
+            name = name.slice(1);
+        }
+
+        current.symbols.push({ address, name });
+    });
+
+    finish();
+    return tables;
+}
+
+function parseSymbolJSON(json, source) {
+    return Object.entries(json).map(([uuid, entry]) => {
+        const mapping = entry.symbols || entry;
+        const textAddress = entry.textAddress !== undefined ? BigInt(entry.textAddress) : 0n;
+        const symbols = Object.entries(mapping).map(([address, name]) => ({ address: BigInt(address), name }));
+        return new SymbolTable(uuid, symbols, textAddress, source);
+    });
+}
+
+// Parse one symbol file into one or more tables
+export function parseSymbolFile(text, source = null) {
+    const trimmed = text.trim();
+    const tables = trimmed.startsWith('{')
+        ? parseSymbolJSON(JSON.parse(trimmed), source)
+        : parseSymbolText(trimmed, source);
+
+    tables.forEach(table => {
+        if (!table.uuid) {
+            throw new Error(`Invalid UUID in ${source || 'symbol file'}.`);
+        }
+    });
+    if (tables.length === 0) {
+        throw new Error(`No symbols found in ${source || 'symbol file'}.`);
+    }
+    return tables;
+}
+
+// Load a symbol file from its raw bytes (dSYM DWARF Mach-O) or text
+export function loadSymbolFile(contents, source = null) {
+    if (typeof contents !== 'string') {
+        if (isMachO(contents)) {
+            return parseDSYM(contents, source);
+        }
+        contents = new TextDecoder().decode(contents);
+    }
+    return parseSymbolFile(contents, source);
+}
+
+function tablesByUUID(tables) {
+    const byUUID = new Map();
+    tables.forEach(table => byUUID.set(table.uuid, table));
+    return byUUID;
+}
+
+// Resolve a list of frames, returning the new list with DWARF inlined frames inserted
+// above the frame they were inlined into
+function symbolicateFrames(frames, images, byUUID) {
+    const result = [];
+    let resolvedCount = 0;
+
+    frames.forEach(frame => {
+        const image = images[frame.imageIndex];
+        const table = image && image.uuid ? byUUID.get(normalizeUUID(image.uuid)) : null;
+        if (frame.inline || !table) {
+            result.push(frame);
+            return;
+        }
+
+        // Every frame below the first holds a return address
+        const isReturnAddress = result.some(previous => !previous.inline);
+        const resolved = table.lookup(frame.imageOffset, isReturnAddress);
+        if (!resolved) {
+            result.push(frame);
+            return;
+        }
+
+        if (resolved.inlined) {
+            // Replace inlined frames the report already carried for this address
+            const sameAddress = previous => previous && previous.inline &&
+                previous.imageIndex === frame.imageIndex && previous.imageOffset === frame.imageOffset;
+            while (sameAddress(result[result.length - 1])) {
+                result.pop();
+            }
+            resolved.inlined.forEach(inlined => {
+                result.push({ imageIndex: frame.imageIndex, imageOffset: frame.imageOffset, ...inlined, inline: true });
+                resolvedCount++;
+            });
+        }
+
+        frame.symbol = resolved.symbol;
+        frame.symbolLocation = resolved.symbolLocation;
+        if (resolved.sourceFile) {
+            frame.sourceFile = resolved.sourceFile;
+            frame.sourceLine = resolved.sourceLine;
+        }
+        result.push(frame);
+        resolvedCount++;
+    });
+
+    return { frames: result, resolvedCount };
+}
+
+// "1   MyApp   0x00000001000040d8 0x100000000 + 16600"
+const backtraceLine = /^(\d+\s+.+?\s+)(0x[0-9a-fA-F]+)\s+0x[0-9a-fA-F]+ \+ \d+$/;
+
+function symbolicateBacktraceText(backtrace, images, byUUID) {
+    let resolvedCount = 0;
+    const lines = backtrace.split('\n').map(line => {
+        const match = line.match(backtraceLine);
+        if (!match) return line;
+
+        const address = BigInt(match[2]);
+        const image = images.find(candidate => {
+            const base = candidate.base || 0n;
+            return address >= base && address < base + (candidate.size || 0n);
+        });
+        const table = image && image.uuid ? byUUID.get(normalizeUUID(image.uuid)) : null;
+        const resolved = table ? table.lookup(address - (image.base || 0n), true) : null;
+        if (!resolved) return line;
+
+        resolvedCount++;
+        const location = resolved.sourceFile ? ` (${resolved.sourceFile}:${resolved.sourceLine})` : '';
+        return `${match[1]}${match[2]} ${resolved.symbol} + ${resolved.symbolLocation}${location}`;
+    });
+    return { text: lines.join('\n'), resolvedCount };
+}
+
+// Apply tables to every thread, the Last Exception Backtrace and the ASI backtraces.
+// Returns the number of frames resolved and the tables that matched an image.
+export function symbolicateReport(report, tables) {
+    const byUUID = tablesByUUID(tables);
+    const images = report.usedImages || [];
+    let resolvedCount = 0;
+
+    (report.threads || []).forEach(thread => {
+        if (!thread.frames) return;
+        const result = symbolicateFrames(thread.frames, images, byUUID);
+        thread.frames = result.frames;
+        resolvedCount += result.resolvedCount;
+    });
+
+    if (report.lastExceptionBacktrace) {
+        const result = symbolicateFrames(report.lastExceptionBacktrace, images, byUUID);
+        report.lastExceptionBacktrace = result.frames;
+        resolvedCount += result.resolvedCount;
+    }
+
+    if (report.asiBacktraces) {
+        report.asiBacktraces = report.asiBacktraces.map(backtrace => {
+            const result = symbolicateBacktraceText(backtrace, images, byUUID);
+            resolvedCount += result.resolvedCount;
+            return result.text;
+        });
+    }
+
+    const imageUUIDs = new Set(images.map(image => normalizeUUID(image.uuid || '')));
+    const matchedTables = tables.filter(table => imageUUIDs.has(table.uuid));
+
+    return { resolvedCount, matchedTables };
+}
@@ -0,0 +1,153 @@
+// Termination Codes
+// What a termination reason ("Namespace FRONTBOARD, Code 0x8badf00d") means, with the usual causes:
+//
+//   explainTermination(model.termination);
+//   // { name: 'Watchdog timeout (0x8badf00d, "ate bad food")', explanation: 'The app took too long to ...' }
+//
+// Codes are looked up in their namespace; the well-known hex words are the same across the app
+// lifecycle namespaces (FRONTBOARD, SPRINGBOARD, RUNNINGBOARD, ASSERTIOND). Namespaces without a
+// known code still get a description of who terminated the process.
+
+import { describeSignal } from './exception-codes.js';
+
+// [name, explanation]
+const lifecycleCodes = {
+    0x8badf00d: ['Watchdog timeout (0x8badf00d, "ate bad food")',
+        'The app took too long to launch, resume, suspend or respond to a system event, so the system killed it. '
+        + 'The main thread was usually blocked: synchronous networking or file I/O, a lock held by another thread, or heavy work during launch. '
+        + 'The crashed thread\'s backtrace and the time figures in the termination description show what it was doing.'],
+    0xdead10cc: ['Held a lock while suspended (0xdead10cc, "deadlock")',
+        'The app kept a file lock or SQLite database lock across suspension, which could deadlock other processes sharing the file. '
+        + 'Common with databases or Core Data stores in a shared app group container; finish writes and release locks (or use a background task) before suspending.'],
+    0xc00010ff: ['Thermal shutdown (0xc00010ff, "cool off")',
+        'The system killed the app because the device was too hot. Usually a sign of sustained CPU or GPU use, '
+        + 'though the app may simply have been running when something else heated the device.'],
+    0xbaaaaaad: ['Stackshot (0xbaaaaaad)',
+        'Not a crash: the user triggered a stackshot of the whole system with the button combination.'],
+    0xbad22222: ['VoIP app resumed too often (0xbad22222)',
+        'The system killed a VoIP app that was resumed too frequently.'],
+    0xdeadfa11: ['Force quit (0xdeadfa11, "dead fall")',
+        'The user force quit the app, e.g. after it stopped responding.'],
+    0x2bad45ec: ['Security violation (0x2bad45ec)',
+        'The system terminated the app for a security violation, such as an insecure drawing attempt while in Secure Draw Mode.'],
+    0xc51bad01: ['Background task used too much CPU (0xc51bad01)',
+        'watchOS killed the app because a background task used too much CPU time.'],
+    0xc51bad02: ['Background task timed out (0xc51bad02)',
+        'watchOS killed the app because a background task did not finish within its allotted time.'],
+    0xc51bad03: ['Background task timed out on a busy system (0xc51bad03)',
+        'watchOS killed the app because a background task did not finish in time; the system was busy overall.'],
+};
+
+const namespaces = {
+    FRONTBOARD: {
+        about: 'FrontBoard, which manages app lifecycles, terminated the app.',
+        codes: lifecycleCodes,
+    },
+    SPRINGBOARD: {
+        about: 'SpringBoard, which manages app lifecycles on older systems, terminated the app.',
+        codes: lifecycleCodes,
+    },
+    RUNNINGBOARD: {
+        about: 'RunningBoard, which manages process lifecycles and assertions, terminated the process.',
+        codes: lifecycleCodes,
+    },
+    ASSERTIOND: {
+        about: 'assertiond, which managed process assertions on older systems, terminated the process.',
+        codes: lifecycleCodes,
+    },
+    CODESIGNING: {
+        about: 'The kernel terminated the process because of its code signature.',
+        codes: {
+            1: ['Invalid code signature',
+                'The code signature is missing or invalid, or the provisioning profile does not allow the app to run on this device. '
+                + 'Check the signing of the app and any embedded frameworks, and that the profile has not expired.'],
+            2: ['Invalid page',
+                'A page of code did not match its code signature when it was loaded, e.g. code modified in memory or executable memory created without permission.'],
+            4: ['Launch constraint violation',
+                'The process was launched in a way its launch constraints do not allow (macOS 13 and later).'],
+        },
+    },
+    JETSAM: {
+        about: 'The kernel\'s memory manager (jetsam) killed the process to reclaim memory.',
+        codes: {
+            1: ['Generic jetsam kill', 'Killed to free memory.'],
+            2: ['High-water memory limit', 'Exceeded its high-water memory limit while the system was under memory pressure.'],
+            3: ['Vnode limit', 'Killed because the system ran out of vnodes (open files).'],
+            4: ['Page shortage', 'Killed to free pages during a system-wide page shortage.'],
+            5: ['Process thrashing', 'Killed because the system was thrashing on paging.'],
+            6: ['File cache thrashing', 'Killed because the file cache was thrashing.'],
+            7: ['Per-process memory limit', 'Exceeded its own memory limit. Look for leaks, large caches or images decoded at full size.'],
+            8: ['Disk space shortage', 'Killed to recover disk space.'],
+            9: ['Idle exit', 'An idle process exited to free memory; not a problem in itself.'],
+            10: ['Zone map exhaustion', 'Killed because the kernel zone map was exhausted, often by a process holding too many kernel objects (ports, file descriptors).'],
+            11: ['Compressor thrashing', 'Killed because the memory compressor was thrashing.'],
+            12: ['Compressor space shortage', 'Killed because the memory compressor ran out of space.'],
+            13: ['Low swap', 'Killed because swap space was low.'],
+            14: ['Sustained memory pressure', 'Killed after sustained memory pressure.'],
+        },
+    },
+    WATCHDOG: {
+        about: 'watchdogd terminated the process.',
+        codes: {
+            1: ['Monitoring timed out',
+                'The process stopped checking in with watchdogd in time, usually because it hung (on macOS, often WindowServer or a system daemon).'],
+        },
+    },
+    DYLD: {
+        about: 'dyld could not load the process.',
+        codes: {
+            1: ['Library missing', 'A linked library or framework could not be found. Check that it is embedded in the app and that its install name and the runpath search paths match.'],
+            2: ['Library has the wrong architecture', 'A linked library was not built for this CPU architecture.'],
+            3: ['Library has the wrong version', 'A linked library is older than the version the app was linked against.'],
+            4: ['Symbol missing', 'A symbol the app uses is missing from a library, usually an API newer than this OS version; weak-link it or raise the deployment target.'],
+            5: ['Code signature', 'A library failed code signature validation or was signed by a different team.'],
+            6: ['File system sandbox', 'A library could not be loaded because the sandbox blocked access to it.'],
+            7: ['Malformed Mach-O', 'A library is not a valid Mach-O file.'],
+        },
+    },
+    TCC: {
+        about: 'The privacy subsystem (TCC) terminated the app.',
+        codes: {
+            0: ['Missing usage description',
+                'The app accessed privacy-sensitive data (camera, microphone, contacts, photos...) without the matching NS...UsageDescription key in its Info.plist.'],
+        },
+    },
+    SIGNAL: {
+        about: 'The process was terminated by a signal.',
+        codes: {},
+    },
+};
+
+const signalNames = ['', 'SIGHUP', 'SIGINT', 'SIGQUIT', 'SIGILL', 'SIGTRAP', 'SIGABRT', 'SIGEMT', 'SIGFPE', 'SIGKILL',
+    'SIGBUS', 'SIGSEGV', 'SIGSYS', 'SIGPIPE', 'SIGALRM', 'SIGTERM'];
+
+function readCode(code) {
+    try {
+        return BigInt(code);
+    } catch {
+        return null;
+    }
+}
+
+// { name, explanation } for a termination from CrashReportModel; name is null when only the namespace is known
+export function explainTermination(termination) {
+    const namespace = namespaces[termination?.namespace];
+    if (!namespace) return null;
+
+    const code = readCode(termination.code ?? 0);
+    if (termination.namespace === 'SIGNAL' && code !== null && signalNames[Number(code)]) {
+        const signal = signalNames[Number(code)];
+        return { name: signal, explanation: describeSignal(signal) || namespace.about };
+    }
+
+    const known = code !== null ? namespace.codes[Number(code)] : null;
+    if (known) {
+        return { name: known[0], explanation: known[1] };
+    }
+    return { name: null, explanation: namespace.about };
+}
+
+// "Watchdog timeout (...): The app took too long ...", as one line
+export function formatTerminationExplanation(explanation) {
+    return explanation.name ? `${explanation.name}: ${explanation.explanation}` : explanation.explanation;
+}
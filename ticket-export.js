@@ -0,0 +1,192 @@
+// Ticket Export
+// Condensed crash reports for bug trackers, as GitHub Markdown or Jira wiki markup:
+// a summary table, the exception and termination, the crashed thread (and Last Exception Backtrace)
+// in code blocks, the other threads collapsed, and only the binary images those frames use.
+// Reports without a crash model are exported as their plain text.
+
+import { IPSParser } from './ips-parser-core.js';
+import { explainTermination, formatTerminationExplanation } from './termination-codes.js';
+
+export const TicketFormat = Object.freeze({
+    MARKDOWN: 'markdown',
+    JIRA: 'jira',
+});
+
+const markdown = {
+    heading: (text) => `### ${text}\n\n`,
+    table: (rows) => {
+        const escape = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        let output = '| Field | Value |\n| --- | --- |\n';
+        rows.forEach(([label, value]) => {
+            output += `| ${escape(label)} | ${escape(value)} |\n`;
+        });
+        return output + '\n';
+    },
+    code: (text) => `\`\`\`\n${text}\n\`\`\`\n\n`,
+    collapsed: (title, text) => `<details>\n<summary>${title.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</summary>\n\n\`\`\`\n${text}\n\`\`\`\n\n</details>\n\n`,
+};
+
+// Jira has no collapsible blocks outside Confluence macros, so other threads are plain noformat blocks
+const jira = {
+    heading: (text) => `h3. ${text}\n\n`,
+    table: (rows) => {
+        const escape = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        let output = '||Field||Value||\n';
+        rows.forEach(([label, value]) => {
+            output += `|${escape(label)}|${escape(value)}|\n`;
+        });
+        return output + '\n';
+    },
+    code: (text) => `{noformat}\n${text}\n{noformat}\n\n`,
+    collapsed: (title, text) => `*${title}*\n{noformat}\n${text}\n{noformat}\n\n`,
+};
+
+function summaryRows(model) {
+    const proc = model.process;
+    const ex = model.exception;
+    const rows = [
+        ['Process', `${proc.name || 'Unknown'} [${proc.pid ?? '?'}]`],
+        ['Identifier', proc.identifier || 'Unknown'],
+        ['Version', proc.version || proc.build ? `${proc.version || '?'} (${proc.build || '?'})` : '???'],
+        ['OS Version', `${proc.osTrain || 'Unknown'} (${proc.osBuild || 'Unknown'})`],
+    ];
+    if (proc.hardwareModel) {
+        rows.push(['Hardware Model', proc.hardwareModel]);
+    }
+    rows.push(['Date/Time', proc.captureTime || 'Unknown']);
+    if (ex) {
+        rows.push(['Exception', ex.signal ? `${ex.type} (${ex.signal})` : ex.type || 'Unknown']);
+    }
+    if (proc.incident) {
+        rows.push(['Incident', proc.incident]);
+    }
+    return rows;
+}
+
+function exceptionText(model) {
+    const ex = model.exception;
+    const term = model.termination;
+    const lines = [];
+
+    if (ex) {
+        lines.push(`Exception Type:    ${ex.type || 'Unknown'}${ex.signal ? ` (${ex.signal})` : ''}`);
+        if (ex.subtype != null) lines.push(`Exception Subtype: ${ex.subtype}`);
+        if (ex.message != null) lines.push(`Exception Message: ${ex.message}`);
+        if (ex.codes != null) lines.push(`Exception Codes:   ${ex.codes}`);
+        if (ex.reason) lines.push(`Exception Reason:  ${ex.reason}`);
+    }
+
+    if (term) {
+        let line = `Termination Reason: Namespace ${term.namespace || 'Unknown'}, Code ${term.code ?? 0}`;
+        if (term.indicator) {
+            line += `, ${term.indicator}`;
+        }
+        lines.push(line);
+        const meaning = explainTermination(term);
+        if (meaning) {
+            lines.push(`Termination Meaning: ${formatTerminationExplanation(meaning)}`);
+        }
+        lines.push(...term.reasons, ...term.details);
+        if (term.byProc) {
+            lines.push(`Terminating Process: ${term.byProc} [${term.byPid ?? 0}]`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+function framesText(parser, frames) {
+    const model = parser.model;
+    return frames.map((frame, index) => {
+        const image = model.imageForFrame(frame);
+        let line = `${String(index).padEnd(3, ' ')} ${(image?.name || '???').padEnd(30, ' ')} 0x${model.absoluteAddress(frame).toString(16)} `;
+        line += frame.symbol ? parser.symbolName(frame.symbol) : `${image?.name || '???'} + ${frame.imageOffset}`;
+        if (frame.symbol && frame.symbolLocation !== undefined) {
+            line += ` + ${frame.symbolLocation}`;
+        }
+        if (frame.sourceFile) {
+            line += frame.sourceLine !== undefined ? ` (${frame.sourceFile}:${frame.sourceLine})` : ` (${frame.sourceFile})`;
+        }
+        if (frame.inline) {
+            line += ' [inlined]';
+        }
+        return line;
+    }).join('\n');
+}
+
+function threadTitle(thread) {
+    let title = `Thread ${thread.index}`;
+    if (thread.crashed) {
+        title += ' Crashed';
+    }
+    if (thread.name) {
+        title += `: ${thread.name}`;
+    } else if (thread.queue) {
+        title += `: Dispatch queue: ${thread.queue}`;
+    }
+    return title;
+}
+
+// Only the images that the exported frames point into, in report order
+function referencedImagesText(model, frameLists) {
+    const used = new Set(frameLists.flat().map(frame => frame.imageIndex));
+    return model.images
+        .filter(image => used.has(image.index))
+        .map(image => `0x${image.base.toString(16)} - 0x${image.end.toString(16)} ${image.bundleIdentifier || image.name || '???'} (${image.version || '*'}) <${image.uuid || ''}> ${image.path || '???'}`)
+        .join('\n');
+}
+
+// Export a parsed report (IPSParser or StructuredIPSParser after parse()) as Markdown or Jira markup
+export function formatReportTicket(parser, format = TicketFormat.MARKDOWN) {
+    const markup = format === TicketFormat.JIRA ? jira : markdown;
+    const model = parser.model;
+
+    if (!model) {
+        return markup.heading(parser.bugType.title) + markup.code(plainText(parser));
+    }
+
+    const crashed = model.crashedThread;
+    const others = model.threads.filter(thread => thread !== crashed);
+    const backtrace = model.lastExceptionBacktrace || [];
+
+    let output = markup.heading(`${parser.bugType.title}: ${model.process.name || 'Unknown'}`);
+    output += markup.table(summaryRows(model));
+
+    const exception = exceptionText(model);
+    if (exception) {
+        output += markup.heading('Exception');
+        output += markup.code(exception);
+    }
+
+    if (backtrace.length > 0) {
+        output += markup.heading('Last Exception Backtrace');
+        output += markup.code(framesText(parser, backtrace));
+    }
+
+    if (crashed) {
+        output += markup.heading(threadTitle(crashed));
+        output += markup.code(framesText(parser, crashed.frames));
+    }
+
+    if (others.length > 0) {
+        output += markup.heading('Other Threads');
+        others.forEach(thread => {
+            output += markup.collapsed(threadTitle(thread), framesText(parser, thread.frames));
+        });
+    }
+
+    const images = referencedImagesText(model, [backtrace, ...model.threads.map(thread => thread.frames)]);
+    if (images) {
+        output += markup.heading('Binary Images');
+        output += markup.code(images);
+    }
+
+    return output.trimEnd() + '\n';
+}
+
+// The structured view renders DOM, so the text comes from a text parser over the same content
+function plainText(parser) {
+    const textParser = new IPSParser(parser.ipsContent, parser.options);
+    textParser.parse();
+    return textParser.formatReport().trimEnd();
+}